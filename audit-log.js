@@ -0,0 +1,224 @@
+/**
+ * Uzei - Literature Review Extension
+ * Copyright Audit Log Module
+ * 
+ * Append-only record of every copyright decision, stored in IndexedDB:
+ * 1. One entry per checkCopyright() call
+ * 2. Filtering by decision, category and date range
+ * 3. Export to CSV and JSON Lines
+ */
+
+const AUDIT_CONFIG = {
+  DB_NAME: 'uzei-audit-log',
+  DB_VERSION: 1,
+  STORE_NAME: 'decisions'
+};
+
+// Columns used for CSV export (in order)
+const AUDIT_CSV_COLUMNS = [
+  'id',
+  'timestamp',
+  'decision',
+  'category',
+  'reason',
+  'confidence',
+  'url',
+  'doi',
+  'domain',
+  'project_id',
+  'matched_rule',
+  'provider_responses',
+  'override',
+  'retraction_status'
+];
+
+let auditDbPromise = null;
+
+/**
+ * Open (and create on first use) the audit log database
+ */
+function openAuditDatabase() {
+  if (auditDbPromise) return auditDbPromise;
+  
+  auditDbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(AUDIT_CONFIG.DB_NAME, AUDIT_CONFIG.DB_VERSION);
+    
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(AUDIT_CONFIG.STORE_NAME)) {
+        const store = db.createObjectStore(AUDIT_CONFIG.STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('timestamp', 'timestamp');
+        store.createIndex('category', 'category');
+        store.createIndex('decision', 'decision');
+      }
+    };
+    
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      auditDbPromise = null;
+      reject(request.error);
+    };
+  });
+  
+  return auditDbPromise;
+}
+
+/**
+ * Build an audit entry from a copyright check result
+ */
+function buildAuditEntry(pageData, result, context = {}) {
+  let domain = pageData.domain || null;
+  if (!domain && pageData.url) {
+    try {
+      domain = new URL(pageData.url).hostname;
+    } catch (error) {
+      domain = null;
+    }
+  }
+  
+  const rule = result.matched_rule;
+  
+  return {
+    timestamp: new Date().toISOString(),
+    decision: context.override ? 'overridden' : (result.allowed ? 'allowed' : 'blocked'),
+    category: result.category || 'unknown',
+    reason: result.reason || '',
+    confidence: result.confidence || null,
+    url: pageData.url || null,
+    doi: result.doi || pageData.doi || null,
+    domain: domain,
+    project_id: context.projectId || null,
+    matched_rule: rule ? { source: rule.source, list: rule.list, pattern: rule.pattern } : null,
+    provider_responses: result.provider_results || [],
+    override: context.override || null,
+    retraction_status: result.retraction?.status || null
+  };
+}
+
+/**
+ * Append an entry to the audit log (entries are never updated or deleted)
+ */
+async function appendAuditEntry(entry) {
+  const db = await openAuditDatabase();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(AUDIT_CONFIG.STORE_NAME, 'readwrite');
+    const request = transaction.objectStore(AUDIT_CONFIG.STORE_NAME).add(entry);
+    
+    transaction.oncomplete = () => resolve({ ...entry, id: request.result });
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Record a copyright decision - failures are logged but never block the check
+ */
+async function recordDecision(pageData, result, context = {}) {
+  try {
+    const entry = await appendAuditEntry(buildAuditEntry(pageData, result, context));
+    console.log(`📋 Audit log entry ${entry.id}: ${entry.decision} (${entry.category})`);
+    return entry;
+  } catch (error) {
+    console.error('Error writing copyright audit log:', error);
+    return null;
+  }
+}
+
+/**
+ * Convert a YYYY-MM-DD date (local time) to the ISO timestamp at the start or end of that day
+ */
+function toDayBoundary(value, endOfDay) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return new Date(value).toISOString();
+  }
+  
+  return new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}`).toISOString();
+}
+
+/**
+ * Read audit entries, newest first.
+ * Filters: { decision: 'allowed'|'blocked'|'overridden', category, from, to } (dates as YYYY-MM-DD or ISO strings)
+ */
+async function queryAuditLog(filters = {}) {
+  const db = await openAuditDatabase();
+  
+  // Date filters use the timestamp index; "to" includes the whole day
+  const from = filters.from ? toDayBoundary(filters.from, false) : null;
+  const to = filters.to ? toDayBoundary(filters.to, true) : null;
+  let range = null;
+  if (from && to) {
+    range = IDBKeyRange.bound(from, to);
+  } else if (from) {
+    range = IDBKeyRange.lowerBound(from);
+  } else if (to) {
+    range = IDBKeyRange.upperBound(to);
+  }
+  
+  return new Promise((resolve, reject) => {
+    const entries = [];
+    const transaction = db.transaction(AUDIT_CONFIG.STORE_NAME, 'readonly');
+    const index = transaction.objectStore(AUDIT_CONFIG.STORE_NAME).index('timestamp');
+    const request = index.openCursor(range, 'prev');
+    
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      
+      const entry = cursor.value;
+      if ((!filters.decision || entry.decision === filters.decision) &&
+          (!filters.category || entry.category === filters.category)) {
+        entries.push(entry);
+      }
+      cursor.continue();
+    };
+    
+    transaction.oncomplete = () => resolve(entries);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Quote a value for CSV output (objects are serialized as JSON)
+ */
+function toCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  
+  // Spreadsheet apps run cells starting with = + - @ (or tab/CR) as formulas
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize audit entries as CSV
+ */
+function exportAuditCsv(entries) {
+  const lines = [AUDIT_CSV_COLUMNS.join(',')];
+  
+  entries.forEach(entry => {
+    lines.push(AUDIT_CSV_COLUMNS.map(column => toCsvValue(entry[column])).join(','));
+  });
+  
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Serialize audit entries as JSON Lines
+ */
+function exportAuditJsonl(entries) {
+  return entries.map(entry => JSON.stringify(entry)).join('\n') + (entries.length > 0 ? '\n' : '');
+}
+
+// Export functions for use in other scripts (pages and the service worker)
+if (typeof self !== 'undefined') {
+  self.auditLog = {
+    recordDecision,
+    queryAuditLog,
+    exportAuditCsv,
+    exportAuditJsonl
+  };
+}
@@ -3,9 +3,12 @@
  * Background Service Worker
  * 
  * Handles tab monitoring, session authentication, context menus,
- * communication between content scripts and popup.
+ * copyright verification, communication between content scripts and popup.
  */
 
+// Shared modules
+importScripts('managed-policy.js', 'url-normalizer.js', 'doi-utils.js', 'identifier-utils.js', 'oa-cache.js', 'audit-log.js', 'dblist-updater.js', 'copyright-checker.js');
+
 // Extension configuration
 const CONFIG = {
   // Web app settings
@@ -18,6 +21,14 @@ const CONFIG = {
   SHOW_BADGE: true,
   BADGE_COLOR: '#007bff',
   
+  // Badge colour and title per copyright verdict
+  COPYRIGHT_BADGES: {
+    whitelisted: { color: '#28a745', label: 'Trusted open access source' },
+    oa_verified: { color: '#17a2b8', label: 'Open access verified' },
+    unverified: { color: '#fd7e14', label: 'Copyright not verified' },
+    blocked: { color: '#dc3545', label: 'Blocked by copyright check' }
+  },
+  
   // Multi-tab settings
   ENABLE_MULTI_TAB_CONTEXT_MENU: true,
   MAX_TABS_IN_CONTEXT_MENU: 10,
@@ -29,22 +40,36 @@ const CONFIG = {
   // Session checking
   SESSION_CHECK_INTERVAL: 300000, // 5 minutes
   
+  // Signed academic_dblist.json updates (only when a list URL is configured)
+  DOMAIN_LIST_UPDATE_MINUTES: 24 * 60,
+  
+  // Embargo reminders - one alarm per reminder, named with this prefix
+  EMBARGO_REMINDER_PREFIX: 'embargoReminder:',
+  EMBARGO_REMINDERS_KEY: 'embargoReminders',
+  
   // PDF detection patterns - STRICT VERSION
   PDF_URL_PATTERNS: [
     '.pdf'
   ]
 };
 
+// Toolbar tooltip when no per-tab status applies
+const ACTION_TITLE = chrome.runtime.getManifest().action.default_title;
+
 // Global state management
 let tabValidityCache = new Map();
 let pendingValidityChecks = new Set();
+let copyrightStatusCache = new Map();  // tabId -> { url, result, checkedAt }
+let domainRuleStatusCache = new Map();  // tabId -> { url, result } from the domain lists alone
+let pendingCopyrightChecks = new Map();  // tabId -> { url, promise }
 let userLoginStatus = { isLoggedIn: false, username: null, lastCheck: 0 };
 let extensionSettings = {
   showNotifications: true,
   showBadges: true,
   contextMenu: true,
   enableMultiTab: true,
-  autoExtract: true
+  autoExtract: true,
+  preverifyCopyright: false
 };
 
 /**
@@ -52,13 +77,23 @@ let extensionSettings = {
  */
 async function loadExtensionSettings() {
   try {
+    // Managed policy is read first - a fixed server URL replaces the default
+    const managed = await self.managedPolicy.loadManagedPolicy();
+    if (managed.appUrl) {
+      CONFIG.APP_BASE_URL = managed.appUrl;
+    }
+    
+    // Proxy host patterns used by isPDFUrl()
+    await self.urlNormalizer.loadProxyPatterns();
+    
     const settings = await new Promise((resolve) => {
       chrome.storage.sync.get([
         'showNotifications', 
         'showBadges',
         'contextMenu',
         'enableMultiTab',
-        'autoExtract'
+        'autoExtract',
+        'preverifyCopyright'
       ], resolve);
     });
     
@@ -67,7 +102,9 @@ async function loadExtensionSettings() {
       showBadges: settings.showBadges !== false,
       contextMenu: settings.contextMenu !== false,
       enableMultiTab: settings.enableMultiTab !== false,
-      autoExtract: settings.autoExtract !== false
+      autoExtract: settings.autoExtract !== false,
+      // Opt-in: sends the DOI of every loaded page to the OA providers
+      preverifyCopyright: settings.preverifyCopyright === true
     };
     
     console.log('Extension settings loaded in background:', extensionSettings);
@@ -87,7 +124,8 @@ async function loadExtensionSettings() {
       showBadges: true,
       contextMenu: true,
       enableMultiTab: true,
-      autoExtract: true
+      autoExtract: true,
+      preverifyCopyright: false
     };
   }
 }
@@ -98,6 +136,9 @@ async function loadExtensionSettings() {
 function isPDFUrl(url) {
   if (!url) return false;
   
+  // Match against the publisher URL when browsing through an institutional proxy
+  url = self.urlNormalizer.normalizeProxiedUrl(url);
+  
   try {
     const urlLower = url.toLowerCase();
     
@@ -385,7 +426,169 @@ async function checkTabContentValidity(tabId) {
 }
 
 /**
- * Update tab badges to show content validity status
+ * Verify copyright for a tab's page data.
+ * The result is cached per tab and reused while the tab stays on the same URL
+ * (context.bypassCache forces a fresh check). Each use is written to the audit log
+ * unless context.audit === false.
+ */
+async function checkTabCopyright(tabId, pageData, context = {}) {
+  let result = null;
+  
+  if (tabId != null && !context.bypassCache) {
+    const cached = copyrightStatusCache.get(tabId);
+    const pending = pendingCopyrightChecks.get(tabId);
+    
+    if (cached && cached.url === pageData.url) {
+      result = cached.result;
+    } else if (pending && pending.url === pageData.url) {
+      result = await pending.promise;
+    }
+  }
+  
+  if (!result) {
+    // The checker itself never audits here - the decision is recorded below for this use
+    const promise = self.copyrightChecker.checkCopyright(pageData, { ...context, audit: false });
+    
+    if (tabId != null) {
+      pendingCopyrightChecks.set(tabId, { url: pageData.url, promise });
+    }
+    
+    try {
+      result = await promise;
+    } finally {
+      if (tabId != null && pendingCopyrightChecks.get(tabId)?.promise === promise) {
+        pendingCopyrightChecks.delete(tabId);
+      }
+    }
+    
+    if (tabId != null) {
+      copyrightStatusCache.set(tabId, { url: pageData.url, result, checkedAt: Date.now() });
+      await updateTabBadges(tabId);
+    }
+  }
+  
+  if (context.audit !== false) {
+    await self.auditLog.recordDecision(pageData, result, context);
+  }
+  
+  return result;
+}
+
+/**
+ * Badge verdict for a tab from the domain lists alone (no network), shown until a full check runs
+ */
+async function checkTabDomainRule(tabId) {
+  if (!extensionSettings.showBadges) return;
+  
+  try {
+    const tab = await safeTabOperation(async () => {
+      return await chrome.tabs.get(tabId);
+    });
+    
+    if (!tab || !isValidTabUrl(tab.url)) return;
+    
+    const result = await self.copyrightChecker.checkDomainRule(tab.url);
+    if (!result) return;
+    
+    domainRuleStatusCache.set(tabId, { url: tab.url, result });
+    await updateTabBadges(tabId);
+  } catch (error) {
+    console.log(`Domain rule check skipped for tab ${tabId}:`, error.message);
+  }
+}
+
+/**
+ * Pre-verify copyright for a loaded tab (not audited until the result is used).
+ * The full check only runs when the user has opted in, since it looks up pages they have
+ * not acted on - otherwise the badge shows the domain list verdict.
+ */
+async function preverifyTabCopyright(tabId) {
+  if (!extensionSettings.preverifyCopyright) {
+    await checkTabDomainRule(tabId);
+    return;
+  }
+  
+  try {
+    const tab = await safeTabOperation(async () => {
+      return await chrome.tabs.get(tabId);
+    });
+    
+    if (!tab || !isValidTabUrl(tab.url)) return;
+    
+    let pageData;
+    if (isPDFUrl(tab.url)) {
+      pageData = {
+        url: tab.url,
+        domain: new URL(tab.url).hostname,
+        title: tab.title,
+        isPDF: true,
+        contentType: 'pdf'
+      };
+    } else {
+      const validity = await checkTabContentValidity(tabId);
+      if (!validity.valid || !validity.data) return;
+      pageData = validity.data;
+    }
+    
+    const result = await checkTabCopyright(tabId, pageData, { audit: false });
+    console.log(`🛡️ Tab ${tabId} pre-verified: ${result.allowed ? 'allowed' : 'blocked'} (${result.category})`);
+  } catch (error) {
+    console.log(`Copyright pre-verification skipped for tab ${tabId}:`, error.message);
+  }
+}
+
+/**
+ * Classify a copyright result for the toolbar badge
+ */
+function getCopyrightVerdict(result) {
+  if (!result) return null;
+  if (!result.allowed) return 'blocked';
+  if (result.category === 'whitelist') return 'whitelisted';
+  if (result.category === 'oa_verified') return 'oa_verified';
+  return 'unverified';
+}
+
+/**
+ * Badge for a tab with usable content: text shows login state, colour and title the copyright verdict
+ */
+function getContentBadge(tab) {
+  const loginHint = userLoginStatus.isLoggedIn ? '' : ' - Please log in to the web app';
+  // A full check wins over the domain list verdict
+  const status = [copyrightStatusCache.get(tab.id), domainRuleStatusCache.get(tab.id)]
+    .find(entry => entry && entry.url === tab.url);
+  const verdict = status ? getCopyrightVerdict(status.result) : null;
+  
+  if (!verdict) {
+    return {
+      text: userLoginStatus.isLoggedIn ? '✓' : '?',
+      color: userLoginStatus.isLoggedIn ? '#28a745' : '#ffc107',
+      title: `${ACTION_TITLE}${loginHint}`
+    };
+  }
+  
+  const style = CONFIG.COPYRIGHT_BADGES[verdict];
+  return {
+    text: verdict === 'blocked' ? '✕' : (userLoginStatus.isLoggedIn ? '✓' : '?'),
+    color: style.color,
+    title: `Uzei - ${style.label}: ${status.result.reason}${loginHint}`
+  };
+}
+
+/**
+ * Apply badge text, colour and title to a tab
+ */
+async function setTabBadge(tabId, badge) {
+  await safeTabOperation(async () => {
+    await chrome.action.setBadgeText({ text: badge.text, tabId });
+    if (badge.color) {
+      await chrome.action.setBadgeBackgroundColor({ color: badge.color, tabId });
+    }
+    await chrome.action.setTitle({ title: badge.title || ACTION_TITLE, tabId });
+  });
+}
+
+/**
+ * Update tab badges to show content validity and copyright status
  */
 async function updateTabBadges(specificTabId = null) {
   if (!extensionSettings.showBadges) return;
@@ -421,23 +624,13 @@ async function updateTabBadges(specificTabId = null) {
       
       // Skip invalid URLs
       if (!isValidTabUrl(tab.url)) {
-        await safeTabOperation(async () => {
-          await chrome.action.setBadgeText({ text: '', tabId: tab.id });
-        });
+        await setTabBadge(tab.id, { text: '' });
         continue;
       }
       
       // Handle PDFs
       if (isPDFUrl(tab.url)) {
-        await safeTabOperation(async () => {
-          if (userLoginStatus.isLoggedIn) {
-            await chrome.action.setBadgeText({ text: '✓', tabId: tab.id });
-            await chrome.action.setBadgeBackgroundColor({ color: '#28a745', tabId: tab.id });
-          } else {
-            await chrome.action.setBadgeText({ text: '?', tabId: tab.id });
-            await chrome.action.setBadgeBackgroundColor({ color: '#ffc107', tabId: tab.id });
-          }
-        });
+        await setTabBadge(tab.id, getContentBadge(tab));
         continue;
       }
       
@@ -450,27 +643,126 @@ async function updateTabBadges(specificTabId = null) {
         continue;
       }
       
-      await safeTabOperation(async () => {
-        if (validity.valid && userLoginStatus.isLoggedIn) {
-          await chrome.action.setBadgeText({ text: '✓', tabId: tab.id });
-          await chrome.action.setBadgeBackgroundColor({ color: '#28a745', tabId: tab.id });
-        } else if (validity.valid && !userLoginStatus.isLoggedIn) {
-          await chrome.action.setBadgeText({ text: '?', tabId: tab.id });
-          await chrome.action.setBadgeBackgroundColor({ color: '#ffc107', tabId: tab.id });
-        } else if (validity.reason === 'checking') {
-          await chrome.action.setBadgeText({ text: '...', tabId: tab.id });
-          await chrome.action.setBadgeBackgroundColor({ color: '#ffc107', tabId: tab.id });
-        } else {
-          await chrome.action.setBadgeText({ text: '!', tabId: tab.id });
-          await chrome.action.setBadgeBackgroundColor({ color: '#dc3545', tabId: tab.id });
-        }
-      });
+      if (validity.valid) {
+        await setTabBadge(tab.id, getContentBadge(tab));
+      } else if (validity.reason === 'checking') {
+        await setTabBadge(tab.id, { text: '...', color: '#ffc107' });
+      } else {
+        await setTabBadge(tab.id, {
+          text: '!',
+          color: '#dc3545',
+          title: 'Uzei - This page doesn\'t have enough content for analysis'
+        });
+      }
     }
   } catch (error) {
     console.error('Error updating tab badges:', error);
   }
 }
 
+/**
+ * Create the alarm for an embargo reminder at local midnight of the day the embargo ends
+ */
+function createEmbargoAlarm(id, embargoUntil) {
+  const when = Math.max(new Date(`${embargoUntil}T00:00:00`).getTime(), Date.now() + 60000);
+  chrome.alarms.create(id, { when });
+}
+
+/**
+ * Remind the user to check an embargoed article again once the embargo ends.
+ * reminder: { url, title, doi, embargoUntil } - one reminder per URL.
+ */
+async function scheduleEmbargoReminder(reminder) {
+  const embargoUntil = self.copyrightChecker.parseEmbargoDate(reminder?.embargoUntil);
+  if (!embargoUntil || !reminder.url) {
+    throw new Error('A URL and embargo end date are required');
+  }
+  
+  const id = `${CONFIG.EMBARGO_REMINDER_PREFIX}${reminder.url}`;
+  const stored = await chrome.storage.local.get(CONFIG.EMBARGO_REMINDERS_KEY);
+  const reminders = stored[CONFIG.EMBARGO_REMINDERS_KEY] || {};
+  
+  reminders[id] = {
+    url: reminder.url,
+    title: reminder.title || reminder.url,
+    doi: reminder.doi || null,
+    embargoUntil,
+    createdAt: new Date().toISOString()
+  };
+  
+  await chrome.storage.local.set({ [CONFIG.EMBARGO_REMINDERS_KEY]: reminders });
+  createEmbargoAlarm(id, embargoUntil);
+  
+  console.log(`⏰ Embargo reminder set for ${embargoUntil}: ${reminder.url}`);
+  return reminders[id];
+}
+
+/**
+ * Re-create missing reminder alarms (alarms are cleared when the extension is updated)
+ */
+async function restoreEmbargoReminders() {
+  const stored = await chrome.storage.local.get(CONFIG.EMBARGO_REMINDERS_KEY);
+  
+  for (const [id, reminder] of Object.entries(stored[CONFIG.EMBARGO_REMINDERS_KEY] || {})) {
+    if (!reminder.notifiedAt && !(await chrome.alarms.get(id))) {
+      createEmbargoAlarm(id, reminder.embargoUntil);
+    }
+  }
+}
+
+/**
+ * Notify the user that an embargo has ended (the reminder is removed when the notification is clicked or closed)
+ */
+async function showEmbargoReminder(id) {
+  const stored = await chrome.storage.local.get(CONFIG.EMBARGO_REMINDERS_KEY);
+  const reminders = stored[CONFIG.EMBARGO_REMINDERS_KEY] || {};
+  const reminder = reminders[id];
+  if (!reminder) return;
+  
+  chrome.notifications.create(id, {
+    type: 'basic',
+    iconUrl: 'icons/icon48.png',
+    title: 'Embargo Ended',
+    message: `"${reminder.title}" may now be available. Click to open it and add it to your project.`,
+    requireInteraction: true
+  });
+  
+  reminders[id] = { ...reminder, notifiedAt: new Date().toISOString() };
+  await chrome.storage.local.set({ [CONFIG.EMBARGO_REMINDERS_KEY]: reminders });
+}
+
+/**
+ * Remove an embargo reminder
+ */
+async function removeEmbargoReminder(id) {
+  const stored = await chrome.storage.local.get(CONFIG.EMBARGO_REMINDERS_KEY);
+  const reminders = stored[CONFIG.EMBARGO_REMINDERS_KEY] || {};
+  delete reminders[id];
+  await chrome.storage.local.set({ [CONFIG.EMBARGO_REMINDERS_KEY]: reminders });
+}
+
+/**
+ * Open the article when an embargo reminder is clicked
+ */
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+  if (!notificationId.startsWith(CONFIG.EMBARGO_REMINDER_PREFIX)) return;
+  
+  const stored = await chrome.storage.local.get(CONFIG.EMBARGO_REMINDERS_KEY);
+  const reminder = (stored[CONFIG.EMBARGO_REMINDERS_KEY] || {})[notificationId];
+  if (reminder) {
+    chrome.tabs.create({ url: reminder.url });
+  }
+  
+  chrome.notifications.clear(notificationId);
+  await removeEmbargoReminder(notificationId);
+});
+
+chrome.notifications.onClosed.addListener((notificationId, byUser) => {
+  if (byUser && notificationId.startsWith(CONFIG.EMBARGO_REMINDER_PREFIX)) {
+    removeEmbargoReminder(notificationId);
+  }
+});
+
 /**
  * Handle context menu item clicks
  */
@@ -613,8 +905,21 @@ chrome.runtime.onInstalled.addListener(async (details) => {
         contextMenu: true
       });
       
-      // Open options page on first install
+      // Open options page on first install (it asks for the Unpaywall contact email)
+      await chrome.storage.local.set({ unpaywallEmailPrompted: true });
       chrome.runtime.openOptionsPage();
+    } else if (details.reason === 'update') {
+      // Earlier versions cached OA results in chrome.storage.local
+      await self.oaCache.removeLegacyOACache();
+      
+      // Unpaywall needs a contact email - prompt once (not on every update) if it is still unset
+      const { unpaywallEmail } = await chrome.storage.sync.get('unpaywallEmail');
+      const { unpaywallEmailPrompted } = await chrome.storage.local.get('unpaywallEmailPrompted');
+      const managed = await self.managedPolicy.loadManagedPolicy();
+      if (!unpaywallEmail && !managed.unpaywallEmail && !unpaywallEmailPrompted) {
+        await chrome.storage.local.set({ unpaywallEmailPrompted: true });
+        chrome.runtime.openOptionsPage();
+      }
     }
     
     // Load extension settings
@@ -631,6 +936,9 @@ chrome.runtime.onInstalled.addListener(async (details) => {
     // Clear validity cache
     tabValidityCache.clear();
     
+    // Updates clear alarms - bring back pending embargo reminders
+    await restoreEmbargoReminders();
+    
     // Check initial login status
     await checkLoginStatus();
   } catch (error) {
@@ -643,14 +951,14 @@ chrome.runtime.onInstalled.addListener(async (details) => {
  */
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   if (changeInfo.status === 'complete' && tab.url) {
-    // Clear cached validity for this tab
+    // Clear cached validity and copyright status for this tab
     tabValidityCache.delete(tabId);
+    copyrightStatusCache.delete(tabId);
+    domainRuleStatusCache.delete(tabId);
     
     if (!isValidTabUrl(tab.url)) {
       if (extensionSettings.showBadges) {
-        await safeTabOperation(async () => {
-          await chrome.action.setBadgeText({ text: '', tabId: tabId });
-        });
+        await setTabBadge(tabId, { text: '' });
       }
       return;
     }
@@ -668,6 +976,7 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
           
           if (updatedTab && updatedTab.url === tab.url) {
             await updateTabBadges(tabId);
+            await preverifyTabCopyright(tabId);
           }
         }
       } catch (error) {
@@ -683,6 +992,9 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
 chrome.tabs.onRemoved.addListener((tabId) => {
   tabValidityCache.delete(tabId);
   pendingValidityChecks.delete(tabId);
+  copyrightStatusCache.delete(tabId);
+  domainRuleStatusCache.delete(tabId);
+  pendingCopyrightChecks.delete(tabId);
   chrome.storage.local.remove(`tab_${tabId}_data`);
 });
 
@@ -818,6 +1130,64 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     sendResponse({ success: true });
   }
   
+  // Verify copyright for page data (popup, batch jobs); reuses the tab's pre-verified result
+  if (request.action === 'checkCopyright') {
+    const tabId = request.tabId ?? sender.tab?.id ?? null;
+    
+    checkTabCopyright(tabId, request.pageData, request.context || {}).then(async (result) => {
+      const overridePolicy = await self.copyrightChecker.loadOverridePolicy();
+      sendResponse({
+        success: true,
+        result,
+        overrideAvailable: self.copyrightChecker.canOverride(result, overridePolicy),
+        message: self.copyrightChecker.getCopyrightMessage(result)
+      });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  // Check the configured URL for a newer signed domain list (options page "Check Now")
+  if (request.action === 'checkDomainListUpdate') {
+    self.dblistUpdater.checkForDomainListUpdate().then(status => {
+      sendResponse({ success: status.status !== 'failed', status });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  // Remind the user when an embargoed article becomes available
+  if (request.action === 'scheduleEmbargoReminder') {
+    scheduleEmbargoReminder(request.reminder).then(reminder => {
+      sendResponse({ success: true, reminder });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  // Apply a justified override to a blocked result (validated and audited by the checker).
+  // The overridden decision is the tab's own check result, never the one sent with the message.
+  if (request.action === 'applyCopyrightOverride') {
+    const tabId = request.tabId ?? sender.tab?.id ?? null;
+    
+    checkTabCopyright(tabId, request.pageData, { audit: false }).then(checked => {
+      return self.copyrightChecker.applyOverride(
+        request.pageData,
+        checked,
+        request.override,
+        request.context || {}
+      );
+    }).then(result => {
+      sendResponse({ success: true, result });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+  
   // Handle batch processing completion
   if (request.action === 'batchProcessComplete') {
     const { successful, failed, total } = request;
@@ -840,6 +1210,7 @@ chrome.runtime.onStartup.addListener(async () => {
     await loadExtensionSettings();
     createContextMenus();
     tabValidityCache.clear();
+    await restoreEmbargoReminders();
     await checkLoginStatus();
   } catch (error) {
     console.error('Error during startup:', error);
@@ -885,10 +1256,21 @@ async function performPeriodicCleanup() {
       }
     }
     
+    for (const cache of [copyrightStatusCache, domainRuleStatusCache]) {
+      for (const [tabId] of cache) {
+        if (!activeTabIds.has(tabId)) {
+          cache.delete(tabId);
+        }
+      }
+    }
+    
     // Refresh login status periodically
     if (Date.now() - userLoginStatus.lastCheck > CONFIG.SESSION_CHECK_INTERVAL) {
       await checkLoginStatus();
     }
+    
+    // Drop expired open access cache entries
+    await self.oaCache.sweepExpiredOAStatus();
   } catch (error) {
     console.error('Error during cache cleanup:', error);
   }
@@ -915,6 +1297,10 @@ chrome.alarms.onAlarm.addListener((alarm) => {
     checkLoginStatus();
   } else if (alarm.name === 'periodicCleanup') {
     performPeriodicCleanup();
+  } else if (alarm.name === 'updateDomainList') {
+    self.dblistUpdater.checkForDomainListUpdate();
+  } else if (alarm.name.startsWith(CONFIG.EMBARGO_REMINDER_PREFIX)) {
+    showEmbargoReminder(alarm.name);
   }
 });
 
@@ -922,16 +1308,29 @@ chrome.alarms.onAlarm.addListener((alarm) => {
  * Handle storage changes from options page
  */
 chrome.storage.onChanged.addListener((changes, areaName) => {
-  if (areaName === 'sync') {
+  if (areaName === 'sync' || areaName === 'managed') {
     console.log('Storage changed, reloading extension settings...');
     loadExtensionSettings();
   }
+  
+  // Copyright policy, providers or domain rules may have changed - verify again on next use
+  if (areaName === 'sync' || areaName === 'managed' || changes.userDomainRules || changes[self.dblistUpdater.STORAGE_KEY]) {
+    copyrightStatusCache.clear();
+    domainRuleStatusCache.clear();
+  }
 });
 
 // Set up periodic maintenance alarms
 try {
   chrome.alarms.create('checkLoginStatus', { periodInMinutes: 5 });
   chrome.alarms.create('periodicCleanup', { periodInMinutes: 1 });
+  
+  // Created once so service worker restarts do not push the daily check back
+  chrome.alarms.get('updateDomainList').then(alarm => {
+    if (!alarm) {
+      chrome.alarms.create('updateDomainList', { delayInMinutes: 1, periodInMinutes: CONFIG.DOMAIN_LIST_UPDATE_MINUTES });
+    }
+  });
 } catch (error) {
   console.error('Error creating alarms:', error);
 }
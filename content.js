@@ -2,8 +2,10 @@
  * Uzei - Literature Review Extension
  * Content Script - MODIFIED WITH DOI EXTRACTION
  * 
- * Extracts webpage content including titles, authors, dates, main text, and DOI.
+ * Extracts webpage content including titles, authors, dates, main text, DOI and other identifiers.
  * Handles both regular webpages and PDF documents with enhanced detection.
+ * Publisher pages are read with their site adapter first (site-adapters.js), then citation meta tags and
+ * Schema.org structured data (structured-data.js); generic extractors fill the gaps.
  */
 
 // Content extraction configuration
@@ -13,7 +15,7 @@ const CONFIG = {
   MAX_CONCURRENT_EXTRACTIONS: 1,
   EXTRACTION_TIMEOUT: 15000,
   
-  // Content selectors prioritized by quality
+  // Known article containers - a bonus in main-content scoring, not a guaranteed match
   CONTENT_SELECTORS: [
     'article',
     '[role="main"]',
@@ -38,51 +40,10 @@ const CONFIG = {
     '.headline'
   ],
   
-  // Author selectors with academic publisher support
+  // Generic author selectors (publisher-specific rules live in site-adapters.js)
   AUTHOR_SELECTORS: [
-    // Academic publisher specific selectors
-    '.document-authors-banner .authors-info .blue-tooltip',
-    '.document-authors-banner .authors-info a',
-    '.stats-document-authors-banner .authors-info .blue-tooltip',
-    '.authors-container .blue-tooltip',
-    '.authors-info .blue-tooltip',
-    '.authors-info a[href*="/author/"]',
-    
-    // ScienceDirect selectors
-    '.author-group .author',
-    '.author-group .given-name, .author-group .surname',
-    '.authors-list .author',
-    '.author .given-name, .author .surname',
-    '#author-group .author',
-    '.elsevierStyled_authorName__3V8bC',
-    '.author-list .author-name',
-    '.AuthorGroups .author',
-    '.author-info .author-name',
-    
-    // ACM Digital Library selectors
-    '.hlFld-ContribAuthor',
-    '.loa__author-name',
-    '.contrib-author',
-    '.author-info .author',
-    
-    // arXiv selectors
-    '.authors a',
-    '.authors .author',
-    '.submission-history .authors',
-    
-    // PubMed/NCBI selectors
-    '.authors .author',
-    '.auths a',
-    '.authors-list .author',
-    
-    // Springer selectors
-    '.c-article-author-list .c-article-author-list__item',
-    '.authors__name',
-    '.test-author-name',
-    
-    // Nature selectors
-    '.c-article-author-list__item',
-    '.author-list .author',
+    // Generic author meta tag (news sites and blogs)
+    'meta[name="author"]',
     
     // Structured data selectors
     '[itemprop="author"]',
@@ -123,6 +84,37 @@ const CONFIG = {
   MIN_CONTENT_LENGTH: 200,
   MAX_CONTENT_LENGTH: 100000,
   
+  // Page furniture removed before main-content scoring (form controls only - ASP.NET
+  // WebForms pages wrap the whole body, article included, in a single <form>)
+  BOILERPLATE_SELECTORS: [
+    'script', 'style', 'noscript', 'template', 'iframe', 'svg', 'button', 'input', 'select', 'textarea',
+    'nav', 'header', 'footer', 'aside', 'dialog',
+    '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="dialog"]', '[aria-hidden="true"]',
+    '.sidebar', '.navigation', '.menu', '.ads', '.advertisement', '.social', '.social-share', '.comments', '.related',
+    '[id*="cookie"]', '[class*="cookie"]', '[id*="consent"]', '[class*="consent"]'
+  ],
+  
+  // Readability-style main-content scoring
+  CONTENT_SCORING: {
+    MIN_PARAGRAPH_LENGTH: 25,
+    CLASS_WEIGHT: 25,
+    CONTAINER_BONUS: 10,
+    POSITIVE_PATTERN: /article|abstract|body|content|entry|main|page|post|story|text|blog|chapter|section/i,
+    NEGATIVE_PATTERN: /banner|breadcrumb|combx|comment|community|consent|cookie|disqus|extra|foot|header|hidden|legal|menu|meta|modal|nav|newsletter|outbrain|pagination|popup|promo|related|remark|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|tags|tool|widget|^ad-|-ad$|\bads?\b/i,
+    TAG_SCORES: {
+      article: 10, main: 5, section: 3, div: 5, pre: 3, td: 3, blockquote: 3,
+      ol: -3, ul: -3, dl: -3, dd: -3, dt: -3, li: -3, form: -3, address: -3,
+      h1: -5, h2: -5, h3: -5, h4: -5, h5: -5, h6: -5, th: -5
+    },
+    // Siblings of the best candidate scoring at least this share of its score are part of the article
+    SIBLING_SCORE_RATIO: 0.2,
+    // Articles split into sections: move up when this many candidates within this share of the best share an ancestor
+    SHARED_ANCESTOR_MIN: 3,
+    SHARED_ANCESTOR_RATIO: 0.75,
+    // Nested blocks with more link text than this are menus and link lists
+    MAX_LINK_DENSITY: 0.5
+  },
+  
   // PDF detection selectors
   PDF_EMBED_SELECTORS: [
     'embed[type="application/pdf"]',
@@ -133,6 +125,33 @@ const CONFIG = {
     'object[data*=".pdf"]'
   ],
   
+  // Scholarly meta tags (Highwire Press, PRISM, Dublin Core, eprints) per bibliographic field,
+  // in priority order. Names are matched case-insensitively and "prism:" equals "prism.".
+  CITATION_META: {
+    title: ['citation_title', 'dc.title', 'dcterms.title', 'eprints.title'],
+    containerTitle: [
+      'citation_journal_title', 'citation_book_title', 'citation_inbook_title', 'prism.publicationname',
+      'dcterms.ispartof', 'dc.relation.ispartof', 'eprints.publication', 'eprints.book_title', 'dc.source'
+    ],
+    conference: ['citation_conference_title', 'citation_conference', 'eprints.event_title', 'prism.eventname'],
+    volume: ['citation_volume', 'prism.volume', 'eprints.volume'],
+    issue: ['citation_issue', 'prism.number', 'prism.issueidentifier', 'eprints.number'],
+    firstPage: ['citation_firstpage', 'prism.startingpage'],
+    lastPage: ['citation_lastpage', 'prism.endingpage'],
+    pages: ['prism.pagerange', 'eprints.pagerange'],
+    publisher: ['citation_publisher', 'dc.publisher', 'dcterms.publisher', 'prism.publisher', 'eprints.publisher'],
+    institution: ['citation_dissertation_institution', 'citation_technical_report_institution', 'eprints.institution'],
+    issn: ['citation_issn', 'citation_eissn', 'prism.issn', 'prism.eissn', 'eprints.issn'],
+    isbn: ['citation_isbn', 'prism.isbn', 'eprints.isbn', 'book:isbn'],
+    pdfUrl: ['citation_pdf_url', 'eprints.document_url'],
+    publicationDate: [
+      'citation_publication_date', 'citation_date', 'prism.publicationdate', 'prism.coverdate',
+      'dcterms.issued', 'dc.date.issued', 'dc.date', 'dcterms.date', 'eprints.date'
+    ],
+    onlineDate: ['citation_online_date', 'prism.onlinedate'],
+    language: ['citation_language', 'dc.language', 'dcterms.language']
+  },
+  
   // Academic publisher domains
   ACADEMIC_PUBLISHERS: [
     'sciencedirect.com',
@@ -163,12 +182,42 @@ if (window.uzeiLiteratureReviewExtensionLoaded) {
  * Check if current site is an academic publisher
  */
 function isAcademicPublisher() {
+  if (self.siteAdapters?.findSiteAdapter(window.location.href)) return true;
+  
   const hostname = window.location.hostname.toLowerCase();
   return CONFIG.ACADEMIC_PUBLISHERS.some(publisher => 
     hostname.includes(publisher.toLowerCase())
   );
 }
 
+/**
+ * Run the site adapter matching this page, if any (null when no adapter applies)
+ */
+function extractSiteAdapterData(adapter = self.siteAdapters?.findSiteAdapter(window.location.href)) {
+  if (!adapter) return null;
+  
+  try {
+    const data = self.siteAdapters.runSiteAdapter(adapter, document);
+    console.log(`Extracted with the ${adapter.name} site adapter:`, data);
+    return data;
+  } catch (e) {
+    console.warn(`Site adapter ${adapter.id} failed, using generic extraction:`, e);
+    return null;
+  }
+}
+
+/**
+ * Join adapter sections into the content text ("Heading: text" per section)
+ */
+function formatAdapterSections(sections) {
+  const content = (sections || [])
+    .map(section => section.heading ? `${section.heading}: ${section.text}` : section.text)
+    .join(' ')
+    .substring(0, CONFIG.MAX_CONTENT_LENGTH);
+  
+  return content.length >= CONFIG.MIN_CONTENT_LENGTH ? content : '';
+}
+
 /**
  * Enhanced PDF page detection - STRICT VERSION
  * Only detects actual PDF viewer pages, not HTML pages with embedded PDFs
@@ -473,10 +522,166 @@ function isValidAuthorName(name) {
   return true;
 }
 
-function extractAuthorsNonDestructive() {
+const NAME_PARTICLES = new Set(['van', 'von', 'der', 'den', 'de', 'del', 'della', 'da', 'dos', 'du', 'di', 'la', 'le', 'ter', 'ten', 'bin', 'ibn', 'al']);
+const NAME_SUFFIXES = /^(?:jr|sr|ii|iii|iv)\.?$/i;
+
+/**
+ * Split a display name into given and family names ("Family, Given" and "Given van Family" forms)
+ */
+function splitAuthorName(name) {
+  const inverted = name.match(/^([^,]+),\s*([^,]+?)(?:,\s*([^,]+))?$/);
+  if (inverted && !NAME_SUFFIXES.test(inverted[2]) && (!inverted[3] || NAME_SUFFIXES.test(inverted[3]))) {
+    const familyName = [inverted[1].trim(), inverted[3]].filter(Boolean).join(' ');
+    const givenName = inverted[2].trim();
+    return { displayName: `${givenName} ${familyName}`, givenName, familyName };
+  }
+  
+  const displayName = name.replace(/,\s*/g, ' ').trim();
+  const parts = displayName.split(' ');
+  const suffix = parts.length > 2 && NAME_SUFFIXES.test(parts[parts.length - 1]) ? parts.pop() : '';
+  if (parts.length < 2) {
+    return { displayName, givenName: null, familyName: displayName };
+  }
+  
+  // Lower-case particles belong to the family name ("Ludwig van Beethoven")
+  let start = parts.length - 1;
+  while (start > 1 && NAME_PARTICLES.has(parts[start - 1])) start--;
+  
+  return {
+    displayName,
+    givenName: parts.slice(0, start).join(' '),
+    familyName: [...parts.slice(start), suffix].filter(Boolean).join(' ')
+  };
+}
+
+/**
+ * Normalise an author email address (mailto: links included)
+ */
+function normalizeAuthorEmail(value) {
+  const email = String(value || '').trim().replace(/^mailto:/i, '').replace(/\?.*$/, '');
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email.toLowerCase() : null;
+}
+
+/**
+ * Build an author record from a raw name and whatever details the source provides.
+ * The ORCID iD is read before cleanAuthorName strips it from the name.
+ */
+function createAuthorRecord(rawName, details = {}) {
+  const raw = String(rawName || '');
+  const orcid = self.identifierUtils.normalizeORCID(details.orcid) ||
+    (/orcid/i.test(raw) ? self.identifierUtils.normalizeORCID(raw) : null);
+  
+  const name = cleanAuthorName(raw.replace(/\(?\s*(?:https?:\/\/)?orcid(?:\.org\/|[:\s]+)[\d-]+X?\s*\)?/gi, ' '));
+  if (!name) return null;
+  
+  // Organisations (collaborations, consortia) keep their name whole
+  const parts = details.type === 'Organization'
+    ? { displayName: name, givenName: null, familyName: null }
+    : splitAuthorName(name);
+  if (!isValidAuthorName(parts.displayName)) return null;
+  
+  return {
+    displayName: parts.displayName,
+    givenName: details.givenName || parts.givenName,
+    familyName: details.familyName || parts.familyName,
+    orcid,
+    affiliations: [...new Set((details.affiliations || []).filter(Boolean))],
+    email: normalizeAuthorEmail(details.email),
+    corresponding: Boolean(details.corresponding)
+  };
+}
+
+/**
+ * Key used to match the same author across sources (family name plus first initial, accents ignored)
+ */
+function getAuthorKey(record) {
+  const fold = text => (text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+  return `${fold(record.familyName || record.displayName)}|${fold(record.givenName).charAt(0)}`;
+}
+
+/**
+ * Read citation_author tags with the institution / email / ORCID tags that follow each one
+ */
+function extractCitationAuthors() {
+  const entries = [];
+  
+  document.querySelectorAll('meta[name]').forEach(meta => {
+    const name = meta.getAttribute('name').trim().toLowerCase();
+    const value = (meta.getAttribute('content') || '').replace(/\s+/g, ' ').trim();
+    const current = entries[entries.length - 1];
+    if (!value) return;
+    
+    if (name === 'citation_author') {
+      entries.push({ name: value, affiliations: [] });
+    } else if (current && (name === 'citation_author_institution' || name === 'citation_author_affiliation')) {
+      current.affiliations.push(value);
+    } else if (current && name === 'citation_author_email') {
+      current.email = value;
+    } else if (current && name === 'citation_author_orcid') {
+      current.orcid = value;
+    }
+  });
+  
+  // Dublin Core creators only when there are no Highwire author tags
+  if (entries.length === 0) {
+    document.querySelectorAll('meta[name="DC.creator"], meta[name="dc.creator"], meta[name="dcterms.creator"], meta[name="DCTERMS.creator"]')
+      .forEach(meta => meta.content && entries.push({ name: meta.content.trim() }));
+  }
+  
+  return entries;
+}
+
+/**
+ * Fill gaps in the primary author list from the other sources (matched by ORCID or name)
+ */
+function enrichAuthorRecords(primary, others) {
+  others.forEach(records => {
+    records.forEach(record => {
+      // Name keys can collide in large author lists, so they only match when unambiguous
+      const byName = primary.filter(author => getAuthorKey(author) === getAuthorKey(record));
+      const match = (record.orcid && primary.find(author => author.orcid === record.orcid)) ||
+        (byName.length === 1 ? byName[0] : null);
+      if (!match) return;
+      
+      match.orcid = match.orcid || record.orcid;
+      match.email = match.email || record.email;
+      match.givenName = match.givenName || record.givenName;
+      match.familyName = match.familyName || record.familyName;
+      match.corresponding = match.corresponding || record.corresponding;
+      if (match.affiliations.length === 0) match.affiliations = record.affiliations;
+    });
+  });
+  
+  return primary;
+}
+
+/**
+ * Split a byline ("By Jane Roe, John Doe and Ann Poe") into individual names
+ */
+function splitBylineNames(text) {
+  return (text || '')
+    .replace(/\s+/g, ' ')
+    .replace(/^\s*(?:by|written by|posted by|author(?:s)?:?)\s+/i, '')
+    .split(/\s*(?:,|;|&|\band\b)\s*/i)
+    .map(name => name.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Format author records as the comma-separated display string
+ */
+function formatAuthorNames(records) {
+  return records.length > 0 ? records.map(author => author.displayName).join(', ') : 'Unknown Author';
+}
+
+/**
+ * Extract the ordered author records. Sources in priority order: publisher adapter, citation meta
+ * tags, Schema.org data, then DOM heuristics (author meta tag, bylines) when none of those has authors.
+ * The first source with authors sets the list and order; the later ones only fill in ORCID iDs,
+ * affiliations and emails.
+ */
+function extractAuthorsNonDestructive(adapterAuthors = [], structuredAuthors = []) {
   // ... [keeping original complex author extraction]
-  const foundAuthors = [];
-  const foundAuthorSet = new Set();
   const isAcademic = isAcademicPublisher();
   
   console.log(`Extracting authors from ${isAcademic ? 'academic' : 'general'} publisher site`);
@@ -498,71 +703,98 @@ function extractAuthorsNonDestructive() {
     return (container.textContent || container.innerText || '').trim();
   }
   
-  // Try citation_author meta tags first
-  try {
-    const citationAuthors = document.querySelectorAll('meta[name="citation_author"], meta[name="DC.creator"], meta[name="dc.creator"]');
-    citationAuthors.forEach(meta => {
-      if (meta && meta.content) {
-        const name = cleanAuthorName(meta.content.trim());
-        if (name && isValidAuthorName(name) && !foundAuthorSet.has(name)) {
-          foundAuthors.push(name);
-          foundAuthorSet.add(name);
-        }
+  function toRecords(authors) {
+    const records = [];
+    const seen = new Set();
+    
+    authors.forEach(author => {
+      const record = createAuthorRecord(author.name, author);
+      const key = record && (record.orcid || record.displayName.toLowerCase());
+      if (record && !seen.has(key)) {
+        records.push(record);
+        seen.add(key);
       }
     });
     
-    if (foundAuthors.length > 0) {
-      console.log('Found authors from citation meta tags:', foundAuthors);
-      return foundAuthors.slice(0, 10).join(', ') || 'Unknown Author';
-    }
+    return records;
+  }
+  
+  const sources = [
+    ['site adapter', toRecords(adapterAuthors || [])],
+    ['citation meta tags', []],
+    ['structured data', toRecords(structuredAuthors || [])]
+  ];
+  
+  try {
+    sources[1][1] = toRecords(extractCitationAuthors());
   } catch (e) {
     console.warn('Error extracting citation authors:', e);
   }
   
-  // ... [rest of author extraction logic from original]
-  // For brevity, indicating this continues with all the original logic
+  // Page layout (author meta tag, bylines, rel=author links) only when nothing declares the authors
+  if (sources.every(([, records]) => records.length === 0)) {
+    for (const selector of CONFIG.AUTHOR_SELECTORS) {
+      try {
+        const names = [...document.querySelectorAll(selector)].flatMap(el =>
+          splitBylineNames(el.getAttribute('content') || extractAuthorFromContainer(el)));
+        const records = toRecords(names.map(name => ({ name })));
+        
+        if (records.length > 0) {
+          sources.push([`page layout (${selector})`, records]);
+          break;
+        }
+      } catch (e) {
+        console.warn(`Error with author selector ${selector}:`, e);
+      }
+    }
+  }
   
-  if (foundAuthors.length === 0) {
-    return 'Unknown Author';
+  const primaryIndex = sources.findIndex(([, records]) => records.length > 0);
+  if (primaryIndex === -1) {
+    return [];
   }
   
-  const result = foundAuthors.slice(0, 10).join(', ');
-  console.log('Final extracted authors:', result);
+  const [sourceName, primary] = sources[primaryIndex];
+  const result = enrichAuthorRecords(primary, sources.filter((source, index) => index !== primaryIndex).map(([, records]) => records));
+  console.log(`Found ${result.length} authors from ${sourceName}:`, result);
   
   return result;
 }
 
-function extractDateNonDestructive() {
-  // ... [keeping original date extraction]
-  function parseYear(dateString) {
-    if (!dateString || typeof dateString !== 'string') return null;
+/**
+ * Parse a publication year (1900-2030) from a date string
+ */
+function parsePublicationYear(dateString) {
+  if (!dateString || typeof dateString !== 'string') return null;
+  
+  try {
+    const cleanDate = dateString.trim();
     
-    try {
-      const cleanDate = dateString.trim();
-      
-      const yearMatch = cleanDate.match(/\b(19|20)\d{2}\b/);
-      if (yearMatch) {
-        const year = parseInt(yearMatch[0]);
-        if (year >= 1900 && year <= 2030) {
-          return year;
-        }
+    const yearMatch = cleanDate.match(/\b(19|20)\d{2}\b/);
+    if (yearMatch) {
+      const year = parseInt(yearMatch[0]);
+      if (year >= 1900 && year <= 2030) {
+        return year;
       }
-      
-      const date = new Date(cleanDate);
-      if (!isNaN(date.getTime())) {
-        const year = date.getFullYear();
-        if (year >= 1900 && year <= 2030) {
-          return year;
-        }
+    }
+    
+    const date = new Date(cleanDate);
+    if (!isNaN(date.getTime())) {
+      const year = date.getFullYear();
+      if (year >= 1900 && year <= 2030) {
+        return year;
       }
-      
-    } catch (e) {
-      console.warn('Error parsing date:', cleanDate, e);
     }
     
-    return null;
+  } catch (e) {
+    console.warn('Error parsing date:', cleanDate, e);
   }
+  
+  return null;
+}
 
+function extractDateNonDestructive() {
+  // ... [keeping original date extraction]
   // ... [rest of original date extraction logic]
   
   console.log('No publication date found on page');
@@ -610,33 +842,222 @@ function extractTitleNonDestructive() {
   return 'Untitled';
 }
 
-function extractMainContentHybrid() {
-  for (const selector of CONFIG.CONTENT_SELECTORS) {
-    try {
-      const elements = document.querySelectorAll(selector);
-      for (const el of elements) {
-        const elementHtml = el.outerHTML;
-        const content = extractCleanTextDestructive(elementHtml);
-        
-        if (content && content.length >= CONFIG.MIN_CONTENT_LENGTH) {
-          return content.substring(0, CONFIG.MAX_CONTENT_LENGTH);
-        }
-      }
-    } catch (e) {
-      console.warn(`Error with selector ${selector}:`, e);
+/**
+ * Collapse whitespace in an element's text (works on parsed copies, which have no layout)
+ */
+function getNormalizedText(element) {
+  return element ? (element.textContent || '').replace(/\s+/g, ' ').trim() : '';
+}
+
+/**
+ * Share of an element's text that sits inside links (0 - 1)
+ */
+function getLinkDensity(element) {
+  const textLength = getNormalizedText(element).length;
+  if (!textLength) return 0;
+  
+  let linkLength = 0;
+  element.querySelectorAll('a').forEach(link => {
+    linkLength += getNormalizedText(link).length;
+  });
+  
+  return Math.min(linkLength / textLength, 1);
+}
+
+/**
+ * Class/id weight: article-like names score up, page furniture scores down
+ */
+function getClassWeight(element) {
+  const { CLASS_WEIGHT, POSITIVE_PATTERN, NEGATIVE_PATTERN } = CONFIG.CONTENT_SCORING;
+  let weight = 0;
+  
+  [element.getAttribute('class'), element.id].forEach(name => {
+    if (!name) return;
+    if (NEGATIVE_PATTERN.test(name)) weight -= CLASS_WEIGHT;
+    if (POSITIVE_PATTERN.test(name)) weight += CLASS_WEIGHT;
+  });
+  
+  return weight;
+}
+
+/**
+ * Starting score of a candidate from its tag, class/id names and known container selectors
+ */
+function getInitialContentScore(element) {
+  const { TAG_SCORES, CONTAINER_BONUS } = CONFIG.CONTENT_SCORING;
+  let score = (TAG_SCORES[element.tagName.toLowerCase()] || 0) + getClassWeight(element);
+  
+  if (CONFIG.CONTENT_SELECTORS.some(selector => element.matches(selector))) {
+    score += CONTAINER_BONUS;
+  }
+  
+  return score;
+}
+
+/**
+ * Remove page furniture from a parsed copy of the page: boilerplate selectors, then
+ * elements whose class/id looks like furniture and nothing like an article
+ */
+function stripBoilerplate(root) {
+  const { POSITIVE_PATTERN, NEGATIVE_PATTERN } = CONFIG.CONTENT_SCORING;
+  
+  root.querySelectorAll(CONFIG.BOILERPLATE_SELECTORS.join(', ')).forEach(el => el.remove());
+  
+  root.querySelectorAll('div, section, span, ul, ol, table, p').forEach(el => {
+    const names = `${el.getAttribute('class') || ''} ${el.id || ''}`;
+    if (NEGATIVE_PATTERN.test(names) && !POSITIVE_PATTERN.test(names)) {
+      el.remove();
+    }
+  });
+}
+
+/**
+ * Paragraph-like elements: paragraphs, preformatted text, quotes, table cells and text-only divs
+ */
+function getContentParagraphs(root) {
+  return [...root.querySelectorAll('p, pre, td, blockquote, div')].filter(el =>
+    el.tagName.toLowerCase() !== 'div' ||
+    !el.querySelector('p, div, section, article, table, ul, ol, pre, blockquote')
+  );
+}
+
+/**
+ * Score content candidates: each paragraph adds to its parent and (half) to its grandparent,
+ * then scores are scaled down by link density. Returns candidates, best first.
+ */
+function scoreContentCandidates(root) {
+  const { MIN_PARAGRAPH_LENGTH } = CONFIG.CONTENT_SCORING;
+  const scores = new Map();
+  
+  const addScore = (element, points) => {
+    if (!element || !root.contains(element)) return;
+    if (!scores.has(element)) {
+      scores.set(element, { element, score: getInitialContentScore(element) });
     }
+    scores.get(element).score += points;
+  };
+  
+  getContentParagraphs(root).forEach(paragraph => {
+    const text = getNormalizedText(paragraph);
+    if (text.length < MIN_PARAGRAPH_LENGTH) return;
+    
+    // One point per paragraph, per comma and per 100 characters (up to 3)
+    const points = text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+    addScore(paragraph.parentElement, points);
+    addScore(paragraph.parentElement?.parentElement, points / 2);
+  });
+  
+  return [...scores.values()]
+    .map(candidate => {
+      candidate.linkDensity = getLinkDensity(candidate.element);
+      candidate.score *= 1 - candidate.linkDensity;
+      return candidate;
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Move up from the best candidate to the ancestor shared by several strong candidates
+ * (each section of a sectioned article is scored on its own)
+ */
+function promoteSharedAncestor(top, candidates, root) {
+  const { SHARED_ANCESTOR_MIN, SHARED_ANCESTOR_RATIO } = CONFIG.CONTENT_SCORING;
+  
+  const alternatives = candidates.slice(1, 6).filter(candidate =>
+    candidate.score >= top.score * SHARED_ANCESTOR_RATIO && !candidate.element.contains(top.element)
+  );
+  if (alternatives.length < SHARED_ANCESTOR_MIN) return top.element;
+  
+  for (let ancestor = top.element.parentElement; ancestor && ancestor !== root; ancestor = ancestor.parentElement) {
+    const shared = alternatives.filter(candidate => ancestor.contains(candidate.element)).length;
+    if (shared >= SHARED_ANCESTOR_MIN) return ancestor;
   }
   
-  if (document.body) {
-    const bodyHtml = document.body.outerHTML;
-    const bodyText = extractCleanTextDestructive(bodyHtml);
+  return top.element;
+}
+
+/**
+ * Confidence (0 - 1) that the chosen element is the article: text length, paragraph count,
+ * link density and how far it is ahead of the best candidate outside it
+ */
+function scoreExtractionConfidence(article, topScore, candidates, content) {
+  const { MIN_PARAGRAPH_LENGTH } = CONFIG.CONTENT_SCORING;
+  const rival = candidates.find(candidate =>
+    !candidate.element.contains(article) && !article.contains(candidate.element)
+  );
+  const paragraphs = getContentParagraphs(article)
+    .filter(paragraph => getNormalizedText(paragraph).length >= MIN_PARAGRAPH_LENGTH).length;
+  
+  const lengthFactor = Math.min(content.length / 2000, 1);
+  const paragraphFactor = Math.min(paragraphs / 5, 1);
+  const linkFactor = 1 - getLinkDensity(article);
+  const marginFactor = rival && topScore > 0 ? Math.max(0, 1 - rival.score / topScore) : 1;
+  
+  const confidence = 0.35 * lengthFactor + 0.25 * paragraphFactor + 0.2 * linkFactor + 0.2 * marginFactor;
+  return Math.round(confidence * 100) / 100;
+}
+
+/**
+ * Find the article with readability-style scoring on a parsed copy of the page.
+ * Returns { content, confidence } - confidence is low when falling back to the whole body.
+ */
+function extractMainContentScored() {
+  if (!document.body) {
+    return { content: '', confidence: 0 };
+  }
+  
+  const { SIBLING_SCORE_RATIO, MAX_LINK_DENSITY } = CONFIG.CONTENT_SCORING;
+  
+  try {
+    // Work on a parsed copy so the page itself is never modified
+    const doc = new DOMParser().parseFromString(document.body.outerHTML, 'text/html');
+    stripBoilerplate(doc.body);
     
-    if (bodyText.length >= CONFIG.MIN_CONTENT_LENGTH) {
-      return bodyText.substring(0, CONFIG.MAX_CONTENT_LENGTH);
+    const candidates = scoreContentCandidates(doc.body);
+    const top = candidates[0];
+    
+    if (!top || top.score <= 0) {
+      const bodyText = extractCleanTextDestructive(doc.body.outerHTML);
+      console.log('No article candidate found - using the page body');
+      return {
+        content: bodyText.length >= CONFIG.MIN_CONTENT_LENGTH ? bodyText.substring(0, CONFIG.MAX_CONTENT_LENGTH) : '',
+        confidence: 0.1
+      };
     }
+    
+    const article = promoteSharedAncestor(top, candidates, doc.body);
+    
+    // Articles split into sibling blocks (e.g. around an ad slot) are joined back together
+    const scoreOf = new Map(candidates.map(candidate => [candidate.element, candidate.score]));
+    const siblingThreshold = Math.max(10, top.score * SIBLING_SCORE_RATIO);
+    const parts = article.parentElement && article !== doc.body
+      ? [...article.parentElement.children].filter(sibling =>
+        sibling === article || (scoreOf.get(sibling) || 0) >= siblingThreshold)
+      : [article];
+    
+    // Link lists and menus left inside the article
+    parts.forEach(part => {
+      part.querySelectorAll('ul, ol, div, section, table').forEach(block => {
+        if (getLinkDensity(block) > MAX_LINK_DENSITY) {
+          block.remove();
+        }
+      });
+    });
+    
+    const content = extractCleanTextDestructive(parts.map(part => part.outerHTML).join('\n'))
+      .substring(0, CONFIG.MAX_CONTENT_LENGTH);
+    const confidence = scoreExtractionConfidence(article, top.score, candidates, content);
+    
+    console.log(`Main content: <${article.tagName.toLowerCase()}> (best block scored ${top.score.toFixed(1)}), confidence ${confidence}`);
+    
+    return {
+      content: content.length >= CONFIG.MIN_CONTENT_LENGTH ? content : '',
+      confidence
+    };
+  } catch (e) {
+    console.warn('Error scoring main content:', e);
+    return { content: '', confidence: 0 };
   }
-  
-  return '';
 }
 
 /**
@@ -646,12 +1067,15 @@ function extractMainContentHybrid() {
 function extractDOINonDestructive() {
   console.log('Extracting DOI from page...');
   
+  // Parsing and normalisation are shared with the rest of the extension (doi-utils.js)
+  const { normalizeDOI, extractDOI, extractDOIFromUrl, arxivToDOI } = self.doiUtils;
+  
   // Strategy 1: Check citation_doi meta tag (most reliable)
   try {
     const citationDOI = document.querySelector('meta[name="citation_doi"], meta[name="dc.identifier"], meta[name="DC.identifier"]');
     if (citationDOI && citationDOI.content) {
-      const doi = citationDOI.content.replace(/^doi:\s*/i, '').trim();
-      if (doi && /^10\.\d{4,}\//.test(doi)) {
+      const doi = normalizeDOI(citationDOI.content);
+      if (doi) {
         console.log('Found DOI in meta tag:', doi);
         return doi;
       }
@@ -660,64 +1084,23 @@ function extractDOINonDestructive() {
     console.warn('Error checking citation meta for DOI:', e);
   }
   
-  // Strategy 2: Check JSON-LD structured data
+  // Strategy 2: Check JSON-LD and microdata (all nodes, including @graph arrays)
   try {
-    const jsonLdScripts = document.querySelectorAll('script[type="application/ld+json"]');
-    for (const script of jsonLdScripts) {
-      try {
-        const data = JSON.parse(script.textContent);
-        
-        const extractDOIFromStructuredData = (obj) => {
-          if (obj.identifier) {
-            if (typeof obj.identifier === 'string' && obj.identifier.startsWith('10.')) {
-              return obj.identifier;
-            } else if (typeof obj.identifier === 'object') {
-              if (obj.identifier.value && obj.identifier.value.startsWith('10.')) {
-                return obj.identifier.value;
-              }
-              if (obj.identifier['@value'] && obj.identifier['@value'].startsWith('10.')) {
-                return obj.identifier['@value'];
-              }
-            }
-          }
-          if (obj.doi && typeof obj.doi === 'string') {
-            return obj.doi.replace(/^doi:\s*/i, '').trim();
-          }
-          if (obj['@id'] && typeof obj['@id'] === 'string' && obj['@id'].includes('doi.org')) {
-            const match = obj['@id'].match(/10\.\d{4,}\/[^\s]+/);
-            if (match) return match[0];
-          }
-          return null;
-        };
-        
-        let doi = null;
-        if (Array.isArray(data)) {
-          for (const item of data) {
-            doi = extractDOIFromStructuredData(item);
-            if (doi) break;
-          }
-        } else {
-          doi = extractDOIFromStructuredData(data);
-        }
-        
-        if (doi && /^10\.\d{4,}\//.test(doi)) {
-          console.log('Found DOI in JSON-LD:', doi);
-          return doi;
-        }
-      } catch (e) {
-        console.warn('Error parsing JSON-LD for DOI:', e);
-      }
+    const doi = self.structuredData.findStructuredDataDOI(document);
+    if (doi) {
+      console.log('Found DOI in structured data:', doi);
+      return doi;
     }
   } catch (e) {
-    console.warn('Error processing JSON-LD scripts:', e);
+    console.warn('Error processing structured data for DOI:', e);
   }
   
   // Strategy 3: Check prism.doi meta tag
   try {
     const prismDOI = document.querySelector('meta[name="prism.doi"], meta[name="prism:doi"]');
     if (prismDOI && prismDOI.content) {
-      const doi = prismDOI.content.replace(/^doi:\s*/i, '').trim();
-      if (doi && /^10\.\d{4,}\//.test(doi)) {
+      const doi = normalizeDOI(prismDOI.content);
+      if (doi) {
         console.log('Found DOI in prism meta tag:', doi);
         return doi;
       }
@@ -737,9 +1120,8 @@ function extractDOINonDestructive() {
       const elements = document.querySelectorAll(selector);
       for (const el of elements) {
         const text = (el.textContent || el.innerText || '').trim();
-        const match = text.match(/10\.\d{4,}\/[^\s]+/);
-        if (match) {
-          const doi = match[0].replace(/[,;]$/, '');
+        const doi = extractDOI(text);
+        if (doi) {
           console.log('Found DOI in HTML element:', doi);
           return doi;
         }
@@ -753,10 +1135,8 @@ function extractDOINonDestructive() {
   try {
     const doiLinks = document.querySelectorAll('a[href*="doi.org"]');
     for (const link of doiLinks) {
-      const href = link.href;
-      const match = href.match(/doi\.org\/(10\.\d{4,}\/[^\s]+)/);
-      if (match) {
-        const doi = match[1];
+      const doi = extractDOIFromUrl(link.href);
+      if (doi) {
         console.log('Found DOI in link:', doi);
         return doi;
       }
@@ -768,9 +1148,9 @@ function extractDOINonDestructive() {
   // Strategy 6: Scan page text for DOI pattern
   try {
     const bodyText = document.body?.textContent || '';
-    const match = bodyText.match(/\b(?:DOI|doi)[\s:]+?(10\.\d{4,}\/[^\s,;]+)/i);
-    if (match) {
-      const doi = match[1].replace(/[,;.]$/, '');
+    const match = bodyText.match(/\bdoi[\s:]+?(10\.\d{4,9}\/\S+)/i);
+    const doi = match ? normalizeDOI(match[1]) : null;
+    if (doi) {
       console.log('Found DOI in page text:', doi);
       return doi;
     }
@@ -780,19 +1160,17 @@ function extractDOINonDestructive() {
   
   // Strategy 7: Check for ArXiv ID (convert to DOI)
   try {
-    const arxivMatch = window.location.href.match(/arxiv\.org\/(?:abs|pdf)\/(\d+\.\d+)/i);
-    if (arxivMatch) {
-      const arxivId = arxivMatch[1];
-      const doi = `10.48550/arXiv.${arxivId}`;
-      console.log('Converted ArXiv ID to DOI:', doi);
-      return doi;
+    const urlDOI = /arxiv\.org$/i.test(window.location.hostname) ? extractDOIFromUrl(window.location.href) : null;
+    if (urlDOI) {
+      console.log('Converted ArXiv ID to DOI:', urlDOI);
+      return urlDOI;
     }
     
     const arxivMeta = document.querySelector('meta[name="citation_arxiv_id"]');
-    if (arxivMeta && arxivMeta.content) {
-      const doi = `10.48550/arXiv.${arxivMeta.content}`;
-      console.log('Converted ArXiv ID from meta to DOI:', doi);
-      return doi;
+    const metaDOI = arxivMeta && arxivMeta.content ? arxivToDOI(arxivMeta.content) : null;
+    if (metaDOI) {
+      console.log('Converted ArXiv ID from meta to DOI:', metaDOI);
+      return metaDOI;
     }
   } catch (e) {
     console.warn('Error checking for ArXiv ID:', e);
@@ -802,6 +1180,215 @@ function extractDOINonDestructive() {
   return null;
 }
 
+/**
+ * Extract non-DOI identifiers (PMID, PMCID, arXiv, ISBN, Handle, HAL) from meta tags and the URL
+ */
+function extractIdentifiersNonDestructive() {
+  const { normalizePMID, normalizePMCID, normalizeArxivId, normalizeISBN, classifyIdentifier,
+    extractIdentifiersFromUrl, mergeIdentifiers } = self.identifierUtils;
+  const identifiers = {};
+  
+  try {
+    const metaValue = selector => document.querySelector(selector)?.content || '';
+    
+    identifiers.pmid = normalizePMID(metaValue('meta[name="citation_pmid"]'));
+    identifiers.pmcid = normalizePMCID(metaValue('meta[name="citation_pmcid"]'));
+    identifiers.arxiv = normalizeArxivId(metaValue('meta[name="citation_arxiv_id"]'));
+    identifiers.isbn = normalizeISBN(metaValue('meta[name="citation_isbn"], meta[property="book:isbn"]'));
+    
+    // Dublin Core identifiers are typed by their prefix (pmid:, hdl:, ISBN ...)
+    document.querySelectorAll('meta[name="dc.identifier"], meta[name="DC.identifier"], meta[name="DCTERMS.identifier"]')
+      .forEach(meta => {
+        const identifier = classifyIdentifier(meta.content);
+        if (identifier?.value && !identifiers[identifier.type]) {
+          identifiers[identifier.type] = identifier.value;
+        }
+      });
+  } catch (e) {
+    console.warn('Error reading identifier meta tags:', e);
+  }
+  
+  const merged = mergeIdentifiers(identifiers, extractIdentifiersFromUrl(window.location.href));
+  if (Object.keys(merged).length > 0) {
+    console.log('Found identifiers:', merged);
+  }
+  
+  return merged;
+}
+
+/**
+ * Index the page's meta tags by lower-case name/property ("prism:volume" is stored as "prism.volume")
+ */
+function collectMetaTags() {
+  const index = new Map();
+  
+  document.querySelectorAll('meta[name], meta[property]').forEach(meta => {
+    const key = (meta.getAttribute('name') || meta.getAttribute('property') || '')
+      .trim()
+      .toLowerCase()
+      .replace(/^(prism|dc|dcterms|eprints):/, '$1.');
+    const value = (meta.getAttribute('content') || '').replace(/\s+/g, ' ').trim();
+    
+    if (key && value) {
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(value);
+    }
+  });
+  
+  return index;
+}
+
+/**
+ * Normalise a citation date to YYYY-MM-DD, YYYY-MM or YYYY ("2021/03/15", "2021-3", "15 March 2021")
+ */
+function normalizeCitationDate(value) {
+  if (!value) return null;
+  const text = value.trim();
+  
+  const match = text.match(/^(\d{4})(?:[-/.](\d{1,2}))?(?:[-/.](\d{1,2}))?(?:$|[T\s])/);
+  if (match) {
+    const [, year, month, day] = match;
+    if (month && (Number(month) < 1 || Number(month) > 12)) return year;
+    if (day && (Number(day) < 1 || Number(day) > 31)) return `${year}-${month.padStart(2, '0')}`;
+    return [year, month, day].filter(Boolean).map(part => part.padStart(2, '0')).join('-');
+  }
+  
+  const date = new Date(text);
+  if (isNaN(date.getTime())) return null;
+  
+  return [
+    String(date.getFullYear()),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-');
+}
+
+/**
+ * Build the bibliographic record from scholarly meta tags (Highwire, PRISM, Dublin Core, eprints).
+ * Only fields found on the page are included.
+ */
+function extractCitationMetadataNonDestructive() {
+  const { normalizeISBN, normalizeISSN } = self.identifierUtils;
+  const record = {};
+  
+  try {
+    const index = collectMetaTags();
+    const values = field => CONFIG.CITATION_META[field].flatMap(name => index.get(name) || []);
+    const first = field => values(field)[0] || '';
+    
+    ['title', 'containerTitle', 'conference', 'volume', 'issue', 'firstPage', 'lastPage', 'publisher', 'institution', 'language']
+      .forEach(field => {
+        const value = first(field);
+        if (value) record[field] = value;
+      });
+    
+    // Conference proceedings: the proceedings title is the container, the conference is named separately
+    if (!record.containerTitle && record.conference) {
+      record.containerTitle = record.conference;
+    }
+    
+    const pages = first('pages');
+    if (record.firstPage) {
+      record.pages = record.lastPage && record.lastPage !== record.firstPage
+        ? `${record.firstPage}-${record.lastPage}`
+        : record.firstPage;
+    } else if (pages) {
+      record.pages = pages.replace(/\s*[-–—]\s*/, '-');
+      [record.firstPage, record.lastPage] = record.pages.split('-');
+      if (!record.lastPage) delete record.lastPage;
+    }
+    
+    const issn = [...new Set(values('issn').map(normalizeISSN).filter(Boolean))];
+    if (issn.length > 0) record.issn = issn;
+    
+    const isbn = values('isbn').map(normalizeISBN).find(Boolean);
+    if (isbn) record.isbn = isbn;
+    
+    const pdfUrl = first('pdfUrl');
+    if (pdfUrl) {
+      try {
+        record.pdfUrl = new URL(pdfUrl, document.baseURI).href;
+      } catch (e) {
+        console.warn('Ignoring invalid citation_pdf_url:', pdfUrl);
+      }
+    }
+    
+    const publicationDate = values('publicationDate').map(normalizeCitationDate).find(Boolean);
+    if (publicationDate) record.publicationDate = publicationDate;
+    
+    const onlineDate = values('onlineDate').map(normalizeCitationDate).find(Boolean);
+    if (onlineDate) record.onlineDate = onlineDate;
+  } catch (e) {
+    console.warn('Error reading citation meta tags:', e);
+  }
+  
+  if (Object.keys(record).length > 0) {
+    console.log('Found bibliographic metadata:', record);
+  }
+  
+  return record;
+}
+
+/**
+ * Read the Schema.org article model from JSON-LD and microdata (structured-data.js), null when there is none
+ */
+function extractStructuredDataNonDestructive() {
+  try {
+    const model = self.structuredData.extractArticleModel(document);
+    if (model) {
+      console.log(`Found ${model.type} structured data:`, model);
+    }
+    return model;
+  } catch (e) {
+    console.warn('Error reading structured data:', e);
+    return null;
+  }
+}
+
+/**
+ * Fill bibliographic fields missing from the meta tags with the structured-data article model
+ */
+function mergeStructuredBibliographic(bibliographic, structured) {
+  if (!structured) return bibliographic;
+  
+  const merged = { ...bibliographic };
+  const fill = (field, value) => {
+    if (!merged[field] && value && value.length > 0) merged[field] = value;
+  };
+  
+  fill('containerTitle', structured.container.title);
+  fill('volume', structured.container.volume);
+  fill('issue', structured.container.issue);
+  fill('issn', (structured.container.issn || []).map(self.identifierUtils.normalizeISSN).filter(Boolean));
+  fill('publisher', structured.publisher);
+  fill('publicationDate', normalizeCitationDate(structured.datePublished));
+  
+  return merged;
+}
+
+/**
+ * Extract the embargo end date declared by repository pages (raw value, parsed by the copyright checker)
+ */
+function extractEmbargoDateNonDestructive() {
+  try {
+    const embargoMeta = document.querySelector([
+      'meta[name="citation_embargo_date"]',
+      'meta[name="eprints.date_embargo"]',
+      'meta[name="DC.date.embargo"]',
+      'meta[name="dc.date.embargo"]'
+    ].join(', '));
+    
+    if (embargoMeta && embargoMeta.content) {
+      console.log('Found embargo date:', embargoMeta.content);
+      return embargoMeta.content.trim();
+    }
+  } catch (e) {
+    console.warn('Error reading embargo meta tags:', e);
+  }
+  
+  return null;
+}
+
 /**
  * Extract all relevant information from the current webpage
  * MODIFIED TO INCLUDE DOI EXTRACTION
@@ -841,25 +1428,42 @@ async function extractPageContent() {
   const url = window.location.href;
   const domain = window.location.hostname;
   
-  // Extract metadata using non-destructive methods
-  const title = extractTitleNonDestructive();
-  const authors = extractAuthorsNonDestructive();
-  const publicationYear = extractDateNonDestructive();
-  const keywords = extractKeywordsNonDestructive();
+  // Publisher adapter fields take priority, then scholarly meta tags, generic extractors fill the gaps
+  const siteData = extractSiteAdapterData();
+  const structured = extractStructuredDataNonDestructive();
+  const bibliographic = mergeStructuredBibliographic(extractCitationMetadataNonDestructive(), structured);
+  
+  // Extract metadata using non-destructive methods (declared metadata before DOM heuristics)
+  const title = siteData?.title || bibliographic.title || structured?.title || extractTitleNonDestructive();
+  const authorRecords = extractAuthorsNonDestructive(siteData?.authors, structured?.authors);
+  const authors = formatAuthorNames(authorRecords);
+  const publicationYear = parsePublicationYear(siteData?.date) ||
+    parsePublicationYear(bibliographic.publicationDate) ||
+    extractDateNonDestructive();
+  const keywords = [...new Set([
+    ...(siteData?.keywords || []),
+    ...(structured?.keywords || []),
+    ...extractKeywordsNonDestructive()
+  ])].slice(0, 10);
   
   // NEWLY ADDED: Extract DOI for copyright verification
-  const doi = extractDOINonDestructive();
+  const doi = self.doiUtils.extractDOI(siteData?.doi || '') || extractDOINonDestructive();
+  const identifiers = extractIdentifiersNonDestructive();
+  const embargoDate = extractEmbargoDateNonDestructive();
   
-  // Extract content using hybrid method
-  const content = extractMainContentHybrid();
+  // Extract content from the adapter's full-text sections, or by scoring the page's blocks
+  const adapterContent = formatAdapterSections(siteData?.sections);
+  const { content, confidence: extractionConfidence } = adapterContent
+    ? { content: adapterContent, confidence: 1 }
+    : extractMainContentScored();
   
   // Try to extract abstract/description
-  let abstract = '';
+  let abstract = siteData?.abstract || '';
   const descMeta = document.querySelector('meta[name="description"]') ||
                   document.querySelector('meta[property="og:description"]');
-  if (descMeta) {
+  if (!abstract && descMeta) {
     abstract = descMeta.content;
-  } else {
+  } else if (!abstract) {
     const firstP = document.querySelector('article p, .content p, main p, p');
     if (firstP) {
       abstract = extractCleanTextNonDestructive(firstP).substring(0, 500);
@@ -875,13 +1479,22 @@ async function extractPageContent() {
     domain,
     title: title || 'Untitled',
     authors,
+    authorRecords,
     content,
     abstract: abstract || content.substring(0, 500),
     keywords,
     publicationYear,
     doi, // NEWLY ADDED
+    identifiers,
+    embargoDate,
+    siteAdapter: siteData?.adapter || null,
+    pdfUrl: siteData?.pdfUrl || bibliographic.pdfUrl || null,
+    bibliographic,
+    declaredLicense: structured?.license || null,
+    structuredDataType: structured?.type || null,
     extractedAt: new Date().toISOString(),
     contentLength: content.length,
+    extractionConfidence,
     isValidContent: content.length >= CONFIG.MIN_CONTENT_LENGTH,
     contentType: 'web'
   };
@@ -1084,11 +1697,47 @@ if (typeof window.debugUzeiLiteratureReviewExtension === 'undefined') {
       title: document.title,
       scriptLoaded: window.uzeiLiteratureReviewExtensionLoaded,
       isAcademicSite: isAcademicPublisher(),
+      siteAdapter: self.siteAdapters?.findSiteAdapter(window.location.href)?.id || null,
       isPDFPage: isPDFPage()
     });
   };
 }
 
+// Site adapter check on a live page (or a served fixture, compared with its expected fields); npm test runs all fixtures
+if (typeof window.debugUzeiSiteAdapter === 'undefined') {
+  window.debugUzeiSiteAdapter = (adapterId) => {
+    const expectedScript = document.getElementById('uzei-adapter-expected');
+    const expected = expectedScript ? JSON.parse(expectedScript.textContent) : null;
+    const id = adapterId || expected?.adapter;
+    const adapter = id
+      ? self.siteAdapters.getSiteAdapter(id)
+      : self.siteAdapters.findSiteAdapter(window.location.href);
+    
+    if (!adapter) {
+      console.log('No site adapter matches this page');
+      return null;
+    }
+    
+    const data = extractSiteAdapterData(adapter);
+    if (!data || !expected) {
+      return data;
+    }
+    
+    const results = Object.entries(expected.fields).map(([field, value]) => ({
+      field,
+      passed: JSON.stringify(data[field]) === JSON.stringify(value),
+      expected: JSON.stringify(value),
+      actual: JSON.stringify(data[field])
+    }));
+    console.table(results);
+    console.log(results.every(result => result.passed)
+      ? `✅ ${adapter.name} adapter matches its fixture`
+      : `❌ ${adapter.name} adapter differs from its fixture`);
+    
+    return results;
+  };
+}
+
 console.log('Uzei - Literature Review Extension content script loaded successfully - WITH DOI EXTRACTION');
 
 }
\ No newline at end of file
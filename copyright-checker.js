@@ -3,58 +3,119 @@
  * Copyright Checker Module
  * 
  * Implements copyright verification using:
- * 1. Domain whitelist/blacklist from academic_dblist.json
- * 2. Unpaywall API for OA status checking
- * 3. DOI-based verification
- * 4. Caching for performance
+ * 1. Domain whitelist/blacklist from academic_dblist.json (or a newer signed copy, see dblist-updater.js)
+ * 2. OA provider chain (Unpaywall, OpenAlex, Crossref) for OA status checking
+ * 3. DOI-based verification (DOIs parsed and normalised by doi-utils.js)
+ * 4. PMID, PMCID, arXiv, ISBN, Handle and HAL identifiers resolved to DOIs or OA status (identifier-utils.js)
+ * 5. Conditional (mixed-access) domains verified per article; embargoes block until their end date
+ * 6. Retraction, withdrawal, expression of concern and correction notices from Crossref
+ * 7. Caching for performance (oa-cache.js)
  */
 
 const COPYRIGHT_CONFIG = {
   UNPAYWALL_API: 'https://api.unpaywall.org/v2',
-  UNPAYWALL_EMAIL: 'wangzifeng157@gmail.com',
-  CACHE_DURATION: 30 * 24 * 60 * 60 * 1000, // 30 days
+  OPENALEX_API: 'https://api.openalex.org',
+  CROSSREF_API: 'https://api.crossref.org',
   API_TIMEOUT: 10000, // 10 seconds
+  
+  // Look up Crossref retraction / correction notices for every DOI
+  CHECK_RETRACTIONS: true,
+  
+  // Resolvers for non-DOI identifiers
+  PMC_IDCONV_API: 'https://pmc.ncbi.nlm.nih.gov/tools/idconv/api/v1/articles/',
+  HAL_API: 'https://api.archives-ouvertes.fr/search/',
+  DOAB_API: 'https://directory.doabooks.org/rest/search',
+  HANDLE_API: 'https://hdl.handle.net/api/handles',
+  
+  // OA provider chain - queried in order until the merged result is confident enough
+  DEFAULT_OA_PROVIDERS: [
+    { id: 'unpaywall', enabled: true },
+    { id: 'openalex', enabled: true },
+    { id: 'crossref', enabled: true }
+  ],
+  PROVIDER_CONFIDENCE_THRESHOLD: 0.8,
+  
+  // User overrides - permitted per blocked category unless policy disables them
+  DEFAULT_OVERRIDE_POLICY: {
+    paywalled: true,
+    unknown_pdf: true,
+    verification_failed: true,
+    conditional_unverified: true
+  },
+  MIN_OVERRIDE_EXPLANATION: 10
+};
+
+// Blocked categories that can be overridden with a justification
+const OVERRIDE_CATEGORIES = ['paywalled', 'unknown_pdf', 'verification_failed', 'conditional_unverified'];
+
+// Accepted override justifications
+const OVERRIDE_JUSTIFICATIONS = {
+  author_copy: 'Author copy',
+  institutional_licence: 'Institutional licence',
+  publisher_permission: 'Publisher permission',
+  fair_use_excerpt: 'Fair-use excerpt'
 };
 
 // Academic database lists (will be loaded from academic_dblist.json)
+// Each entry is { domain, group } where group is the academic_dblist.json category
 let academicDatabases = {
   whitelist: [],
   blacklist: [],
   conditional: []
 };
 
+// User-defined domain rules layered over the bundled lists (chrome.storage.local)
+const USER_RULES_STORAGE_KEY = 'userDomainRules';
+const RULE_LISTS = ['whitelist', 'blacklist', 'conditional'];
+let userDomainRules = [];
+
+// Domain patterns blocked by the managed (institutional) policy
+let policyBlocklist = [];
+
+/**
+ * Flatten a (possibly nested) academic_dblist.json section into domain entries
+ */
+function flattenDomainGroups(section, group = null) {
+  const entries = [];
+  
+  for (const [key, value] of Object.entries(section || {})) {
+    if (Array.isArray(value)) {
+      entries.push(...value.map(domain => ({
+        domain: domain.toLowerCase(),
+        group: group ? `${group}.${key}` : key
+      })));
+    } else if (value && typeof value === 'object') {
+      entries.push(...flattenDomainGroups(value, group ? `${group}.${key}` : key));
+    }
+  }
+  
+  return entries;
+}
+
 /**
- * Load academic database lists from JSON file
+ * Load academic database lists from JSON file (the signed remote update when it is newer)
  */
 async function loadAcademicDatabases() {
   try {
-    const response = await fetch(chrome.runtime.getURL('academic_dblist.json'));
-    const data = await response.json();
+    const data = self.dblistUpdater
+      ? await self.dblistUpdater.loadDomainList()
+      : await (await fetch(chrome.runtime.getURL('academic_dblist.json'))).json();
     
     // Flatten whitelist domains
-    academicDatabases.whitelist = [
-      ...data.allowlist.preprint_servers,
-      ...data.allowlist.open_access_publishers,
-      ...data.allowlist.open_access_repositories,
-      ...data.allowlist.institutional_repositories
-    ];
-    
-    // Flatten blacklist domains
-    academicDatabases.blacklist = [];
-    for (const category of Object.values(data.blacklist)) {
-      if (Array.isArray(category)) {
-        academicDatabases.blacklist.push(...category);
-      } else if (typeof category === 'object') {
-        for (const subcategory of Object.values(category)) {
-          if (Array.isArray(subcategory)) {
-            academicDatabases.blacklist.push(...subcategory);
-          }
-        }
-      }
-    }
+    academicDatabases.whitelist = flattenDomainGroups({
+      preprint_servers: data.allowlist.preprint_servers,
+      open_access_publishers: data.allowlist.open_access_publishers,
+      open_access_repositories: data.allowlist.open_access_repositories,
+      institutional_repositories: data.allowlist.institutional_repositories
+    });
+    
+    // Flatten blacklist domains (nested publisher groups included)
+    academicDatabases.blacklist = flattenDomainGroups(data.blacklist);
     
     // Load conditional domains
-    academicDatabases.conditional = data.conditional?.mixed_content || [];
+    academicDatabases.conditional = flattenDomainGroups({
+      mixed_content: data.conditional?.mixed_content
+    });
     
     console.log('Academic databases loaded:', {
       whitelist: academicDatabases.whitelist.length,
@@ -70,159 +131,265 @@ async function loadAcademicDatabases() {
 }
 
 /**
- * Check if domain is in whitelist
+ * Load user-defined domain rules from storage
  */
-function isWhitelisted(domain) {
-  if (!domain) return false;
-  const lowerDomain = domain.toLowerCase();
-  return academicDatabases.whitelist.some(whitelisted => 
-    lowerDomain.includes(whitelisted.toLowerCase())
-  );
+async function loadUserDomainRules() {
+  try {
+    const result = await chrome.storage.local.get(USER_RULES_STORAGE_KEY);
+    const rules = result[USER_RULES_STORAGE_KEY];
+    userDomainRules = Array.isArray(rules) ? rules : [];
+    return userDomainRules;
+  } catch (error) {
+    console.warn('Error loading user domain rules:', error);
+    userDomainRules = [];
+    return userDomainRules;
+  }
 }
 
+// Public suffixes that must never be used as a list entry on their own
+// (single-label TLDs are always treated as public suffixes)
+const PUBLIC_SUFFIXES = new Set([
+  'ac.uk', 'co.uk', 'gov.uk', 'org.uk', 'nhs.uk',
+  'edu.au', 'com.au', 'org.au', 'gov.au',
+  'ac.nz', 'co.nz', 'ac.jp', 'co.jp', 'ac.kr', 'co.kr',
+  'edu.cn', 'com.cn', 'ac.cn', 'org.cn',
+  'ac.in', 'edu.in', 'co.in', 'res.in',
+  'edu.br', 'com.br', 'org.br', 'ac.za', 'co.za',
+  'edu.sg', 'edu.hk', 'edu.tw', 'edu.mx', 'edu.tr', 'ac.il',
+  'github.io', 'gitlab.io', 'blogspot.com', 'wordpress.com',
+  'appspot.com', 'herokuapp.com', 'netlify.app', 'pages.dev'
+]);
+
+// Rule sources in precedence order: managed policy, user rules, bundled list
+const SOURCE_PRECEDENCE = {
+  policy: 3,
+  user: 2,
+  bundled: 1
+};
+
+// When equally specific entries from different lists match, the more
+// restrictive list wins
+const LIST_PRECEDENCE = {
+  blacklist: 3,
+  conditional: 2,
+  whitelist: 1
+};
+
 /**
- * Check if domain is in blacklist
+ * Check if a hostname is a public suffix (e.g. "com", "ac.uk", "github.io")
  */
-function isBlacklisted(domain) {
-  if (!domain) return false;
-  const lowerDomain = domain.toLowerCase();
-  return academicDatabases.blacklist.some(blacklisted => 
-    lowerDomain.includes(blacklisted.toLowerCase())
-  );
+function isPublicSuffix(host) {
+  if (!host) return false;
+  const lowerHost = host.toLowerCase().replace(/\.$/, '');
+  return !lowerHost.includes('.') || PUBLIC_SUFFIXES.has(lowerHost);
 }
 
 /**
- * Check if domain is conditional (mixed OA/paywalled content)
+ * Parse a list entry into its host and optional path prefix.
+ * Supported forms: "nature.com", "*.sagepub.com", "oup.com/journals"
  */
-function isConditional(domain) {
-  if (!domain) return false;
-  const lowerDomain = domain.toLowerCase();
-  return academicDatabases.conditional.some(conditional => 
-    lowerDomain.includes(conditional.toLowerCase())
-  );
+function parseDomainPattern(entry) {
+  if (!entry || typeof entry !== 'string') return null;
+  
+  let pattern = entry.trim().toLowerCase().replace(/^[a-z]+:\/\//, '');
+  const slashIndex = pattern.indexOf('/');
+  let path = '';
+  
+  if (slashIndex !== -1) {
+    path = pattern.slice(slashIndex).replace(/\/+$/, '');
+    pattern = pattern.slice(0, slashIndex);
+  }
+  
+  const wildcard = pattern.startsWith('*.');
+  const host = (wildcard ? pattern.slice(2) : pattern).replace(/\.$/, '');
+  
+  if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(host) || isPublicSuffix(host)) {
+    return null;
+  }
+  
+  return {
+    raw: entry,
+    host,
+    wildcard,
+    path
+  };
 }
 
 /**
- * Extract DOI from PDF URL
+ * Match a hostname (and path) against a list entry on label boundaries.
+ * Returns a specificity score (higher = more specific), or -1 if no match.
  */
-function extractDOIFromPDFUrl(url) {
-  if (!url) return null;
+function matchDomainPattern(hostname, pathname, entry) {
+  const pattern = parseDomainPattern(entry);
+  if (!pattern || !hostname) return -1;
   
-  try {
-    // Pattern 1: DOI in path (e.g., /10.1234/article.pdf)
-    const doiInPath = url.match(/\/([10]\.\d{4,}\/[^\s]+?)\.pdf/i);
-    if (doiInPath) {
-      return doiInPath[1];
-    }
-    
-    // Pattern 2: Springer/Nature style (e.g., /content/pdf/10.1007/s12345-020-00123-4.pdf)
-    const springerMatch = url.match(/(10\.\d{4,}\/[^\s\/]+)/);
-    if (springerMatch) {
-      return springerMatch[1];
-    }
-    
-    // Pattern 3: ArXiv papers (use arXiv ID, can be converted to DOI)
-    const arxivMatch = url.match(/arxiv\.org\/pdf\/(\d+\.\d+)/i);
-    if (arxivMatch) {
-      // ArXiv IDs can be converted to DOIs: 10.48550/arXiv.XXXX.XXXXX
-      return `10.48550/arXiv.${arxivMatch[1]}`;
-    }
-    
-    // Pattern 4: DOI in query parameter (e.g., ?doi=10.1234/article)
-    const urlObj = new URL(url);
-    const doiParam = urlObj.searchParams.get('doi');
-    if (doiParam) {
-      return doiParam;
+  const host = hostname.toLowerCase().replace(/\.$/, '');
+  const isExactHost = host === pattern.host;
+  const isSubdomain = host.endsWith(`.${pattern.host}`);
+  
+  // "*.example.com" only covers subdomains, "example.com" covers both
+  if (pattern.wildcard ? !isSubdomain : !(isExactHost || isSubdomain)) {
+    return -1;
+  }
+  
+  // Optional path prefix, matched on path segment boundaries
+  if (pattern.path) {
+    const path = (pathname || '/').toLowerCase();
+    if (path !== pattern.path && !path.startsWith(`${pattern.path}/`)) {
+      return -1;
     }
-    
-    // Pattern 5: IEEE style (arnumber parameter can sometimes map to DOI)
-    // Note: This is less reliable, might need additional lookup
-    
-    return null;
-  } catch (error) {
-    console.warn('Error extracting DOI from PDF URL:', error);
-    return null;
   }
+  
+  const labelCount = pattern.host.split('.').length;
+  const pathDepth = pattern.path ? pattern.path.split('/').filter(Boolean).length : 0;
+  
+  return pathDepth * 1000 + labelCount * 10 + (isExactHost ? 2 : 0) + (pattern.wildcard ? 0 : 1);
+}
+
+/**
+ * Check if a bundled entry has been removed by a user rule
+ */
+function isRemovedByUser(list, domain) {
+  return userDomainRules.some(rule =>
+    rule.action === 'remove' &&
+    rule.list === list &&
+    rule.domain.toLowerCase() === domain
+  );
+}
+
+/**
+ * Find the bundled entry for an exact domain in a list (used by the rules editor)
+ */
+function getBundledEntry(list, domain) {
+  if (!academicDatabases[list] || !domain) return null;
+  const lowerDomain = domain.toLowerCase();
+  return academicDatabases[list].find(entry => entry.domain === lowerDomain) || null;
 }
 
 /**
- * Get cached OA status for a DOI
+ * Collect every policy, user and bundled entry matching a hostname and path
  */
-async function getCachedOAStatus(doi) {
-  if (!doi) return null;
+function findDomainRuleMatches(domain, path = '/') {
+  const matches = [];
   
-  try {
-    const cacheKey = `oa_cache_${doi}`;
-    const result = await chrome.storage.local.get(cacheKey);
+  // Managed policy blocklist (cannot be overridden by user rules)
+  for (const pattern of policyBlocklist) {
+    const specificity = matchDomainPattern(domain, path, pattern);
+    if (specificity >= 0) {
+      matches.push({
+        specificity,
+        rule: {
+          source: 'policy',
+          list: 'blacklist',
+          pattern,
+          reason: 'Blocked by institutional policy'
+        }
+      });
+    }
+  }
+  
+  // User rules (added or overridden entries)
+  for (const rule of userDomainRules) {
+    if (rule.action === 'remove' || !RULE_LISTS.includes(rule.list)) continue;
     
-    if (result[cacheKey]) {
-      const cached = result[cacheKey];
-      const age = Date.now() - cached.timestamp;
+    const specificity = matchDomainPattern(domain, path, rule.domain);
+    if (specificity >= 0) {
+      matches.push({
+        specificity,
+        rule: {
+          source: 'user',
+          list: rule.list,
+          pattern: rule.domain,
+          id: rule.id,
+          reason: rule.reason || '',
+          added_by: rule.addedBy || '',
+          added_at: rule.addedAt || null
+        }
+      });
+    }
+  }
+  
+  // Bundled academic_dblist.json entries not removed by the user
+  for (const list of RULE_LISTS) {
+    for (const entry of academicDatabases[list]) {
+      if (isRemovedByUser(list, entry.domain)) continue;
       
-      // Check if cache is still valid
-      if (age < COPYRIGHT_CONFIG.CACHE_DURATION) {
-        console.log(`Using cached OA status for ${doi}`);
-        return cached.data;
-      } else {
-        // Cache expired, remove it
-        await chrome.storage.local.remove(cacheKey);
+      const specificity = matchDomainPattern(domain, path, entry.domain);
+      if (specificity >= 0) {
+        matches.push({
+          specificity,
+          rule: {
+            source: 'bundled',
+            list,
+            pattern: entry.domain,
+            group: entry.group
+          }
+        });
       }
     }
-    
-    return null;
-  } catch (error) {
-    console.warn('Error getting cached OA status:', error);
-    return null;
   }
+  
+  return matches;
 }
 
 /**
- * Cache OA status for a DOI
+ * Resolve the effective domain rule for a hostname (and optional path).
+ * Precedence: policy over user rules over bundled entries, then the most specific
+ * pattern, then blacklist > conditional > whitelist. Returns null if nothing matches.
  */
-async function cacheOAStatus(doi, oaData) {
-  if (!doi || !oaData) return;
+function resolveDomainRule(domain, path = '/') {
+  if (!domain) return null;
   
-  try {
-    const cacheKey = `oa_cache_${doi}`;
-    await chrome.storage.local.set({
-      [cacheKey]: {
-        data: oaData,
-        timestamp: Date.now()
-      }
-    });
-    console.log(`Cached OA status for ${doi}`);
-  } catch (error) {
-    console.warn('Error caching OA status:', error);
-  }
+  const matches = findDomainRuleMatches(domain, path);
+  if (matches.length === 0) return null;
+  
+  matches.sort((a, b) =>
+    SOURCE_PRECEDENCE[b.rule.source] - SOURCE_PRECEDENCE[a.rule.source] ||
+    b.specificity - a.specificity ||
+    LIST_PRECEDENCE[b.rule.list] - LIST_PRECEDENCE[a.rule.list]
+  );
+  
+  const winner = matches[0];
+  
+  // Record conflicting matches from other lists for transparency
+  const overridden = matches
+    .slice(1)
+    .filter(match => match.rule.list !== winner.rule.list)
+    .map(match => ({ source: match.rule.source, list: match.rule.list, pattern: match.rule.pattern }));
+  
+  return overridden.length > 0 ? { ...winner.rule, overridden } : winner.rule;
 }
 
 /**
- * Query Unpaywall API for OA status
+ * Check if domain is in whitelist
  */
-async function queryUnpaywall(doi) {
-  if (!doi) {
-    return { is_oa: false, error: 'No DOI provided' };
-  }
-  
-  // Check cache first
-  const cached = await getCachedOAStatus(doi);
-  if (cached) {
-    return cached;
-  }
+function isWhitelisted(domain) {
+  return resolveDomainRule(domain)?.list === 'whitelist';
+}
+
+/**
+ * Check if domain is in blacklist
+ */
+function isBlacklisted(domain) {
+  return resolveDomainRule(domain)?.list === 'blacklist';
+}
+
+/**
+ * Check if domain is conditional (mixed OA/paywalled content)
+ */
+function isConditional(domain) {
+  return resolveDomainRule(domain)?.list === 'conditional';
+}
+
+/**
+ * Fetch JSON from an OA provider API with timeout
+ * Returns { status, data } - data is null for non-2xx responses
+ */
+async function fetchProviderJSON(url) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), COPYRIGHT_CONFIG.API_TIMEOUT);
   
   try {
-    // Clean DOI (remove any prefix like "doi:" or "DOI:")
-    const cleanDOI = doi.replace(/^doi:\s*/i, '').trim();
-    
-    // Encode DOI for URL
-    const encodedDOI = encodeURIComponent(cleanDOI);
-    const url = `${COPYRIGHT_CONFIG.UNPAYWALL_API}/${encodedDOI}?email=${COPYRIGHT_CONFIG.UNPAYWALL_EMAIL}`;
-    
-    console.log(`Querying Unpaywall for DOI: ${cleanDOI}`);
-    
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), COPYRIGHT_CONFIG.API_TIMEOUT);
-    
     const response = await fetch(url, {
       signal: controller.signal,
       headers: {
@@ -230,256 +397,1404 @@ async function queryUnpaywall(doi) {
       }
     });
     
-    clearTimeout(timeoutId);
-    
     if (!response.ok) {
-      if (response.status === 404) {
-        // DOI not found in Unpaywall - treat as not OA
-        const result = { is_oa: false, oa_status: 'not_found', doi: cleanDOI };
-        await cacheOAStatus(cleanDOI, result);
-        return result;
-      }
-      throw new Error(`Unpaywall API error: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    
-    // Extract relevant OA information
-    const oaData = {
-      doi: data.doi,
-      is_oa: data.is_oa || false,
-      oa_status: data.oa_status, // 'gold', 'green', 'hybrid', 'bronze', 'closed'
-      oa_url: data.best_oa_location?.url,
-      host_type: data.best_oa_location?.host_type, // 'publisher', 'repository'
-      version: data.best_oa_location?.version, // 'publishedVersion', 'acceptedVersion'
-      license: data.best_oa_location?.license
-    };
-    
-    // Cache the result
-    await cacheOAStatus(cleanDOI, oaData);
-    
-    console.log(`Unpaywall result for ${cleanDOI}:`, oaData);
-    
-    return oaData;
-    
-  } catch (error) {
-    console.error('Error querying Unpaywall:', error);
-    
-    if (error.name === 'AbortError') {
-      return { is_oa: false, error: 'Unpaywall API timeout' };
+      return { status: response.status, data: null };
     }
     
-    return { is_oa: false, error: error.message };
+    return { status: response.status, data: await response.json() };
+  } finally {
+    clearTimeout(timeoutId);
   }
 }
 
 /**
- * Check copyright status for content
- * Main entry point for copyright verification
+ * Map a license URL or name to a short license identifier (e.g. 'cc-by-nc')
  */
-async function checkCopyright(pageData) {
-  try {
-    // Ensure academic databases are loaded
-    if (academicDatabases.whitelist.length === 0) {
-      await loadAcademicDatabases();
-    }
-    
-    const url = pageData.url;
-    const domain = pageData.domain || new URL(url).hostname;
-    const isPDF = pageData.isPDF || pageData.contentType === 'pdf';
-    let doi = pageData.doi;
+function normalizeLicenseId(license) {
+  if (!license) return null;
+  
+  const lowerLicense = license.toLowerCase();
+  
+  if (lowerLicense.includes('creativecommons.org/publicdomain/zero')) return 'cc0';
+  if (lowerLicense.includes('creativecommons.org/publicdomain/mark')) return 'public-domain';
+  
+  const ccMatch = lowerLicense.match(/creativecommons\.org\/licenses\/([a-z-]+)/);
+  if (ccMatch) return `cc-${ccMatch[1]}`;
+  
+  return lowerLicense;
+}
+
+/**
+ * OA providers - each builds a request URL for a DOI and parses the response
+ * into the same normalized record (providers with requiresEmail are skipped
+ * until a contact email is configured):
+ * { provider, found, is_oa, oa_status, oa_url, host_type, version, license, oa_locations }
+ * oa_status 'unknown' means the provider found the DOI but cannot tell if it is OA.
+ */
+const OA_PROVIDERS = {
+  unpaywall: {
+    id: 'unpaywall',
+    name: 'Unpaywall',
+    description: 'OA status, best OA location, license and version',
+    weight: 1.0,
+    requiresEmail: true,
     
-    console.log('Checking copyright for:', { url, domain, isPDF, doi });
+    buildUrl(doi, settings) {
+      const base = settings.endpoints.unpaywall || COPYRIGHT_CONFIG.UNPAYWALL_API;
+      return `${base}/${encodeURIComponent(doi)}?email=${encodeURIComponent(settings.email)}`;
+    },
     
-    // Step 1: Whitelist check (short-circuit - trusted OA sources)
-    if (isWhitelisted(domain)) {
-      console.log(`✅ Domain ${domain} is whitelisted (trusted OA source)`);
+    parse(data) {
       return {
-        allowed: true,
-        reason: 'Trusted open access source',
-        category: 'whitelist',
-        confidence: 'high'
+        doi: data.doi,
+        found: true,
+        is_oa: data.is_oa || false,
+        oa_status: data.oa_status, // 'gold', 'green', 'hybrid', 'bronze', 'closed'
+        oa_url: data.best_oa_location?.url,
+        host_type: data.best_oa_location?.host_type, // 'publisher', 'repository'
+        version: data.best_oa_location?.version, // 'publishedVersion', 'acceptedVersion'
+        license: data.best_oa_location?.license,
+        // All OA copies, needed to tell published and manuscript versions apart
+        oa_locations: (data.oa_locations || []).map(location => ({
+          url: location.url,
+          host_type: location.host_type,
+          version: location.version,
+          license: location.license,
+          is_best: !!location.is_best
+        }))
       };
     }
+  },
+  
+  openalex: {
+    id: 'openalex',
+    name: 'OpenAlex',
+    description: 'OA status and locations from the OpenAlex works endpoint',
+    weight: 0.9,
     
-    // Step 2: Extract DOI if not already present
-    if (!doi && isPDF) {
-      doi = extractDOIFromPDFUrl(url);
-      if (doi) {
-        console.log(`Extracted DOI from PDF URL: ${doi}`);
-      }
-    }
+    buildUrl(doi, settings) {
+      const base = settings.endpoints.openalex || COPYRIGHT_CONFIG.OPENALEX_API;
+      const url = `${base}/works/${encodeURIComponent(`https://doi.org/${doi}`)}`;
+      // Contact email puts requests in the OpenAlex polite pool
+      return settings.email ? `${url}?mailto=${encodeURIComponent(settings.email)}` : url;
+    },
     
-    // Step 3: Handle cases without DOI
-    if (!doi) {
-      console.log('No DOI found for verification');
+    parse(data) {
+      const toLocation = (location) => ({
+        url: location.pdf_url || location.landing_page_url,
+        host_type: location.source?.type === 'repository' ? 'repository' : 'publisher',
+        version: location.version,
+        license: normalizeLicenseId(location.license),
+        is_best: location === data.best_oa_location
+      });
       
-      // Blacklisted domain without DOI = block
-      if (isBlacklisted(domain)) {
-        return {
-          allowed: false,
-          reason: 'Content from subscription database - cannot verify open access status without DOI',
-          category: 'blacklist',
-          confidence: 'high',
-          suggestion: 'Try finding an open access version on preprint servers or institutional repositories'
-        };
-      }
-      
-      // PDF without DOI from unknown domain = block (be safe)
-      if (isPDF) {
-        return {
-          allowed: false,
-          reason: 'PDF from unknown source - cannot verify copyright status',
-          category: 'unknown_pdf',
-          confidence: 'medium',
-          suggestion: 'Try accessing the article webpage instead of direct PDF, or check if available on open access repositories'
-        };
-      }
+      const best = data.best_oa_location ? toLocation(data.best_oa_location) : null;
+      const status = data.open_access?.oa_status;
       
-      // HTML page from unknown domain without DOI = allow with warning
       return {
-        allowed: true,
-        reason: 'Unknown source - could not verify copyright status',
-        category: 'unknown_html',
-        confidence: 'low',
-        warning: 'Copyright status could not be verified. Please ensure you have the right to access this content.'
+        doi: (data.doi || '').replace(/^https?:\/\/doi\.org\//i, ''),
+        found: true,
+        is_oa: data.open_access?.is_oa || false,
+        // OpenAlex "diamond" is gold OA without author fees
+        oa_status: status === 'diamond' ? 'gold' : status,
+        oa_url: data.open_access?.oa_url || best?.url,
+        host_type: best?.host_type,
+        version: best?.version,
+        license: best?.license,
+        oa_locations: (data.locations || [])
+          .filter(location => location.is_oa)
+          .map(toLocation)
       };
     }
+  },
+  
+  crossref: {
+    id: 'crossref',
+    name: 'Crossref',
+    description: 'License metadata deposited by the publisher',
+    weight: 0.6,
     
-    // Step 4: Query Unpaywall for DOI
-    console.log(`Checking DOI via Unpaywall: ${doi}`);
-    const oaStatus = await queryUnpaywall(doi);
-    
-    if (oaStatus.error && !oaStatus.is_oa) {
-      // Unpaywall query failed
-      console.warn('Unpaywall query failed:', oaStatus.error);
-      
-      // Be conservative: block if we can't verify
-      return {
-        allowed: false,
-        reason: `Could not verify open access status (${oaStatus.error})`,
-        category: 'verification_failed',
-        confidence: 'low',
-        suggestion: 'Check your internet connection and try again, or verify the article is open access manually'
-      };
-    }
+    buildUrl(doi, settings) {
+      const base = settings.endpoints.crossref || COPYRIGHT_CONFIG.CROSSREF_API;
+      const url = `${base}/works/${encodeURIComponent(doi)}`;
+      // Contact email puts requests in the Crossref polite pool
+      return settings.email ? `${url}?mailto=${encodeURIComponent(settings.email)}` : url;
+    },
     
-    // Step 5: Process Unpaywall result
-    if (oaStatus.is_oa) {
-      console.log(`✅ DOI ${doi} is open access (${oaStatus.oa_status})`);
+    parse(data) {
+      const work = data.message || {};
+      const now = Date.now();
       
-      const result = {
-        allowed: true,
-        reason: `Open access confirmed (${oaStatus.oa_status})`,
-        category: 'oa_verified',
-        confidence: 'high',
-        oa_status: oaStatus.oa_status,
-        doi: doi
-      };
+      // An open license on the version of record that is already in effect
+      const openLicense = (work.license || []).find(license => {
+        const licenseId = normalizeLicenseId(license.URL);
+        const isOpen = licenseId && (licenseId.startsWith('cc-') || licenseId === 'cc0' || licenseId === 'public-domain');
+        const appliesToVoR = !license['content-version'] || ['vor', 'unspecified'].includes(license['content-version']);
+        const startParts = license.start?.['date-parts']?.[0];
+        const start = startParts ? Date.UTC(startParts[0], (startParts[1] || 1) - 1, startParts[2] || 1) : 0;
+        return isOpen && appliesToVoR && start <= now;
+      });
       
-      // If there's a better OA location, suggest it
-      if (oaStatus.oa_url && oaStatus.oa_url !== url) {
-        result.oa_url = oaStatus.oa_url;
-        result.oa_host = oaStatus.host_type;
-        result.suggestion = `Open access version available at: ${oaStatus.oa_url}`;
+      if (!openLicense) {
+        // An open license that starts later is an embargo on the version of record
+        const embargoUntil = (work.license || [])
+          .filter(license => {
+            const licenseId = normalizeLicenseId(license.URL);
+            return licenseId && (licenseId.startsWith('cc-') || licenseId === 'cc0' || licenseId === 'public-domain');
+          })
+          .map(license => parseEmbargoDate(license.start?.['date-time'] || license.start?.['date-parts']?.[0]?.join('-')))
+          .filter(date => date && isEmbargoActive(date))
+          .sort()[0] || null;
+        
+        // Crossref has no OA flag - missing license metadata does not mean closed
+        return { doi: work.DOI, found: true, is_oa: false, oa_status: 'unknown', embargo_until: embargoUntil };
       }
       
-      return result;
-    } else {
-      console.log(`❌ DOI ${doi} is not open access (${oaStatus.oa_status || 'closed'})`);
+      const pdfLink = (work.link || []).find(link => link['content-type'] === 'application/pdf');
       
       return {
-        allowed: false,
-        reason: `Article is not openly accessible (status: ${oaStatus.oa_status || 'paywalled'})`,
-        category: 'paywalled',
-        confidence: 'high',
-        doi: doi,
-        suggestion: 'Check for preprint versions on arXiv.org, bioRxiv, or contact the author for a copy'
+        doi: work.DOI,
+        found: true,
+        is_oa: true,
+        oa_status: 'gold',
+        oa_url: pdfLink?.URL || work.URL,
+        host_type: 'publisher',
+        version: 'publishedVersion',
+        license: normalizeLicenseId(openLicense.URL),
+        oa_locations: []
       };
     }
-    
-  } catch (error) {
-    console.error('Error in copyright check:', error);
-    
-    // On error, be conservative and block
-    return {
-      allowed: false,
-      reason: `Copyright verification failed: ${error.message}`,
-      category: 'error',
-      confidence: 'low',
-      error: error.message
-    };
   }
+};
+
+/**
+ * Describe available OA providers (used by the options page)
+ */
+function listOAProviders() {
+  return Object.values(OA_PROVIDERS).map(({ id, name, description }) => ({ id, name, description }));
 }
 
 /**
- * Get a user-friendly message for copyright status
+ * Load OA provider order, enabled set and endpoint overrides from settings
  */
-function getCopyrightMessage(result) {
-  if (!result) return 'Copyright status unknown';
+async function loadOAProviderSettings() {
+  let stored = {};
   
-  const icons = {
-    allowed: '✅',
-    blocked: '❌',
-    warning: '⚠️',
-    info: 'ℹ️'
+  try {
+    stored = await chrome.storage.sync.get(['oaProviders', 'oaProviderEndpoints', 'unpaywallEmail']);
+  } catch (error) {
+    console.warn('Error loading OA provider settings, using defaults:', error);
+  }
+  
+  const configured = Array.isArray(stored.oaProviders) ? stored.oaProviders : COPYRIGHT_CONFIG.DEFAULT_OA_PROVIDERS;
+  
+  // Drop unknown providers and append any new ones (enabled) at the end
+  const providers = configured.filter(provider => OA_PROVIDERS[provider.id]);
+  for (const defaultProvider of COPYRIGHT_CONFIG.DEFAULT_OA_PROVIDERS) {
+    if (!providers.some(provider => provider.id === defaultProvider.id)) {
+      providers.push({ ...defaultProvider });
+    }
+  }
+  
+  const managed = await getManagedPolicy();
+  
+  // Organisation (managed) values win over the user's own
+  const endpoints = { ...(stored.oaProviderEndpoints || {}) };
+  if (managed.unpaywallApiUrl) {
+    endpoints.unpaywall = managed.unpaywallApiUrl;
+  }
+  
+  return {
+    providers,
+    endpoints,
+    email: managed.unpaywallEmail || stored.unpaywallEmail || null
   };
+}
+
+/**
+ * Query a single OA provider for a DOI
+ */
+async function queryProvider(provider, doi, settings) {
+  if (provider.requiresEmail && !settings.email) {
+    console.warn(`Skipping ${provider.name}: no contact email configured`);
+    return { provider: provider.id, is_oa: false, error: `${provider.name} contact email not configured`, doi };
+  }
   
-  if (result.allowed) {
-    let message = `${icons.allowed} ${result.reason}`;
+  try {
+    console.log(`Querying ${provider.name} for DOI: ${doi}`);
     
-    if (result.warning) {
-      message += `\n${icons.warning} ${result.warning}`;
-    }
+    const { status, data } = await fetchProviderJSON(provider.buildUrl(doi, settings));
     
-    if (result.suggestion && result.oa_url) {
-      message += `\n${icons.info} Alternative OA version available`;
+    // Crossref works also list their update notices - keep them so the retraction check needs no second request
+    if (provider.id === 'crossref' && (status === 404 || data)) {
+      rememberRetractionStatus(doi, status === 404 ? null : data.message || {});
     }
     
-    return message;
-  } else {
-    let message = `${icons.blocked} ${result.reason}`;
+    if (status === 404) {
+      // DOI not found by this provider - treat as not OA
+      return { provider: provider.id, found: false, is_oa: false, oa_status: 'not_found', doi };
+    }
     
-    if (result.suggestion) {
-      message += `\n${icons.info} ${result.suggestion}`;
+    if (!data) {
+      throw new Error(`${provider.name} API error: ${status}`);
     }
     
-    return message;
+    const record = { ...provider.parse(data), provider: provider.id };
+    console.log(`${provider.name} result for ${doi}:`, record);
+    return record;
+    
+  } catch (error) {
+    console.error(`Error querying ${provider.name}:`, error);
+    
+    const message = error.name === 'AbortError' ? `${provider.name} API timeout` : error.message;
+    return { provider: provider.id, is_oa: false, error: message, doi };
   }
 }
 
 /**
- * Clear OA status cache (for maintenance/debugging)
+ * Query Unpaywall API for OA status (single provider, no caching)
  */
-async function clearOACache() {
-  try {
-    const allStorage = await chrome.storage.local.get(null);
-    const cacheKeys = Object.keys(allStorage).filter(key => key.startsWith('oa_cache_'));
-    
-    if (cacheKeys.length > 0) {
-      await chrome.storage.local.remove(cacheKeys);
-      console.log(`Cleared ${cacheKeys.length} cached OA status entries`);
-    }
-    
-    return cacheKeys.length;
-  } catch (error) {
-    console.error('Error clearing OA cache:', error);
-    return 0;
+async function queryUnpaywall(doi) {
+  const cleanDOI = self.doiUtils.normalizeDOI(doi);
+  if (!cleanDOI) {
+    return { is_oa: false, error: doi ? 'Invalid DOI' : 'No DOI provided' };
   }
+  
+  const settings = await loadOAProviderSettings();
+  return queryProvider(OA_PROVIDERS.unpaywall, cleanDOI, settings);
 }
 
-// Initialize on load
-loadAcademicDatabases();
+/**
+ * Merge provider records into one OA status with a confidence score (0-1).
+ * Providers vote with their weight; "unknown" and "not_found" answers do not vote.
+ */
+function mergeProviderResults(doi, records) {
+  const providerSummary = records.map(record => ({
+    provider: record.provider,
+    is_oa: record.is_oa,
+    oa_status: record.oa_status || null,
+    license: record.license || null,
+    embargo_until: record.embargo_until || null,
+    error: record.error || null
+  }));
+  
+  const answered = records.filter(record => !record.error);
+  
+  // Latest embargo end reported by any provider
+  const embargoUntil = answered.map(record => record.embargo_until).filter(Boolean).sort().pop() || null;
+  
+  if (answered.length === 0) {
+    return {
+      doi,
+      is_oa: false,
+      error: records.map(record => record.error).join('; ') || 'No OA providers enabled',
+      confidence_score: 0,
+      providers: providerSummary
+    };
+  }
+  
+  const voters = answered.filter(record => record.found && record.oa_status !== 'unknown');
+  const oaVotes = voters.filter(record => record.is_oa);
+  const closedVotes = voters.filter(record => !record.is_oa);
+  const weightOf = (votes) => votes.reduce((sum, record) => sum + OA_PROVIDERS[record.provider].weight, 0);
+  const oaScore = weightOf(oaVotes);
+  const closedScore = weightOf(closedVotes);
+  
+  if (oaScore === 0 && closedScore === 0) {
+    // No provider could determine OA status
+    return {
+      doi,
+      is_oa: false,
+      oa_status: answered.some(record => record.found) ? 'unknown' : 'not_found',
+      embargo_until: embargoUntil,
+      confidence_score: 0,
+      providers: providerSummary
+    };
+  }
+  
+  const isOA = oaScore > closedScore;
+  const winningScore = isOA ? oaScore : closedScore;
+  const winners = (isOA ? oaVotes : closedVotes)
+    .sort((a, b) => OA_PROVIDERS[b.provider].weight - OA_PROVIDERS[a.provider].weight);
+  const primary = winners[0];
+  
+  return {
+    doi: primary.doi || doi,
+    is_oa: isOA,
+    oa_status: primary.oa_status,
+    oa_url: winners.find(record => record.oa_url)?.oa_url,
+    host_type: winners.find(record => record.host_type)?.host_type,
+    version: winners.find(record => record.version)?.version,
+    license: winners.find(record => record.license)?.license,
+    oa_locations: winners.find(record => record.oa_locations?.length > 0)?.oa_locations || [],
+    provider: primary.provider,
+    embargo_until: embargoUntil,
+    confidence_score: Math.round(Math.min(1, winningScore) * (winningScore / (oaScore + closedScore)) * 100) / 100,
+    providers: providerSummary
+  };
+}
+
+/**
+ * Query the OA provider chain for a DOI (with caching).
+ * Providers are queried in the configured order until the merged result
+ * reaches PROVIDER_CONFIDENCE_THRESHOLD, so later providers act as fallbacks.
+ * options.bypassCache forces a fresh lookup (the new result is still cached).
+ */
+async function queryOAStatus(doi, options = {}) {
+  // Normalised DOIs keep cache keys consistent (case, prefixes, URL encoding)
+  const cleanDOI = self.doiUtils.normalizeDOI(doi);
+  if (!cleanDOI) {
+    return { is_oa: false, error: doi ? 'Invalid DOI' : 'No DOI provided' };
+  }
+  
+  // Check cache first (oa-cache.js, when loaded in this context)
+  const cache = typeof self !== 'undefined' ? self.oaCache : null;
+  const cached = cache && !options.bypassCache ? await cache.getCachedOAStatus(cleanDOI) : null;
+  if (cached) {
+    return cached;
+  }
+  
+  const settings = await loadOAProviderSettings();
+  const records = [];
+  let merged = mergeProviderResults(cleanDOI, records);
+  
+  for (const { id, enabled } of settings.providers) {
+    if (!enabled) continue;
+    
+    records.push(await queryProvider(OA_PROVIDERS[id], cleanDOI, settings));
+    merged = mergeProviderResults(cleanDOI, records);
+    
+    if (merged.confidence_score >= COPYRIGHT_CONFIG.PROVIDER_CONFIDENCE_THRESHOLD) {
+      break;
+    }
+  }
+  
+  // Failed lookups are cached too, with the short error TTL
+  if (cache) {
+    await cache.cacheOAStatus(cleanDOI, merged);
+  }
+  
+  return merged;
+}
+
+// Crossref update types grouped by how they affect reuse, most serious first
+const RETRACTION_STATUSES = {
+  retracted: { label: 'Retracted', types: ['retraction', 'partial_retraction', 'removal'] },
+  withdrawn: { label: 'Withdrawn', types: ['withdrawal'] },
+  expression_of_concern: { label: 'Expression of concern', types: ['expression_of_concern'] },
+  corrected: { label: 'Corrected', types: ['correction', 'corrigendum', 'erratum', 'addendum', 'clarification'] }
+};
+
+// Retraction lookups for this session, keyed by DOI
+const retractionCache = new Map();
+
+/**
+ * Read update notices from a Crossref work. updated-by lists notices about this work (they decide
+ * the status); update-to means this work is itself a notice about other DOIs (notice_for).
+ */
+function parseRetractionStatus(work) {
+  const toNotice = (update) => {
+    const type = String(update.type || '').toLowerCase().replace(/[\s-]+/g, '_');
+    const status = Object.keys(RETRACTION_STATUSES).find(key => RETRACTION_STATUSES[key].types.includes(type));
+    if (!status) return null;
+    
+    // Crossref date-parts: [year, month, day], month and day optional
+    const dateParts = (update.updated?.['date-parts']?.[0] || []).filter(Boolean);
+    const date = dateParts.map((part, index) => String(part).padStart(index === 0 ? 4 : 2, '0')).join('-');
+    
+    return {
+      status,
+      type,
+      doi: self.doiUtils.normalizeDOI(update.DOI),
+      date: date || null,
+      label: update.label || RETRACTION_STATUSES[status].label,
+      source: update.source || 'publisher'
+    };
+  };
+  
+  const notices = (work['updated-by'] || []).map(toNotice).filter(Boolean);
+  const noticeFor = (work['update-to'] || []).map(toNotice).filter(Boolean);
+  
+  // The most serious notice decides the status
+  const status = Object.keys(RETRACTION_STATUSES).find(key => notices.some(notice => notice.status === key)) || 'none';
+  
+  return {
+    status,
+    label: status === 'none' ? null : RETRACTION_STATUSES[status].label,
+    notices,
+    notice_for: noticeFor
+  };
+}
+
+/**
+ * Parse and cache the retraction status of a Crossref work (null work = not registered with Crossref)
+ */
+function rememberRetractionStatus(doi, work) {
+  // Not registered with Crossref (e.g. DataCite DOIs) - no notices to find
+  const retraction = work ? parseRetractionStatus(work) : { status: 'none', label: null, notices: [], notice_for: [] };
+  
+  retraction.checked_at = new Date().toISOString();
+  retractionCache.set(doi, retraction);
+  
+  if (retraction.status !== 'none') {
+    console.warn(`⚠️ DOI ${doi}: ${retraction.label}`, retraction.notices);
+  }
+  
+  return retraction;
+}
+
+/**
+ * Look up retraction and correction notices for a DOI in Crossref.
+ * Uses the Crossref endpoint override (self-hosted mirror or local fixture server) when one is set.
+ * Reuses the work the OA provider chain already fetched; with options.bypassCache only a status
+ * checked since options.checkedSince (ISO timestamp) is reused.
+ * Returns null when the lookup failed - an unknown status is never reported as "none".
+ */
+async function queryRetractionStatus(doi, options = {}) {
+  const cleanDOI = self.doiUtils.normalizeDOI(doi);
+  if (!cleanDOI) return null;
+  
+  const cached = retractionCache.get(cleanDOI);
+  if (cached && (!options.bypassCache || (options.checkedSince && cached.checked_at >= options.checkedSince))) {
+    return cached;
+  }
+  
+  try {
+    const settings = await loadOAProviderSettings();
+    const { status, data } = await fetchProviderJSON(OA_PROVIDERS.crossref.buildUrl(cleanDOI, settings));
+    
+    if (status !== 404 && !data) {
+      throw new Error(`Crossref API error: ${status}`);
+    }
+    
+    return rememberRetractionStatus(cleanDOI, status === 404 ? null : data.message || {});
+  } catch (error) {
+    console.warn(`Could not check retraction status for ${cleanDOI}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Describe a retraction status for the popup and batch results (null when there is nothing to report)
+ */
+function getRetractionWarning(retraction) {
+  if (!retraction) return null;
+  
+  if (retraction.status === 'none') {
+    const target = retraction.notice_for?.[0];
+    return target ? `This is a ${target.label.toLowerCase()} notice for ${target.doi || 'another article'}, not the article itself` : null;
+  }
+  
+  const notice = retraction.notices.find(item => item.status === retraction.status);
+  const details = notice ? ` (${notice.label}${notice.date ? `, ${notice.date}` : ''})` : '';
+  const messages = {
+    retracted: 'This paper has been retracted and should not be cited as valid work',
+    withdrawn: 'This paper has been withdrawn',
+    expression_of_concern: 'The publisher has issued an expression of concern about this paper',
+    corrected: 'A correction has been published for this paper'
+  };
+  
+  return `${messages[retraction.status]}${details}`;
+}
+
+// Identifier resolutions for this session, keyed by the identifier set
+const identifierResolutionCache = new Map();
+
+/**
+ * Resolvers for non-DOI identifiers, tried in order. Each returns (all optional):
+ * doi - DOI to check with the OA providers, oa - OA evidence from the identifier itself,
+ * landing_url - where the identifier resolves (checked against the domain rules),
+ * identifiers - further identifiers learned on the way.
+ */
+const IDENTIFIER_RESOLVERS = {
+  pubmed: {
+    applies: identifiers => identifiers.pmcid || identifiers.pmid,
+    async resolve(identifiers, settings) {
+      const id = identifiers.pmcid || identifiers.pmid;
+      const email = settings.email ? `&email=${encodeURIComponent(settings.email)}` : '';
+      const { data } = await fetchProviderJSON(
+        `${COPYRIGHT_CONFIG.PMC_IDCONV_API}?ids=${encodeURIComponent(id)}&format=json&tool=uzei-extension${email}`
+      );
+      const record = data?.records?.[0] || {};
+      const pmcid = self.identifierUtils.normalizePMCID(record.pmcid) || identifiers.pmcid;
+      
+      return {
+        doi: self.doiUtils.normalizeDOI(record.doi),
+        identifiers: { pmid: record.pmid ? String(record.pmid) : null, pmcid },
+        // Every article in PubMed Central is free to read there
+        oa: pmcid ? {
+          source: 'pmc',
+          url: `https://pmc.ncbi.nlm.nih.gov/articles/${pmcid}/`,
+          reason: `Available in PubMed Central (${pmcid})`
+        } : null
+      };
+    }
+  },
+  
+  arxiv: {
+    applies: identifiers => identifiers.arxiv,
+    async resolve(identifiers) {
+      return {
+        doi: self.doiUtils.arxivToDOI(identifiers.arxiv),
+        oa: {
+          source: 'arxiv',
+          url: `https://arxiv.org/abs/${identifiers.arxiv}`,
+          reason: `Preprint available on arXiv (${identifiers.arxiv})`
+        }
+      };
+    }
+  },
+  
+  hal: {
+    applies: identifiers => identifiers.hal,
+    async resolve(identifiers) {
+      const query = `halId_s:${encodeURIComponent(identifiers.hal)}`;
+      const { data } = await fetchProviderJSON(
+        `${COPYRIGHT_CONFIG.HAL_API}?q=${query}&fl=doiId_s,openAccess_bool,uri_s,fileMain_s&wt=json`
+      );
+      const record = data?.response?.docs?.[0];
+      if (!record) return {};
+      
+      return {
+        doi: self.doiUtils.normalizeDOI(record.doiId_s),
+        // HAL records are open access when a full text file is deposited
+        oa: record.openAccess_bool || record.fileMain_s ? {
+          source: 'hal',
+          url: record.fileMain_s || record.uri_s,
+          reason: `Full text deposited in the HAL open archive (${identifiers.hal})`
+        } : null
+      };
+    }
+  },
+  
+  isbn: {
+    applies: identifiers => identifiers.isbn,
+    async resolve(identifiers) {
+      const { data } = await fetchProviderJSON(
+        `${COPYRIGHT_CONFIG.DOAB_API}?query=isbn:${identifiers.isbn}&expand=metadata`
+      );
+      const record = Array.isArray(data) ? data[0] : null;
+      if (!record) return {};
+      
+      // Books listed in the Directory of Open Access Books are open access
+      return {
+        oa: {
+          source: 'doab',
+          url: record.handle ? `https://directory.doabooks.org/handle/${record.handle}` : null,
+          reason: `Open access book listed in DOAB (ISBN ${identifiers.isbn})`
+        }
+      };
+    }
+  },
+  
+  handle: {
+    applies: identifiers => identifiers.handle,
+    async resolve(identifiers) {
+      const { data } = await fetchProviderJSON(`${COPYRIGHT_CONFIG.HANDLE_API}/${identifiers.handle}`);
+      const urlValue = (data?.values || []).find(value => value.type === 'URL');
+      return { landing_url: urlValue?.data?.value || null };
+    }
+  }
+};
+
+/**
+ * Resolve non-DOI identifiers to a DOI, OA evidence and/or a landing URL.
+ * Stops at the first resolver that provides OA evidence; failed lookups are not cached.
+ */
+async function resolveIdentifiers(identifiers) {
+  const key = JSON.stringify(identifiers);
+  if (identifierResolutionCache.has(key)) {
+    return identifierResolutionCache.get(key);
+  }
+  
+  const settings = await loadOAProviderSettings();
+  const resolution = { doi: null, oa: null, landing_url: null, identifiers: { ...identifiers } };
+  let failed = false;
+  
+  for (const [id, resolver] of Object.entries(IDENTIFIER_RESOLVERS)) {
+    if (!resolver.applies(identifiers)) continue;
+    
+    try {
+      const result = await resolver.resolve(identifiers, settings);
+      resolution.doi = resolution.doi || result.doi || null;
+      resolution.oa = resolution.oa || result.oa || null;
+      resolution.landing_url = resolution.landing_url || result.landing_url || null;
+      resolution.identifiers = self.identifierUtils.mergeIdentifiers(resolution.identifiers, result.identifiers);
+    } catch (error) {
+      console.warn(`Could not resolve ${id} identifier:`, error);
+      failed = true;
+    }
+    
+    if (resolution.oa) break;
+  }
+  
+  console.log('Identifier resolution:', resolution);
+  
+  if (!failed) {
+    identifierResolutionCache.set(key, resolution);
+  }
+  
+  return resolution;
+}
+
+/**
+ * Normalise an embargo date (2026-03-01, 2026/03/01, 2026-03, 2026, ISO timestamps) to YYYY-MM-DD.
+ * Partial dates are read as the first day of the month / year.
+ */
+function parseEmbargoDate(value) {
+  const match = String(value || '').trim().match(/^(\d{4})(?:[-/.](\d{1,2}))?(?:[-/.](\d{1,2}))?/);
+  if (!match) return null;
+  
+  const [, year, month = '1', day = '1'] = match;
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (isNaN(date.getTime()) || date.getUTCMonth() !== Number(month) - 1) return null;
+  
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Check whether an embargo (YYYY-MM-DD) has not ended yet - it ends at the start of that day
+ */
+function isEmbargoActive(embargoUntil) {
+  return !!embargoUntil && embargoUntil > new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Blocked decision for embargoed content (source: 'page' meta tags or 'provider' metadata)
+ */
+function buildEmbargoResult(embargoUntil, source, details = {}) {
+  return {
+    ...details,
+    allowed: false,
+    reason: `Embargoed - blocked until ${embargoUntil}`,
+    category: 'embargoed',
+    confidence: source === 'page' ? 'high' : 'medium',
+    embargo_until: embargoUntil,
+    embargo_source: source,
+    suggestion: 'The full text can be added once the embargo ends - set a reminder to check it again then'
+  };
+}
+
+/**
+ * Map a numeric confidence score to the checker's confidence levels
+ */
+function confidenceLevel(score) {
+  if (score >= 0.8) return 'high';
+  if (score >= 0.5) return 'medium';
+  return 'low';
+}
+
+/**
+ * Load the managed policy if managed-policy.js is loaded in this context
+ */
+async function getManagedPolicy() {
+  if (typeof self !== 'undefined' && self.managedPolicy) {
+    return self.managedPolicy.loadManagedPolicy();
+  }
+  return {};
+}
+
+/**
+ * Publisher URL used for rule matching (institutional proxy URLs are mapped back to the publisher host)
+ */
+async function getPublisherUrl(url) {
+  if (typeof self !== 'undefined' && self.urlNormalizer) {
+    await self.urlNormalizer.loadProxyPatterns();
+    return self.urlNormalizer.normalizeProxiedUrl(url);
+  }
+  return url;
+}
+
+/**
+ * Ensure academic databases, user rules and the policy blocklist are loaded
+ */
+async function loadDomainRules() {
+  if (academicDatabases.whitelist.length === 0) {
+    await loadAcademicDatabases();
+  }
+  await loadUserDomainRules();
+  policyBlocklist = (await getManagedPolicy()).forcedBlocklist || [];
+}
+
+/**
+ * Verdict from the domain lists alone - no DOI or OA lookup, so nothing leaves the browser.
+ * Used for toolbar badges when background pre-verification is off; returns null when the
+ * lists do not decide (unlisted and mixed-content domains).
+ */
+async function checkDomainRule(url) {
+  await loadDomainRules();
+  
+  const publisher = new URL(await getPublisherUrl(url));
+  const domainRule = resolveDomainRule(publisher.hostname, publisher.pathname);
+  
+  if (domainRule?.source === 'policy' && domainRule.list === 'blacklist') {
+    return {
+      allowed: false,
+      reason: 'Blocked by your institution\'s copyright policy',
+      category: 'policy_blocked',
+      confidence: 'high',
+      matched_rule: domainRule
+    };
+  }
+  
+  if (domainRule?.list === 'whitelist') {
+    return {
+      allowed: true,
+      reason: domainRule.source === 'user'
+        ? 'Trusted open access source (user rule)'
+        : 'Trusted open access source',
+      category: 'whitelist',
+      confidence: 'high',
+      matched_rule: domainRule
+    };
+  }
+  
+  // An open access DOI can still lift a subscription block, so this verdict is provisional
+  if (domainRule?.list === 'blacklist') {
+    return {
+      allowed: false,
+      reason: 'Subscription database - open the extension to look for an open access version',
+      category: 'blacklist',
+      confidence: 'medium',
+      matched_rule: domainRule
+    };
+  }
+  
+  return null;
+}
+
+/**
+ * Check copyright status for content
+ * Main entry point for copyright verification - every decision is written to the audit log
+ * together with the optional context ({ projectId }); context.bypassCache re-verifies OA status.
+ * context.audit === false skips the audit entry (background pre-verification records it on use).
+ */
+async function checkCopyright(pageData, context = {}) {
+  const startedAt = new Date().toISOString();
+  let result;
+  
+  try {
+    await loadDomainRules();
+    
+    // Rules, PDF detection and DOI extraction use the publisher URL behind any proxy
+    const publisherUrl = pageData.url ? await getPublisherUrl(pageData.url) : null;
+    const proxied = publisherUrl && publisherUrl !== pageData.url;
+    const domain = proxied ? new URL(publisherUrl).hostname : (pageData.domain || new URL(pageData.url).hostname);
+    const path = publisherUrl ? new URL(publisherUrl).pathname : '/';
+    const domainRule = resolveDomainRule(domain, path);
+    
+    // Identifiers from the page (content.js) and from the URL itself
+    const identifiers = self.identifierUtils.mergeIdentifiers(
+      pageData.identifiers,
+      publisherUrl ? self.identifierUtils.extractIdentifiersFromUrl(publisherUrl) : {}
+    );
+    
+    const ruleData = { ...pageData, url: publisherUrl || pageData.url, domain, identifiers };
+    result = await evaluateCopyright(ruleData, domain, domainRule, context);
+    
+    // Report which rule (bundled or user) matched, if any
+    result.matched_rule = domainRule;
+    
+    // Identifiers (including any learned while resolving) travel with the result to the payload
+    const allIdentifiers = self.identifierUtils.mergeIdentifiers(result.identifiers, identifiers);
+    if (Object.keys(allIdentifiers).length > 0) {
+      result.identifiers = allIdentifiers;
+    }
+    
+    if (proxied) {
+      result.publisher_url = publisherUrl;
+    }
+    
+    // Retraction and correction notices do not change the decision but travel with it
+    // (policy-blocked pages are not looked up at all)
+    const doi = result.doi || self.doiUtils.normalizeDOI(pageData.doi) || self.doiUtils.extractDOIFromUrl(ruleData.url);
+    if (doi && COPYRIGHT_CONFIG.CHECK_RETRACTIONS && result.category !== 'policy_blocked') {
+      const retraction = await queryRetractionStatus(doi, { bypassCache: context.bypassCache === true, checkedSince: startedAt });
+      if (retraction) {
+        result.doi = result.doi || doi;
+        result.retraction = retraction;
+        result.retraction_warning = getRetractionWarning(retraction);
+      }
+    }
+    
+  } catch (error) {
+    console.error('Error in copyright check:', error);
+    
+    // On error, be conservative and block
+    result = {
+      allowed: false,
+      reason: `Copyright verification failed: ${error.message}`,
+      category: 'error',
+      confidence: 'low',
+      error: error.message
+    };
+  }
+  
+  // Every decision goes to the audit log (context carries the project id)
+  if (context.audit !== false && typeof self !== 'undefined' && self.auditLog) {
+    await self.auditLog.recordDecision(pageData, result, context);
+  }
+  
+  return result;
+}
+
+/**
+ * Evaluate copyright status against the resolved domain rule and OA data
+ */
+async function evaluateCopyright(pageData, domain, domainRule, context = {}) {
+  const url = pageData.url;
+  const isPDF = pageData.isPDF || pageData.contentType === 'pdf';
+  let doi = self.doiUtils.normalizeDOI(pageData.doi);
+  
+  console.log('Checking copyright for:', { url, domain, isPDF, doi, rule: domainRule });
+  
+  // Step 0: Institutional policy blocks are final - no DOI or OA lookup can lift them
+  if (domainRule?.source === 'policy' && domainRule.list === 'blacklist') {
+    console.log(`⛔ Domain ${domain} is blocked by institutional policy (${domainRule.pattern})`);
+    return {
+      allowed: false,
+      reason: 'Blocked by your institution\'s copyright policy',
+      category: 'policy_blocked',
+      confidence: 'high'
+    };
+  }
+  
+  // Step 0b: Embargo declared by the page (repository meta tags) applies even on trusted sources
+  const pageEmbargo = parseEmbargoDate(pageData.embargoDate);
+  if (isEmbargoActive(pageEmbargo)) {
+    console.log(`⏳ Page is embargoed until ${pageEmbargo}`);
+    return buildEmbargoResult(pageEmbargo, 'page', doi ? { doi } : {});
+  }
+  
+  // Step 1: Whitelist check (short-circuit - trusted OA sources)
+  if (domainRule?.list === 'whitelist') {
+    console.log(`✅ Domain ${domain} is whitelisted (trusted OA source, ${domainRule.source} rule)`);
+    return {
+      allowed: true,
+      reason: domainRule.source === 'user'
+        ? 'Trusted open access source (user rule)'
+        : 'Trusted open access source',
+      category: 'whitelist',
+      confidence: 'high'
+    };
+  }
+  
+  // Step 2: Extract DOI if not already present
+  if (!doi && isPDF) {
+    doi = self.doiUtils.extractDOIFromUrl(url);
+    if (doi) {
+      console.log(`Extracted DOI from PDF URL: ${doi}`);
+    }
+  }
+  
+  // Step 2b: Without a DOI, other identifiers may resolve to a DOI or prove OA on their own
+  if (!doi && Object.keys(pageData.identifiers || {}).length > 0) {
+    const resolution = await resolveIdentifiers(pageData.identifiers);
+    
+    if (resolution.oa) {
+      console.log(`✅ Open access confirmed via ${resolution.oa.source}`);
+      const result = {
+        allowed: true,
+        reason: resolution.oa.reason,
+        category: 'oa_verified',
+        confidence: 'high',
+        oa_status: 'green',
+        oa_provider: resolution.oa.source,
+        oa_checked_at: new Date().toISOString(),
+        doi: resolution.doi,
+        identifiers: resolution.identifiers,
+        warning: 'The reuse license was not checked for this identifier. Confirm the license before reusing the content.'
+      };
+      
+      if (resolution.oa.url && resolution.oa.url !== url) {
+        result.oa_url = resolution.oa.url;
+        result.suggestion = `Open access version available at: ${resolution.oa.url}`;
+      }
+      
+      return result;
+    }
+    
+    // Handles resolve to a repository landing page - trust it when that repository is allowlisted
+    if (resolution.landing_url) {
+      try {
+        const landing = new URL(resolution.landing_url);
+        const landingRule = resolveDomainRule(landing.hostname, landing.pathname);
+        if (landingRule?.list === 'whitelist') {
+          return {
+            allowed: true,
+            reason: `Handle resolves to a trusted open access repository (${landing.hostname})`,
+            category: 'whitelist',
+            confidence: 'medium',
+            landing_url: resolution.landing_url,
+            identifiers: resolution.identifiers
+          };
+        }
+      } catch (error) {
+        console.warn('Invalid Handle landing URL:', resolution.landing_url);
+      }
+    }
+    
+    if (resolution.doi) {
+      doi = resolution.doi;
+      console.log(`Resolved identifiers to DOI: ${doi}`);
+    }
+  }
+  
+  // Step 3: Handle cases without DOI
+  if (!doi) {
+    console.log('No DOI found for verification');
+    
+    // Conditional (mixed-access) domains need a per-article check - no DOI means no check
+    if (domainRule?.list === 'conditional') {
+      return {
+        allowed: false,
+        reason: 'Site mixes open access and subscription content - this article could not be verified without a DOI',
+        category: 'conditional_unverified',
+        confidence: 'medium',
+        suggestion: 'Open the article on its publisher or repository page, or find its DOI so it can be verified'
+      };
+    }
+    
+    // Blacklisted domain without DOI = block
+    if (domainRule?.list === 'blacklist') {
+      return {
+        allowed: false,
+        reason: 'Content from subscription database - cannot verify open access status without DOI',
+        category: 'blacklist',
+        confidence: 'high',
+        suggestion: 'Try finding an open access version on preprint servers or institutional repositories'
+      };
+    }
+    
+    // PDF without DOI from unknown domain = block (be safe)
+    if (isPDF) {
+      return {
+        allowed: false,
+        reason: 'PDF from unknown source - cannot verify copyright status',
+        category: 'unknown_pdf',
+        confidence: 'medium',
+        suggestion: 'Try accessing the article webpage instead of direct PDF, or check if available on open access repositories'
+      };
+    }
+    
+    // HTML page from unknown domain without DOI = allow with warning
+    return {
+      allowed: true,
+      reason: 'Unknown source - could not verify copyright status',
+      category: 'unknown_html',
+      confidence: 'low',
+      warning: 'Copyright status could not be verified. Please ensure you have the right to access this content.'
+    };
+  }
+  
+  // Step 4: Query the OA provider chain for DOI
+  console.log(`Checking DOI via OA providers: ${doi}`);
+  const oaStatus = await queryOAStatus(doi, { bypassCache: context.bypassCache === true });
+  
+  if (oaStatus.error && !oaStatus.is_oa) {
+    // Every provider failed
+    console.warn('OA provider queries failed:', oaStatus.error);
+    
+    // Recent failures are backed off - say when the providers will be asked again
+    const retryNote = oaStatus.retry_at
+      ? `; retrying after ${new Date(oaStatus.retry_at).toLocaleTimeString()}`
+      : '';
+    
+    // Be conservative: block if we can't verify
+    return {
+      allowed: false,
+      reason: `Could not verify open access status (${oaStatus.error}${retryNote})`,
+      category: 'verification_failed',
+      confidence: 'low',
+      doi: doi,
+      retry_at: oaStatus.retry_at || null,
+      provider_results: oaStatus.providers,
+      suggestion: /contact email not configured/.test(oaStatus.error)
+        ? 'Set an Unpaywall contact email in Extension Settings, or enable another open access provider'
+        : 'Check your internet connection and try again, or verify the article is open access manually'
+    };
+  }
+  
+  // Provenance of the OA decision
+  const providerDetails = {
+    oa_provider: oaStatus.provider || null,
+    confidence_score: oaStatus.confidence_score ?? null,
+    oa_checked_at: oaStatus.cached_at || new Date().toISOString(),
+    provider_results: oaStatus.providers || []
+  };
+  
+  // Step 5: Process OA provider result
+  if (oaStatus.is_oa) {
+    console.log(`✅ DOI ${doi} is open access (${oaStatus.oa_status})`);
+    
+    // Step 6: Apply license and version policy
+    const policy = await loadLicensePolicy();
+    const licenseDecision = evaluateLicensePolicy(oaStatus, url, policy);
+    
+    if (!licenseDecision.allowed) {
+      console.log(`❌ DOI ${doi} blocked by license policy (${licenseDecision.category})`);
+      return {
+        ...licenseDecision.details,
+        ...providerDetails,
+        allowed: false,
+        reason: licenseDecision.reason,
+        category: licenseDecision.category,
+        confidence: confidenceLevel(oaStatus.confidence_score ?? 1),
+        oa_status: oaStatus.oa_status,
+        doi: doi,
+        suggestion: licenseDecision.suggestion
+      };
+    }
+    
+    const result = {
+      ...licenseDecision.details,
+      ...providerDetails,
+      allowed: true,
+      reason: `Open access confirmed (${oaStatus.oa_status})`,
+      category: 'oa_verified',
+      confidence: confidenceLevel(oaStatus.confidence_score ?? 1),
+      oa_status: oaStatus.oa_status,
+      doi: doi
+    };
+    
+    if (licenseDecision.warnings.length > 0) {
+      result.warning = licenseDecision.warnings.join(' ');
+    }
+    
+    // If there's a better OA location, suggest it
+    const oaUrl = licenseDecision.location?.url || oaStatus.oa_url;
+    if (oaUrl && oaUrl !== url) {
+      result.oa_url = oaUrl;
+      result.oa_host = licenseDecision.location?.host_type || oaStatus.host_type;
+      result.suggestion = `Open access version available at: ${oaUrl}`;
+    }
+    
+    return result;
+  } else {
+    console.log(`❌ DOI ${doi} is not open access (${oaStatus.oa_status || 'closed'})`);
+    
+    // Publisher metadata says when the article opens up
+    if (isEmbargoActive(oaStatus.embargo_until)) {
+      return buildEmbargoResult(oaStatus.embargo_until, 'provider', {
+        ...providerDetails,
+        doi: doi,
+        oa_status: oaStatus.oa_status || 'closed'
+      });
+    }
+    
+    return {
+      ...providerDetails,
+      allowed: false,
+      reason: `Article is not openly accessible (status: ${oaStatus.oa_status || 'paywalled'})`,
+      category: 'paywalled',
+      confidence: oaStatus.confidence_score ? confidenceLevel(oaStatus.confidence_score) : 'medium',
+      doi: doi,
+      suggestion: 'Check for preprint versions on arXiv.org, bioRxiv, or contact the author for a copy'
+    };
+  }
+}
+
+/**
+ * Load license policy settings
+ */
+async function loadLicensePolicy() {
+  try {
+    const settings = await chrome.storage.sync.get(['commercialUse']);
+    const managed = await getManagedPolicy();
+    return {
+      commercialUse: (managed.commercialUse ?? settings.commercialUse) === true
+    };
+  } catch (error) {
+    console.warn('Error loading license policy, using defaults:', error);
+    return { commercialUse: false };
+  }
+}
+
+/**
+ * Load which blocked categories may be overridden by the user (sync settings)
+ */
+async function loadOverridePolicy() {
+  const policy = { ...COPYRIGHT_CONFIG.DEFAULT_OVERRIDE_POLICY };
+  
+  try {
+    const settings = await chrome.storage.sync.get(['overridePolicy']);
+    const managed = await getManagedPolicy();
+    
+    // Managed policy wins over the user's own choices
+    const configured = { ...(settings.overridePolicy || {}), ...(managed.overridePolicy || {}) };
+    OVERRIDE_CATEGORIES.forEach(category => {
+      if (typeof configured[category] === 'boolean') {
+        policy[category] = configured[category];
+      }
+    });
+  } catch (error) {
+    console.warn('Error loading override policy, using defaults:', error);
+  }
+  
+  return policy;
+}
+
+/**
+ * Check whether a blocked result may be overridden under the given policy
+ */
+function canOverride(result, policy = COPYRIGHT_CONFIG.DEFAULT_OVERRIDE_POLICY) {
+  return !!result && !result.allowed &&
+    OVERRIDE_CATEGORIES.includes(result.category) &&
+    policy[result.category] === true;
+}
+
+/**
+ * Allow a blocked result on the user's justified claim of rights.
+ * override: { justification, explanation } - justification must be one of OVERRIDE_JUSTIFICATIONS.
+ * The override is written to the audit log; throws if policy or input does not permit it.
+ */
+async function applyOverride(pageData, result, override, context = {}) {
+  const policy = await loadOverridePolicy();
+  
+  if (!canOverride(result, policy)) {
+    throw new Error(`Overrides are not permitted for ${result?.category || 'this'} content`);
+  }
+  
+  if (!OVERRIDE_JUSTIFICATIONS[override?.justification]) {
+    throw new Error('Please select a justification');
+  }
+  
+  const explanation = (override.explanation || '').trim();
+  if (explanation.length < COPYRIGHT_CONFIG.MIN_OVERRIDE_EXPLANATION) {
+    throw new Error(`Please explain your rights in at least ${COPYRIGHT_CONFIG.MIN_OVERRIDE_EXPLANATION} characters`);
+  }
+  
+  const overrideRecord = {
+    justification: override.justification,
+    justification_label: OVERRIDE_JUSTIFICATIONS[override.justification],
+    explanation: explanation,
+    blocked_category: result.category,
+    blocked_reason: result.reason,
+    overridden_at: new Date().toISOString()
+  };
+  
+  const overridden = {
+    ...result,
+    allowed: true,
+    overridden: true,
+    override: overrideRecord,
+    reason: `Allowed by user override (${overrideRecord.justification_label})`
+  };
+  
+  if (typeof self !== 'undefined' && self.auditLog) {
+    await self.auditLog.recordDecision(pageData, overridden, { ...context, override: overrideRecord });
+  }
+  
+  return overridden;
+}
+
+/**
+ * Classify an Unpaywall license string
+ * Returns e.g. 'cc-by', 'cc-by-nc', 'cc-by-nd', 'cc0', 'public-domain', 'publisher-specific' or 'none'
+ */
+function classifyLicense(license) {
+  if (!license) return 'none';
+  
+  const lowerLicense = license.toLowerCase().trim();
+  
+  if (lowerLicense === 'cc0') return 'cc0';
+  if (lowerLicense === 'pd' || lowerLicense === 'public-domain') return 'public-domain';
+  if (/^cc-by(-(nc|nd|sa))*$/.test(lowerLicense)) return lowerLicense;
+  
+  // implied-oa, publisher-specific-oa, acs-specific: ..., other-oa
+  return 'publisher-specific';
+}
+
+/**
+ * Check whether a page URL is the same host as an OA location
+ */
+function isSameLocationHost(pageUrl, locationUrl) {
+  try {
+    return new URL(pageUrl).hostname.replace(/^www\./, '') ===
+           new URL(locationUrl).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Decide whether OA content may be collected based on its license and version.
+ * Bronze (no license) is allowed with a warning, NC content is flagged (and blocked
+ * for commercial use), and when only a manuscript version is open the manuscript
+ * location is recommended instead of the closed published version.
+ */
+function evaluateLicensePolicy(oaStatus, pageUrl, policy = {}) {
+  const locations = oaStatus.oa_locations?.length > 0
+    ? oaStatus.oa_locations
+    : [{ url: oaStatus.oa_url, host_type: oaStatus.host_type, version: oaStatus.version, license: oaStatus.license, is_best: true }];
+  
+  const currentLocation = locations.find(location => location.url && isSameLocationHost(pageUrl, location.url));
+  const publishedLocation = locations.find(location => location.version === 'publishedVersion');
+  const manuscriptLocation =
+    locations.find(location => location.version === 'acceptedVersion') ||
+    locations.find(location => location.version === 'submittedVersion');
+  
+  // Published version is closed: only the manuscript copy may be collected
+  if (!publishedLocation && manuscriptLocation && !currentLocation) {
+    const versionLabel = manuscriptLocation.version === 'acceptedVersion' ? 'accepted manuscript' : 'submitted manuscript';
+    return {
+      allowed: false,
+      category: 'accepted_version_only',
+      reason: `Published version is not openly accessible - only the ${versionLabel} is open access`,
+      suggestion: `Use the ${versionLabel} instead: ${manuscriptLocation.url}`,
+      location: manuscriptLocation,
+      warnings: [],
+      details: {
+        oa_url: manuscriptLocation.url,
+        oa_host: manuscriptLocation.host_type,
+        version: manuscriptLocation.version,
+        license: manuscriptLocation.license || null,
+        license_category: classifyLicense(manuscriptLocation.license),
+        recommended_version: manuscriptLocation.version
+      }
+    };
+  }
+  
+  const location = currentLocation || locations.find(loc => loc.is_best) || locations[0];
+  const licenseCategory = classifyLicense(location.license);
+  const nonCommercial = licenseCategory.includes('-nc');
+  const noDerivatives = licenseCategory.includes('-nd');
+  const warnings = [];
+  
+  const details = {
+    version: location.version || null,
+    license: location.license || null,
+    license_category: licenseCategory,
+    non_commercial: nonCommercial,
+    no_derivatives: noDerivatives
+  };
+  
+  if (nonCommercial && policy.commercialUse) {
+    return {
+      allowed: false,
+      category: 'license_restricted',
+      reason: `Licensed for non-commercial use only (${location.license}) - not permitted for commercial projects`,
+      suggestion: 'Look for a version under a license that permits commercial use, or contact the publisher for permission',
+      location,
+      warnings,
+      details
+    };
+  }
+  
+  if (licenseCategory === 'none' || oaStatus.oa_status === 'bronze') {
+    warnings.push('Free to read but no open license was found (bronze OA) - reuse rights are unclear.');
+  }
+  
+  if (licenseCategory === 'publisher-specific') {
+    warnings.push(`Publisher-specific license (${location.license}) - check the reuse terms.`);
+  }
+  
+  if (nonCommercial) {
+    warnings.push(`Licensed for non-commercial use only (${location.license}).`);
+  }
+  
+  if (noDerivatives) {
+    warnings.push(`No-derivatives license (${location.license}) - quote verbatim with attribution, do not adapt.`);
+  }
+  
+  if (location.version && location.version !== 'publishedVersion') {
+    warnings.push(`This is the ${location.version === 'acceptedVersion' ? 'accepted' : 'submitted'} manuscript, not the published version.`);
+  }
+  
+  return {
+    allowed: true,
+    category: 'oa_verified',
+    location,
+    warnings,
+    details
+  };
+}
+
+/**
+ * Get a user-friendly message for copyright status
+ */
+function getCopyrightMessage(result) {
+  if (!result) return 'Copyright status unknown';
+  
+  const icons = {
+    allowed: '✅',
+    blocked: '❌',
+    warning: '⚠️',
+    info: 'ℹ️',
+    retraction: '🚩'
+  };
+  
+  if (result.allowed) {
+    let message = `${icons.allowed} ${result.reason}`;
+    
+    if (result.warning) {
+      message += `\n${icons.warning} ${result.warning}`;
+    }
+    
+    if (result.suggestion && result.oa_url) {
+      message += `\n${icons.info} Alternative OA version available`;
+    }
+    
+    if (result.retraction_warning) {
+      message += `\n${icons.retraction} ${result.retraction_warning}`;
+    }
+    
+    return message;
+  } else {
+    let message = `${icons.blocked} ${result.reason}`;
+    
+    if (result.suggestion) {
+      message += `\n${icons.info} ${result.suggestion}`;
+    }
+    
+    if (result.retraction_warning) {
+      message += `\n${icons.retraction} ${result.retraction_warning}`;
+    }
+    
+    return message;
+  }
+}
+
+// Initialize on load
+loadAcademicDatabases();
+
+// Switch to a newly downloaded domain list without waiting for a restart
+if (typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && self.dblistUpdater && changes[self.dblistUpdater.STORAGE_KEY]) {
+      loadAcademicDatabases();
+    }
+  });
+}
 
-// Export functions for use in other scripts
-if (typeof window !== 'undefined') {
-  window.copyrightChecker = {
+// Export functions for use in other scripts (pages and the service worker)
+if (typeof self !== 'undefined') {
+  self.copyrightChecker = {
     checkCopyright,
+    checkDomainRule,
     getCopyrightMessage,
     queryUnpaywall,
-    clearOACache,
+    queryRetractionStatus,
+    parseRetractionStatus,
+    getRetractionWarning,
+    queryOAStatus,
+    listOAProviders,
+    evaluateLicensePolicy,
+    parseEmbargoDate,
+    isEmbargoActive,
+    loadOverridePolicy,
+    canOverride,
+    applyOverride,
+    OVERRIDE_JUSTIFICATIONS,
     loadAcademicDatabases,
+    loadUserDomainRules,
+    resolveDomainRule,
+    getBundledEntry,
+    parseDomainPattern,
+    matchDomainPattern,
+    isPublicSuffix,
     isWhitelisted,
-    isBlacklisted
+    isBlacklisted,
+    isConditional
   };
 }
\ No newline at end of file
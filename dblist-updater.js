@@ -0,0 +1,363 @@
+/**
+ * Uzei - Literature Review Extension
+ * Domain List Updater Module
+ * 
+ * Keeps academic_dblist.json current between extension releases:
+ * 1. Periodic download from a configurable URL (background updateDomainList alarm)
+ * 2. ECDSA P-256 / SHA-256 signature check against the bundled public key
+ * 3. Version diffing - only newer lists are accepted, with a changelog of added/removed domains
+ * 4. Fallback to the bundled copy when no valid newer list is stored
+ * 
+ * The signature is read from "<list URL>.sig" as base64 (raw r||s or DER, as written by
+ * scripts/sign-dblist.js or `openssl dgst -sha256 -sign`) and covers the exact bytes of the
+ * downloaded list. Builds without a public key never download or accept a remote list.
+ */
+
+const DBLIST_UPDATER_CONFIG = {
+  // chrome.storage.local keys
+  STORAGE_KEY: 'remoteDomainList',
+  CHANGELOG_KEY: 'domainListChangelog',
+  STATUS_KEY: 'domainListUpdateStatus',
+  
+  // chrome.storage.sync key holding the update URL (empty disables remote updates)
+  URL_SETTING_KEY: 'domainListUpdateUrl',
+  
+  MAX_CHANGELOG_ENTRIES: 20,
+  FETCH_TIMEOUT: 15000,
+  
+  // Public half of the maintainers' list signing key as a JWK ({ kty: 'EC', crv: 'P-256', x, y }),
+  // created with scripts/sign-dblist.js. Remote updates stay disabled until a key is provisioned.
+  PUBLIC_KEY: null,
+  
+  // Top-level sections compared for the changelog
+  LIST_SECTIONS: {
+    allowlist: 'whitelist',
+    blacklist: 'blacklist',
+    conditional: 'conditional'
+  }
+};
+
+let bundledListPromise = null;
+
+/**
+ * Load the domain list shipped with the extension
+ */
+function loadBundledDomainList() {
+  if (!bundledListPromise) {
+    bundledListPromise = fetch(chrome.runtime.getURL('academic_dblist.json'))
+      .then(response => response.json())
+      .catch(error => {
+        bundledListPromise = null;
+        throw error;
+      });
+  }
+  return bundledListPromise;
+}
+
+/**
+ * Compare dotted version strings numerically ("1.10" > "1.9"); returns -1, 0 or 1
+ */
+function compareListVersions(a, b) {
+  const partsA = String(a || '0').split('.').map(part => parseInt(part, 10) || 0);
+  const partsB = String(b || '0').split('.').map(part => parseInt(part, 10) || 0);
+  
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) return diff > 0 ? 1 : -1;
+  }
+  return 0;
+}
+
+/**
+ * Check that a downloaded list has the structure the copyright checker expects
+ */
+function isValidDomainList(data) {
+  return !!data && typeof data === 'object' &&
+    !!data.allowlist && typeof data.allowlist === 'object' &&
+    !!data.blacklist && typeof data.blacklist === 'object' &&
+    typeof data.metadata?.version === 'string' &&
+    /^\d+(\.\d+)*$/.test(data.metadata.version);
+}
+
+/**
+ * Decode base64 (standard or URL-safe) to bytes
+ */
+function base64ToBytes(value) {
+  const normalized = value.replace(/\s+/g, '').replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(normalized);
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Convert a DER-encoded ECDSA signature to the raw r||s form WebCrypto verifies
+ */
+function derToRawSignature(der) {
+  if (der.length === 64) return der;
+  if (der[0] !== 0x30) throw new Error('Unrecognised signature format');
+  
+  const raw = new Uint8Array(64);
+  let offset = der[1] & 0x80 ? 2 + (der[1] & 0x7f) : 2;
+  
+  for (let i = 0; i < 2; i++) {
+    if (der[offset] !== 0x02) throw new Error('Unrecognised signature format');
+    let length = der[offset + 1];
+    let start = offset + 2;
+    offset = start + length;
+    
+    // Drop the sign padding byte, then right-align the integer in its 32-byte slot
+    while (length > 32 && der[start] === 0) {
+      start++;
+      length--;
+    }
+    if (length > 32) throw new Error('Unrecognised signature format');
+    raw.set(der.subarray(start, start + length), i * 32 + (32 - length));
+  }
+  
+  return raw;
+}
+
+/**
+ * Whether this build has a list signing key (remote updates are disabled without one)
+ */
+function hasSigningKey() {
+  return !!DBLIST_UPDATER_CONFIG.PUBLIC_KEY;
+}
+
+/**
+ * Verify a base64 signature over the list text with the bundled public key
+ */
+async function verifyDomainListSignature(text, signature) {
+  if (!hasSigningKey()) return false;
+  
+  try {
+    const key = await crypto.subtle.importKey(
+      'jwk',
+      DBLIST_UPDATER_CONFIG.PUBLIC_KEY,
+      { name: 'ECDSA', namedCurve: 'P-256' },
+      false,
+      ['verify']
+    );
+    
+    return await crypto.subtle.verify(
+      { name: 'ECDSA', hash: 'SHA-256' },
+      key,
+      derToRawSignature(base64ToBytes(signature)),
+      new TextEncoder().encode(text)
+    );
+  } catch (error) {
+    console.warn('Domain list signature could not be checked:', error);
+    return false;
+  }
+}
+
+/**
+ * Collect every domain of a list, grouped by checker list (whitelist, blacklist, conditional)
+ */
+function collectListDomains(data) {
+  const collect = (section) => Object.values(section || {}).flatMap(value => {
+    if (Array.isArray(value)) return value.map(domain => String(domain).toLowerCase());
+    if (value && typeof value === 'object') return collect(value);
+    return [];
+  });
+  
+  const domains = {};
+  for (const [section, list] of Object.entries(DBLIST_UPDATER_CONFIG.LIST_SECTIONS)) {
+    domains[list] = new Set(collect(data?.[section]));
+  }
+  return domains;
+}
+
+/**
+ * Domains added to and removed from each list between two versions of the list
+ */
+function diffDomainLists(previous, next) {
+  const before = collectListDomains(previous);
+  const after = collectListDomains(next);
+  const added = {};
+  const removed = {};
+  
+  for (const list of Object.values(DBLIST_UPDATER_CONFIG.LIST_SECTIONS)) {
+    added[list] = [...after[list]].filter(domain => !before[list].has(domain)).sort();
+    removed[list] = [...before[list]].filter(domain => !after[list].has(domain)).sort();
+  }
+  
+  return { added, removed };
+}
+
+/**
+ * Fetch text with a timeout
+ */
+async function fetchListText(url) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), DBLIST_UPDATER_CONFIG.FETCH_TIMEOUT);
+  
+  try {
+    const response = await fetch(url, { cache: 'no-store', signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} for ${url}`);
+    }
+    return await response.text();
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Load the stored remote list when it is signed, valid and newer than the bundled copy
+ */
+async function loadStoredDomainList(bundled) {
+  const stored = (await chrome.storage.local.get(DBLIST_UPDATER_CONFIG.STORAGE_KEY))[DBLIST_UPDATER_CONFIG.STORAGE_KEY];
+  if (!stored?.text || !stored.signature) return null;
+  
+  // Re-verified on every load so a tampered local copy is never used
+  if (!(await verifyDomainListSignature(stored.text, stored.signature))) {
+    console.warn('Stored domain list failed signature verification - using bundled list');
+    return null;
+  }
+  
+  const data = JSON.parse(stored.text);
+  if (!isValidDomainList(data) || compareListVersions(data.metadata.version, bundled.metadata?.version) <= 0) {
+    return null;
+  }
+  
+  return { ...stored, data };
+}
+
+/**
+ * Domain list used by the copyright checker: the stored update if it is newer, else the bundled copy
+ */
+async function loadDomainList() {
+  const bundled = await loadBundledDomainList();
+  
+  try {
+    const stored = await loadStoredDomainList(bundled);
+    if (stored) {
+      console.log(`Using updated domain list v${stored.data.metadata.version}`);
+      return stored.data;
+    }
+  } catch (error) {
+    console.warn('Error loading updated domain list, using bundled list:', error);
+  }
+  
+  return bundled;
+}
+
+/**
+ * Describe the active list and the last update check (options page)
+ */
+async function getDomainListStatus() {
+  const bundled = await loadBundledDomainList();
+  const stored = await loadStoredDomainList(bundled).catch(() => null);
+  const result = await chrome.storage.local.get([DBLIST_UPDATER_CONFIG.STATUS_KEY, DBLIST_UPDATER_CONFIG.CHANGELOG_KEY]);
+  const active = stored ? stored.data : bundled;
+  
+  return {
+    version: active.metadata?.version || null,
+    lastUpdated: active.metadata?.last_updated || null,
+    source: stored ? 'remote' : 'bundled',
+    sourceUrl: stored ? stored.sourceUrl : null,
+    fetchedAt: stored ? stored.fetchedAt : null,
+    bundledVersion: bundled.metadata?.version || null,
+    signingKeyConfigured: hasSigningKey(),
+    lastCheck: result[DBLIST_UPDATER_CONFIG.STATUS_KEY] || null,
+    changelog: result[DBLIST_UPDATER_CONFIG.CHANGELOG_KEY] || []
+  };
+}
+
+/**
+ * Record the outcome of an update check
+ */
+async function recordUpdateStatus(status) {
+  const entry = { checkedAt: new Date().toISOString(), ...status };
+  await chrome.storage.local.set({ [DBLIST_UPDATER_CONFIG.STATUS_KEY]: entry });
+  return entry;
+}
+
+/**
+ * Download, verify and store a newer domain list from the configured URL.
+ * Returns the recorded status: { status: 'updated' | 'current' | 'disabled' | 'failed', ... }
+ */
+async function checkForDomainListUpdate() {
+  const settings = await chrome.storage.sync.get(DBLIST_UPDATER_CONFIG.URL_SETTING_KEY);
+  const url = (settings[DBLIST_UPDATER_CONFIG.URL_SETTING_KEY] || '').trim();
+  
+  if (!url) {
+    return { status: 'disabled' };
+  }
+  
+  if (!hasSigningKey()) {
+    console.warn('No domain list signing key in this build - remote updates are disabled');
+    return { status: 'disabled', reason: 'no_signing_key' };
+  }
+  
+  try {
+    if (!/^https:\/\//i.test(url)) {
+      throw new Error('The domain list URL must use https');
+    }
+    
+    const [text, signature] = await Promise.all([
+      fetchListText(url),
+      fetchListText(`${url}.sig`)
+    ]);
+    
+    if (!(await verifyDomainListSignature(text, signature.trim()))) {
+      throw new Error('Signature verification failed');
+    }
+    
+    const data = JSON.parse(text);
+    if (!isValidDomainList(data)) {
+      throw new Error('Downloaded list is not a valid domain list');
+    }
+    
+    // Never go back to an older list (bundled or previously downloaded)
+    const bundled = await loadBundledDomainList();
+    const stored = await loadStoredDomainList(bundled).catch(() => null);
+    const current = stored ? stored.data : bundled;
+    const version = data.metadata.version;
+    const previousVersion = current.metadata?.version || null;
+    
+    if (compareListVersions(version, previousVersion) <= 0) {
+      console.log(`Domain list is up to date (v${previousVersion}, remote v${version})`);
+      return await recordUpdateStatus({ status: 'current', version: previousVersion, remoteVersion: version });
+    }
+    
+    const fetchedAt = new Date().toISOString();
+    const changelog = (await chrome.storage.local.get(DBLIST_UPDATER_CONFIG.CHANGELOG_KEY))[DBLIST_UPDATER_CONFIG.CHANGELOG_KEY] || [];
+    const changes = diffDomainLists(current, data);
+    
+    changelog.unshift({
+      version,
+      previousVersion,
+      lastUpdated: data.metadata.last_updated || null,
+      appliedAt: fetchedAt,
+      ...changes
+    });
+    
+    await chrome.storage.local.set({
+      [DBLIST_UPDATER_CONFIG.STORAGE_KEY]: { text, signature: signature.trim(), version, sourceUrl: url, fetchedAt },
+      [DBLIST_UPDATER_CONFIG.CHANGELOG_KEY]: changelog.slice(0, DBLIST_UPDATER_CONFIG.MAX_CHANGELOG_ENTRIES)
+    });
+    
+    console.log(`✅ Domain list updated from v${previousVersion} to v${version}`);
+    return await recordUpdateStatus({ status: 'updated', version, previousVersion });
+  } catch (error) {
+    console.warn('Domain list update failed, keeping the current list:', error);
+    return await recordUpdateStatus({ status: 'failed', error: error.message });
+  }
+}
+
+// Export functions for use in other scripts (pages and the service worker)
+if (typeof self !== 'undefined') {
+  self.dblistUpdater = {
+    loadDomainList,
+    loadBundledDomainList,
+    getDomainListStatus,
+    checkForDomainListUpdate,
+    verifyDomainListSignature,
+    hasSigningKey,
+    compareListVersions,
+    diffDomainLists,
+    STORAGE_KEY: DBLIST_UPDATER_CONFIG.STORAGE_KEY,
+    URL_SETTING_KEY: DBLIST_UPDATER_CONFIG.URL_SETTING_KEY
+  };
+}
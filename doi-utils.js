@@ -0,0 +1,162 @@
+/**
+ * Uzei - Literature Review Extension
+ * DOI Utilities Module
+ * 
+ * Single place where DOIs are read, shared by the content script, popup,
+ * options page and service worker:
+ * 1. Extraction from free text and URLs (doi.org links, query parameters, publisher paths)
+ * 2. Decoding of URL-encoded DOIs and doi:/info:doi/ prefixes
+ * 3. Normalisation (lower case, trailing punctuation, unbalanced brackets)
+ * 4. Validation
+ * 
+ * Normalised DOIs are used as OA cache keys and sent to the web app, so the
+ * same article always produces the same DOI string.
+ */
+
+const DOI_UTILS_CONFIG = {
+  // Prefix "10." + registrant code, then any suffix (SICI DOIs contain <>;:()[] characters)
+  DOI_PATTERN: /10\.\d{4,9}\/[^\s"'&]+/,
+  VALID_DOI: /^10\.\d{4,9}\/\S+$/,
+  
+  // Resolver and scheme prefixes stripped before validation
+  DOI_PREFIXES: /^(?:(?:https?:\/\/)?(?:dx\.)?doi\.org\/|info:doi\/|urn:doi:|doi:\s*)/i,
+  
+  // Characters that end a sentence rather than a DOI
+  TRAILING_PUNCTUATION: /[.,;:'"!?]+$/,
+  
+  // Publisher URL segments that follow the DOI in article links
+  TRAILING_URL_SEGMENTS: /(?:\.pdf|\/(?:full|abstract|pdf|epdf|fulltext|html|references|figures|meta))+$/i,
+  
+  // Query parameters that carry a DOI
+  DOI_URL_PARAMS: ['doi', 'DOI', 'rft_id', 'id'],
+  
+  // arXiv identifiers registered with DataCite
+  ARXIV_DOI_PREFIX: '10.48550/arxiv.'
+};
+
+/**
+ * Decode a URL-encoded DOI (values that are not valid encodings are returned as-is)
+ */
+function decodeDOI(value) {
+  if (!value || !/%[0-9a-f]{2}/i.test(value)) return value;
+  
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Drop closing brackets that have no opening bracket inside the DOI
+ */
+function trimUnbalancedBrackets(doi) {
+  const pairs = { ')': '(', ']': '[', '>': '<' };
+  let trimmed = doi;
+  
+  while (pairs[trimmed.slice(-1)]) {
+    const close = trimmed.slice(-1);
+    const open = pairs[close];
+    const opened = trimmed.split(open).length - 1;
+    const closed = trimmed.split(close).length - 1;
+    if (closed <= opened) break;
+    trimmed = trimmed.slice(0, -1).replace(DOI_UTILS_CONFIG.TRAILING_PUNCTUATION, '');
+  }
+  
+  return trimmed;
+}
+
+/**
+ * Normalise a DOI in any common form (doi:, https://doi.org/, URL-encoded).
+ * Returns the lower-case bare DOI, or null when the value is not a valid DOI.
+ */
+function normalizeDOI(value) {
+  if (!value || typeof value !== 'string') return null;
+  
+  let doi = decodeDOI(value.trim()).trim();
+  doi = doi.replace(DOI_UTILS_CONFIG.DOI_PREFIXES, '').trim();
+  doi = doi.replace(DOI_UTILS_CONFIG.TRAILING_PUNCTUATION, '');
+  doi = trimUnbalancedBrackets(doi);
+  
+  if (!DOI_UTILS_CONFIG.VALID_DOI.test(doi)) return null;
+  
+  return doi.toLowerCase();
+}
+
+/**
+ * Check whether a value is (or normalises to) a valid DOI
+ */
+function isValidDOI(value) {
+  return normalizeDOI(value) !== null;
+}
+
+/**
+ * Find the first DOI in free text (page text, meta content, citation strings)
+ */
+function extractDOI(text) {
+  if (!text || typeof text !== 'string') return null;
+  
+  const match = decodeDOI(text).match(DOI_UTILS_CONFIG.DOI_PATTERN);
+  return match ? normalizeDOI(match[0]) : null;
+}
+
+/**
+ * Convert an arXiv identifier (2101.00001, 2101.00001v2 or old-style hep-th/9901001) to its DataCite DOI
+ */
+function arxivToDOI(arxivId) {
+  const match = String(arxivId || '').trim()
+    .match(/^(?:arxiv:\s*)?(\d{4}\.\d{4,5}|[a-z-]+(?:\.[a-z]{2})?\/\d{7})(?:v\d+)?$/i);
+  return match ? `${DOI_UTILS_CONFIG.ARXIV_DOI_PREFIX}${match[1]}` : null;
+}
+
+/**
+ * Extract a DOI from a URL: doi.org links, DOI query parameters, publisher paths
+ * (/doi/pdf/10.1145/..., /content/pdf/10.1007/....pdf) and arXiv abs/pdf links
+ */
+function extractDOIFromUrl(url) {
+  if (!url) return null;
+  
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return extractDOI(url);
+  }
+  
+  // Resolver links: the whole path is the DOI
+  if (/^(?:dx\.)?doi\.org$/i.test(parsed.hostname)) {
+    return normalizeDOI(parsed.pathname.slice(1));
+  }
+  
+  for (const param of DOI_UTILS_CONFIG.DOI_URL_PARAMS) {
+    const doi = extractDOI(parsed.searchParams.get(param) || '');
+    if (doi) return doi;
+  }
+  
+  // DOI in the path, minus the viewer segments publishers append
+  const path = decodeDOI(parsed.pathname);
+  const match = path.match(/10\.\d{4,9}\/\S+/);
+  if (match) {
+    const doi = normalizeDOI(match[0].replace(DOI_UTILS_CONFIG.TRAILING_URL_SEGMENTS, ''));
+    if (doi) return doi;
+  }
+  
+  const arxivMatch = parsed.hostname.match(/(^|\.)arxiv\.org$/i) && path.match(/^\/(?:abs|pdf)\/(.+?)(?:\.pdf)?\/?$/i);
+  if (arxivMatch) {
+    return arxivToDOI(arxivMatch[1]);
+  }
+  
+  return null;
+}
+
+// Export functions for use in other scripts (pages, content script and the service worker)
+if (typeof self !== 'undefined') {
+  self.doiUtils = {
+    normalizeDOI,
+    isValidDOI,
+    decodeDOI,
+    extractDOI,
+    extractDOIFromUrl,
+    arxivToDOI
+  };
+}
@@ -0,0 +1,233 @@
+/**
+ * Uzei - Literature Review Extension
+ * Identifier Utilities Module
+ * 
+ * Parses and normalises the non-DOI identifiers used for copyright checks
+ * (DOIs are handled by doi-utils.js):
+ * 1. PubMed IDs (PMID) and PubMed Central IDs (PMCID)
+ * 2. arXiv IDs, new style (2101.00001v3) and old style (hep-th/9901001)
+ * 3. ISBN-10 / ISBN-13 (checksum validated, stored as ISBN-13) and ISSNs
+ * 4. Handles (hdl.handle.net) and HAL IDs (hal.science)
+ * 5. ORCID iDs of authors (checksum validated)
+ */
+
+const IDENTIFIER_TYPES = ['pmid', 'pmcid', 'arxiv', 'isbn', 'handle', 'hal'];
+
+/**
+ * Normalise a PubMed ID ("pmid:123", "PMID 123" or digits)
+ */
+function normalizePMID(value) {
+  const match = String(value || '').trim().match(/^(?:pmid:?\s*)?(\d{1,8})$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Normalise a PubMed Central ID to the "PMC123456" form
+ */
+function normalizePMCID(value) {
+  const match = String(value || '').trim().match(/^(?:pmcid:?\s*)?pmc(\d{1,9})$/i);
+  return match ? `PMC${match[1]}` : null;
+}
+
+/**
+ * Normalise an arXiv ID, dropping the "arXiv:" prefix and version suffix
+ */
+function normalizeArxivId(value) {
+  const match = String(value || '').trim()
+    .match(/^(?:arxiv:\s*)?(\d{4}\.\d{4,5}|[a-z-]+(?:\.[a-z]{2})?\/\d{7})(?:v\d+)?$/i);
+  if (!match) return null;
+  
+  // Old-style archive names are lower case, subject classes upper case (math.GT/0309136)
+  return match[1].replace(/^([a-z-]+)(\.[a-z]{2})?\//i, (all, archive, subject) =>
+    `${archive.toLowerCase()}${subject ? subject.toUpperCase() : ''}/`);
+}
+
+/**
+ * Normalise an ISBN-10 or ISBN-13 to ISBN-13 (null when the checksum fails)
+ */
+function normalizeISBN(value) {
+  const digits = String(value || '').trim().replace(/^isbn(?:-1[03])?:?\s*/i, '').replace(/[\s-]/g, '').toUpperCase();
+  
+  if (/^\d{9}[\dX]$/.test(digits)) {
+    const sum = digits.split('').reduce((total, char, index) =>
+      total + (char === 'X' ? 10 : Number(char)) * (10 - index), 0);
+    if (sum % 11 !== 0) return null;
+    return toISBN13(`978${digits.slice(0, 9)}`);
+  }
+  
+  if (/^97[89]\d{10}$/.test(digits)) {
+    return toISBN13(digits.slice(0, 12)) === digits ? digits : null;
+  }
+  
+  return null;
+}
+
+/**
+ * Append the ISBN-13 check digit to a 12-digit prefix
+ */
+function toISBN13(prefix) {
+  const sum = prefix.split('').reduce((total, char, index) =>
+    total + Number(char) * (index % 2 === 0 ? 1 : 3), 0);
+  return `${prefix}${(10 - (sum % 10)) % 10}`;
+}
+
+/**
+ * Normalise an ISSN to the "1234-567X" form (null when the check digit fails)
+ */
+function normalizeISSN(value) {
+  const match = String(value || '').trim().replace(/^(?:e-?)?issn:?\s*/i, '').match(/^(\d{4})-?(\d{3}[\dX])$/i);
+  if (!match) return null;
+  
+  const digits = `${match[1]}${match[2]}`.toUpperCase();
+  const sum = digits.slice(0, 7).split('').reduce((total, char, index) => total + Number(char) * (8 - index), 0);
+  const check = (11 - (sum % 11)) % 11;
+  
+  return digits[7] === (check === 10 ? 'X' : String(check)) ? `${digits.slice(0, 4)}-${digits.slice(4)}` : null;
+}
+
+/**
+ * Normalise a Handle ("hdl:1721.1/12345", hdl.handle.net links). DOIs are not treated as Handles.
+ */
+function normalizeHandle(value) {
+  const handle = String(value || '').trim()
+    .replace(/^(?:https?:\/\/hdl\.handle\.net\/|hdl:\s*|info:hdl\/)/i, '')
+    .replace(/[?#].*$/, '');
+  
+  if (!/^\d+(?:\.\d+)*\/\S+$/.test(handle) || /^10\./.test(handle)) return null;
+  return handle;
+}
+
+/**
+ * Normalise a HAL ID (hal-01234567, tel-00123456v2), dropping the version suffix
+ */
+function normalizeHalId(value) {
+  const match = String(value || '').trim().match(/^([a-z]+-\d{8})(?:v\d+)?$/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Normalise an ORCID iD ("https://orcid.org/0000-0002-1825-0097", "orcid: 0000000218250097")
+ * to the hyphenated form (null when the check digit fails)
+ */
+function normalizeORCID(value) {
+  const match = String(value || '').match(/(\d{4})-?(\d{4})-?(\d{4})-?(\d{3}[\dX])(?![\dX])/i);
+  if (!match) return null;
+  
+  const digits = match.slice(1).join('').toUpperCase();
+  const total = digits.slice(0, 15).split('').reduce((sum, char) => (sum + Number(char)) * 2, 0);
+  const check = (12 - (total % 11)) % 11;
+  
+  return digits[15] === (check === 10 ? 'X' : String(check)) ? match.slice(1).join('-').toUpperCase() : null;
+}
+
+/**
+ * Detect the type of a prefixed or self-describing identifier (e.g. dc.identifier values).
+ * Bare numbers are ambiguous and are only accepted with a "pmid:" prefix.
+ */
+function classifyIdentifier(value) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+  
+  if (/^pmid:?\s*\d/i.test(text)) return { type: 'pmid', value: normalizePMID(text) };
+  if (/^(?:pmcid:?\s*)?pmc\d/i.test(text)) return { type: 'pmcid', value: normalizePMCID(text) };
+  if (/^isbn/i.test(text)) return { type: 'isbn', value: normalizeISBN(text) };
+  if (/^(?:hdl:|info:hdl\/|https?:\/\/hdl\.handle\.net\/)/i.test(text)) return { type: 'handle', value: normalizeHandle(text) };
+  
+  const arxiv = normalizeArxivId(text);
+  if (arxiv && (/^arxiv:/i.test(text) || /\//.test(arxiv))) return { type: 'arxiv', value: arxiv };
+  
+  const hal = normalizeHalId(text);
+  if (hal) return { type: 'hal', value: hal };
+  
+  return null;
+}
+
+/**
+ * Extract identifiers from well-known URL forms (PubMed, PMC, arXiv, Handle, DSpace, HAL)
+ */
+function extractIdentifiersFromUrl(url) {
+  const identifiers = {};
+  
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return identifiers;
+  }
+  
+  const host = parsed.hostname.toLowerCase();
+  // Segments with malformed escapes (Latin-1 "caf%E9") are kept undecoded
+  const path = parsed.pathname.split('/').map(segment => {
+    try {
+      return decodeURIComponent(segment);
+    } catch (error) {
+      return segment;
+    }
+  }).join('/');
+  let match;
+  
+  if ((match = path.match(/\/(?:pmc\/)?articles\/(PMC\d+)/i)) && /ncbi\.nlm\.nih\.gov$|europepmc\.org$/.test(host)) {
+    identifiers.pmcid = normalizePMCID(match[1]);
+  }
+  
+  if (/^pubmed\.ncbi\.nlm\.nih\.gov$/.test(host) && (match = path.match(/^\/(\d{1,8})\/?$/))) {
+    identifiers.pmid = match[1];
+  } else if (/ncbi\.nlm\.nih\.gov$/.test(host) && (match = path.match(/^\/pubmed\/(\d{1,8})/))) {
+    identifiers.pmid = match[1];
+  }
+  
+  if (/(^|\.)arxiv\.org$/.test(host) && (match = path.match(/^\/(?:abs|pdf)\/(.+?)(?:\.pdf)?\/?$/i))) {
+    const arxiv = normalizeArxivId(match[1]);
+    if (arxiv) identifiers.arxiv = arxiv;
+  }
+  
+  if (host === 'hdl.handle.net') {
+    const handle = normalizeHandle(path.slice(1));
+    if (handle) identifiers.handle = handle;
+  } else if ((match = path.match(/\/handle\/(\d+(?:\.\d+)*\/[^/]+)/))) {
+    // DSpace repositories expose the item Handle in the path
+    const handle = normalizeHandle(match[1]);
+    if (handle) identifiers.handle = handle;
+  }
+  
+  if (/(^|\.)(?:hal\.science|archives-ouvertes\.fr)$/.test(host) && (match = path.match(/^\/([a-z]+-\d{8}(?:v\d+)?)/i))) {
+    identifiers.hal = normalizeHalId(match[1]);
+  }
+  
+  return identifiers;
+}
+
+/**
+ * Merge identifier sets - earlier sets win, empty values are dropped
+ */
+function mergeIdentifiers(...sets) {
+  const merged = {};
+  
+  sets.forEach(set => {
+    IDENTIFIER_TYPES.forEach(type => {
+      if (!merged[type] && set && set[type]) {
+        merged[type] = set[type];
+      }
+    });
+  });
+  
+  return merged;
+}
+
+// Export functions for use in other scripts (pages, content script and the service worker)
+if (typeof self !== 'undefined') {
+  self.identifierUtils = {
+    IDENTIFIER_TYPES,
+    normalizePMID,
+    normalizePMCID,
+    normalizeArxivId,
+    normalizeISBN,
+    normalizeISSN,
+    normalizeORCID,
+    normalizeHandle,
+    normalizeHalId,
+    classifyIdentifier,
+    extractIdentifiersFromUrl,
+    mergeIdentifiers
+  };
+}
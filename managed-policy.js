@@ -0,0 +1,131 @@
+/**
+ * Uzei - Literature Review Extension
+ * Managed Policy Module
+ * 
+ * Reads settings deployed by administrators through chrome.storage.managed
+ * (schema: managed_schema.json). Managed values take precedence over user
+ * settings and cannot be edited locally.
+ */
+
+// Override categories controlled by disableOverrides / overridePolicy
+const MANAGED_OVERRIDE_CATEGORIES = ['paywalled', 'unknown_pdf', 'verification_failed', 'conditional_unverified'];
+
+let managedPolicyPromise = null;
+
+/**
+ * Load the managed policy (empty object when none is deployed)
+ */
+function loadManagedPolicy() {
+  if (managedPolicyPromise) return managedPolicyPromise;
+  
+  managedPolicyPromise = (async () => {
+    try {
+      // chrome.storage.managed is missing in some contexts and rejects when no policy is set
+      if (!chrome.storage?.managed) return {};
+      
+      const policy = await chrome.storage.managed.get(null);
+      if (Object.keys(policy).length > 0) {
+        console.log('🏛️ Managed policy loaded:', Object.keys(policy));
+      }
+      return normalizeManagedPolicy(policy);
+    } catch (error) {
+      console.warn('Managed policy unavailable:', error);
+      return {};
+    }
+  })();
+  
+  return managedPolicyPromise;
+}
+
+/**
+ * Drop malformed policy values so callers can trust the types
+ */
+function normalizeManagedPolicy(policy) {
+  const normalized = {};
+  
+  if (typeof policy.appUrl === 'string' && /^https?:\/\/[^\s/]+/i.test(policy.appUrl)) {
+    normalized.appUrl = policy.appUrl.replace(/\/+$/, '');
+  }
+  
+  if (typeof policy.unpaywallEmail === 'string' && policy.unpaywallEmail.includes('@')) {
+    normalized.unpaywallEmail = policy.unpaywallEmail.trim();
+  }
+  
+  if (typeof policy.unpaywallApiUrl === 'string' && /^https?:\/\/[^\s/]+/i.test(policy.unpaywallApiUrl)) {
+    normalized.unpaywallApiUrl = policy.unpaywallApiUrl.replace(/\/+$/, '');
+  }
+  
+  if (Array.isArray(policy.forcedBlocklist)) {
+    normalized.forcedBlocklist = policy.forcedBlocklist
+      .filter(entry => typeof entry === 'string' && entry.trim())
+      .map(entry => entry.trim().toLowerCase());
+  }
+  
+  if (typeof policy.commercialUse === 'boolean') {
+    normalized.commercialUse = policy.commercialUse;
+  }
+  
+  // Overrides: disableOverrides wins over per-category permissions
+  if (policy.disableOverrides === true) {
+    normalized.overridePolicy = Object.fromEntries(MANAGED_OVERRIDE_CATEGORIES.map(category => [category, false]));
+  } else if (policy.overridePolicy && typeof policy.overridePolicy === 'object') {
+    const overridePolicy = {};
+    MANAGED_OVERRIDE_CATEGORIES.forEach(category => {
+      if (typeof policy.overridePolicy[category] === 'boolean') {
+        overridePolicy[category] = policy.overridePolicy[category];
+      }
+    });
+    if (Object.keys(overridePolicy).length > 0) {
+      normalized.overridePolicy = overridePolicy;
+    }
+  }
+  
+  return normalized;
+}
+
+/**
+ * Check whether a setting is controlled by the managed policy.
+ * For overridePolicy a category can be passed to check a single permission.
+ */
+function isPolicyLocked(policy, key, category = null) {
+  if (!policy || policy[key] === undefined) return false;
+  if (category) return policy[key][category] !== undefined;
+  return true;
+}
+
+/**
+ * Apply managed values on top of user settings (policy > user)
+ */
+function applyManagedPolicy(settings, policy) {
+  const merged = { ...settings };
+  
+  ['appUrl', 'unpaywallEmail', 'commercialUse'].forEach(key => {
+    if (policy[key] !== undefined) {
+      merged[key] = policy[key];
+    }
+  });
+  
+  if (policy.overridePolicy) {
+    merged.overridePolicy = { ...(settings.overridePolicy || {}), ...policy.overridePolicy };
+  }
+  
+  return merged;
+}
+
+// Administrators can change the policy while the extension runs
+if (typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'managed') {
+      managedPolicyPromise = null;
+    }
+  });
+}
+
+// Export functions for use in other scripts (pages and the service worker)
+if (typeof self !== 'undefined') {
+  self.managedPolicy = {
+    loadManagedPolicy,
+    isPolicyLocked,
+    applyManagedPolicy
+  };
+}
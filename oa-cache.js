@@ -0,0 +1,398 @@
+/**
+ * Uzei - Literature Review Extension
+ * Open Access Cache Module
+ * 
+ * IndexedDB cache for OA provider results:
+ * 1. TTL per result type (oa, closed, not_found), exponential back-off for errors
+ * 2. Maximum entry count with least-recently-used eviction
+ * 3. Expiry sweep (run from the background periodicCleanup alarm)
+ * 4. Hit/miss statistics for the options page
+ */
+
+const OA_CACHE_CONFIG = {
+  DB_NAME: 'uzei-oa-cache',
+  DB_VERSION: 1,
+  ENTRY_STORE: 'entries',
+  META_STORE: 'meta',
+  
+  // Defaults, overridable through the oaCacheSettings sync setting.
+  // Negative results expire sooner so newly registered or newly opened articles are picked up.
+  DEFAULT_TTL_HOURS: {
+    oa: 30 * 24,
+    closed: 3 * 24,
+    not_found: 24
+  },
+  
+  // Failed lookups are retried after base, 2x base, 4x base ... up to max minutes
+  DEFAULT_ERROR_BACKOFF_MINUTES: {
+    base: 2,
+    max: 60
+  },
+  DEFAULT_MAX_ENTRIES: 5000,
+  
+  // Legacy chrome.storage.local cache keys (one per DOI)
+  LEGACY_KEY_PREFIX: 'oa_cache_'
+};
+
+let oaCacheDbPromise = null;
+
+/**
+ * Open (and create on first use) the OA cache database
+ */
+function openOACacheDatabase() {
+  if (oaCacheDbPromise) return oaCacheDbPromise;
+  
+  oaCacheDbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(OA_CACHE_CONFIG.DB_NAME, OA_CACHE_CONFIG.DB_VERSION);
+    
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(OA_CACHE_CONFIG.ENTRY_STORE)) {
+        const store = db.createObjectStore(OA_CACHE_CONFIG.ENTRY_STORE, { keyPath: 'doi' });
+        store.createIndex('expiresAt', 'expiresAt');
+        store.createIndex('lastAccess', 'lastAccess');
+        store.createIndex('cachedAt', 'cachedAt');
+      }
+      if (!db.objectStoreNames.contains(OA_CACHE_CONFIG.META_STORE)) {
+        db.createObjectStore(OA_CACHE_CONFIG.META_STORE);
+      }
+    };
+    
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      oaCacheDbPromise = null;
+      reject(request.error);
+    };
+  });
+  
+  return oaCacheDbPromise;
+}
+
+/**
+ * Run a callback inside a transaction and resolve with its return value once committed
+ */
+async function withOACacheStores(mode, callback) {
+  const db = await openOACacheDatabase();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([OA_CACHE_CONFIG.ENTRY_STORE, OA_CACHE_CONFIG.META_STORE], mode);
+    const output = {};
+    
+    callback(
+      transaction.objectStore(OA_CACHE_CONFIG.ENTRY_STORE),
+      transaction.objectStore(OA_CACHE_CONFIG.META_STORE),
+      output
+    );
+    
+    transaction.oncomplete = () => resolve(output.value);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Load TTLs (hours per result type), error back-off and the maximum entry count from settings
+ */
+async function loadOACacheSettings() {
+  const settings = {
+    ttlHours: { ...OA_CACHE_CONFIG.DEFAULT_TTL_HOURS },
+    errorBackoffMinutes: { ...OA_CACHE_CONFIG.DEFAULT_ERROR_BACKOFF_MINUTES },
+    maxEntries: OA_CACHE_CONFIG.DEFAULT_MAX_ENTRIES
+  };
+  
+  try {
+    const { oaCacheSettings } = await chrome.storage.sync.get('oaCacheSettings');
+    
+    Object.keys(settings.ttlHours).forEach(type => {
+      const hours = oaCacheSettings?.ttlHours?.[type];
+      if (typeof hours === 'number' && hours >= 0) {
+        settings.ttlHours[type] = hours;
+      }
+    });
+    
+    Object.keys(settings.errorBackoffMinutes).forEach(key => {
+      const minutes = oaCacheSettings?.errorBackoffMinutes?.[key];
+      if (typeof minutes === 'number' && minutes >= 0) {
+        settings.errorBackoffMinutes[key] = minutes;
+      }
+    });
+    
+    if (Number.isInteger(oaCacheSettings?.maxEntries) && oaCacheSettings.maxEntries > 0) {
+      settings.maxEntries = oaCacheSettings.maxEntries;
+    }
+  } catch (error) {
+    console.warn('Error loading OA cache settings, using defaults:', error);
+  }
+  
+  return settings;
+}
+
+/**
+ * Classify an OA result for TTL purposes
+ */
+function getOAResultType(data) {
+  if (data.error) return 'error';
+  if (data.is_oa) return 'oa';
+  if (data.oa_status === 'not_found') return 'not_found';
+  return 'closed';
+}
+
+/**
+ * Check whether a negative result was produced while some provider failed
+ * (it may be wrong, so it is only kept for the error back-off period)
+ */
+function isPartialNegative(data, type) {
+  return (type === 'closed' || type === 'not_found') &&
+    (data.providers || []).some(provider => provider.error);
+}
+
+/**
+ * Back-off for the given consecutive failure count (1 = first failure)
+ */
+function getErrorBackoff(settings, failures) {
+  const { base, max } = settings.errorBackoffMinutes;
+  return Math.min(base * Math.pow(2, failures - 1), max) * 60 * 1000;
+}
+
+/**
+ * Increment hit/miss counters in the meta store
+ */
+function countLookup(metaStore, field) {
+  const request = metaStore.get('stats');
+  request.onsuccess = () => {
+    const stats = request.result || { hits: 0, misses: 0, since: new Date().toISOString() };
+    stats[field] += 1;
+    metaStore.put(stats, 'stats');
+  };
+}
+
+/**
+ * Get a cached OA result for a DOI (null when missing or expired)
+ */
+async function getCachedOAStatus(doi) {
+  if (!doi) return null;
+  
+  try {
+    return await withOACacheStores('readwrite', (entryStore, metaStore, output) => {
+      const request = entryStore.get(doi);
+      
+      request.onsuccess = () => {
+        const entry = request.result;
+        
+        if (!entry || entry.expiresAt <= Date.now()) {
+          if (entry) entryStore.delete(doi);
+          countLookup(metaStore, 'misses');
+          output.value = null;
+          return;
+        }
+        
+        // Touch the entry for LRU eviction
+        entry.lastAccess = Date.now();
+        entryStore.put(entry);
+        countLookup(metaStore, 'hits');
+        
+        console.log(`Using cached OA status for ${doi} (${entry.type})`);
+        
+        // Backed-off failures report when the next real lookup will happen
+        output.value = { ...entry.data, cached_at: new Date(entry.cachedAt).toISOString() };
+        if (entry.failures > 0) {
+          output.value.retry_at = new Date(entry.expiresAt).toISOString();
+        }
+      };
+    });
+  } catch (error) {
+    console.warn('Error getting cached OA status:', error);
+    return null;
+  }
+}
+
+/**
+ * Cache an OA result for a DOI, evicting least recently used entries over the limit.
+ * Errors (and negative results with failed providers) are cached with exponential back-off.
+ */
+async function cacheOAStatus(doi, data) {
+  if (!doi || !data) return;
+  
+  try {
+    const settings = await loadOACacheSettings();
+    const type = getOAResultType(data);
+    const backedOff = type === 'error' || isPartialNegative(data, type);
+    const now = Date.now();
+    let cachedFor = 0;
+    
+    await withOACacheStores('readwrite', (entryStore) => {
+      const previousRequest = entryStore.get(doi);
+      
+      previousRequest.onsuccess = () => {
+        // Consecutive failures grow the back-off; any full answer resets it
+        const failures = backedOff ? (previousRequest.result?.failures || 0) + 1 : 0;
+        const ttl = backedOff
+          ? getErrorBackoff(settings, failures)
+          : settings.ttlHours[type] * 60 * 60 * 1000;
+        
+        // A TTL of 0 disables caching for this result type
+        if (ttl <= 0) {
+          if (previousRequest.result) entryStore.delete(doi);
+          return;
+        }
+        
+        cachedFor = ttl;
+        entryStore.put({ doi, type, data, failures, cachedAt: now, lastAccess: now, expiresAt: now + ttl });
+        evictLeastRecentlyUsed(entryStore, settings.maxEntries);
+      };
+    });
+    
+    if (cachedFor > 0) {
+      console.log(`Cached OA status for ${doi} (${type}, ${Math.round(cachedFor / 60000)} min)`);
+    }
+  } catch (error) {
+    console.warn('Error caching OA status:', error);
+  }
+}
+
+/**
+ * Delete the least recently used entries above the size limit
+ */
+function evictLeastRecentlyUsed(entryStore, maxEntries) {
+  const countRequest = entryStore.count();
+  countRequest.onsuccess = () => {
+    let excess = countRequest.result - maxEntries;
+    if (excess <= 0) return;
+    
+    const cursorRequest = entryStore.index('lastAccess').openCursor();
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor || excess <= 0) return;
+      
+      cursor.delete();
+      excess--;
+      cursor.continue();
+    };
+  };
+}
+
+/**
+ * Delete expired entries. Returns the number removed.
+ */
+async function sweepExpiredOAStatus() {
+  try {
+    const removed = await withOACacheStores('readwrite', (entryStore, metaStore, output) => {
+      output.value = 0;
+      const request = entryStore.index('expiresAt').openCursor(IDBKeyRange.upperBound(Date.now()));
+      
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        
+        cursor.delete();
+        output.value++;
+        cursor.continue();
+      };
+    });
+    
+    if (removed > 0) {
+      console.log(`Swept ${removed} expired OA cache entries`);
+    }
+    return removed;
+  } catch (error) {
+    console.warn('Error sweeping OA cache:', error);
+    return 0;
+  }
+}
+
+/**
+ * Clear the OA cache and its statistics. Returns the number of entries removed.
+ */
+async function clearOACache() {
+  try {
+    const count = await withOACacheStores('readwrite', (entryStore, metaStore, output) => {
+      const countRequest = entryStore.count();
+      countRequest.onsuccess = () => {
+        output.value = countRequest.result;
+      };
+      entryStore.clear();
+      metaStore.delete('stats');
+    });
+    
+    console.log(`Cleared ${count} cached OA status entries`);
+    return count;
+  } catch (error) {
+    console.error('Error clearing OA cache:', error);
+    return 0;
+  }
+}
+
+/**
+ * Cache statistics: entry count per type, hit rate and oldest entry
+ */
+async function getOACacheStats() {
+  return withOACacheStores('readonly', (entryStore, metaStore, output) => {
+    const stats = { entries: 0, byType: {}, hits: 0, misses: 0, hitRate: null, oldestEntry: null, since: null };
+    output.value = stats;
+    
+    const cursorRequest = entryStore.openCursor();
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor) return;
+      
+      stats.entries++;
+      stats.byType[cursor.value.type] = (stats.byType[cursor.value.type] || 0) + 1;
+      cursor.continue();
+    };
+    
+    const oldestRequest = entryStore.index('cachedAt').openCursor();
+    oldestRequest.onsuccess = () => {
+      if (oldestRequest.result) {
+        stats.oldestEntry = new Date(oldestRequest.result.value.cachedAt).toISOString();
+      }
+    };
+    
+    const metaRequest = metaStore.get('stats');
+    metaRequest.onsuccess = () => {
+      const counters = metaRequest.result;
+      if (!counters) return;
+      
+      stats.hits = counters.hits;
+      stats.misses = counters.misses;
+      stats.since = counters.since;
+      const lookups = counters.hits + counters.misses;
+      stats.hitRate = lookups > 0 ? counters.hits / lookups : null;
+    };
+  });
+}
+
+/**
+ * Remove cache entries left in chrome.storage.local by earlier versions
+ */
+async function removeLegacyOACache() {
+  try {
+    const allStorage = await chrome.storage.local.get(null);
+    const legacyKeys = Object.keys(allStorage).filter(key => key.startsWith(OA_CACHE_CONFIG.LEGACY_KEY_PREFIX));
+    
+    if (legacyKeys.length > 0) {
+      await chrome.storage.local.remove(legacyKeys);
+      console.log(`Removed ${legacyKeys.length} legacy OA cache entries`);
+    }
+    
+    return legacyKeys.length;
+  } catch (error) {
+    console.warn('Error removing legacy OA cache:', error);
+    return 0;
+  }
+}
+
+// Export functions for use in other scripts (pages and the service worker)
+if (typeof self !== 'undefined') {
+  self.oaCache = {
+    getCachedOAStatus,
+    cacheOAStatus,
+    sweepExpiredOAStatus,
+    clearOACache,
+    getOACacheStats,
+    loadOACacheSettings,
+    removeLegacyOACache,
+    DEFAULT_TTL_HOURS: OA_CACHE_CONFIG.DEFAULT_TTL_HOURS,
+    DEFAULT_ERROR_BACKOFF_MINUTES: OA_CACHE_CONFIG.DEFAULT_ERROR_BACKOFF_MINUTES,
+    DEFAULT_MAX_ENTRIES: OA_CACHE_CONFIG.DEFAULT_MAX_ENTRIES
+  };
+}
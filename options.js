@@ -3,7 +3,7 @@
  * Options Page Script
  * 
  * Handles settings configuration, connection testing,
- * and user preferences management.
+ * user preferences management and the copyright audit log.
  */
 
 // Default configuration settings
@@ -19,11 +19,59 @@ const DEFAULT_CONFIG = {
   CONTEXT_MENU: true,
   ENABLE_MULTI_TAB: true,
   
+  // Copyright policy defaults
+  COMMERCIAL_USE: false,
+  OVERRIDE_POLICY: {
+    paywalled: true,
+    unknown_pdf: true,
+    verification_failed: true,
+    conditional_unverified: true
+  },
+  
+  // Open access provider chain, queried in this order
+  OA_PROVIDERS: [
+    { id: 'unpaywall', enabled: true },
+    { id: 'openalex', enabled: true },
+    { id: 'crossref', enabled: true }
+  ],
+  
+  // Excerpt mode for blocked content
+  EXCERPT_MODE: true,
+  EXCERPT_WORD_LIMIT: 250,
+  
+  // Signed domain list update URL (empty: bundled list only)
+  DOMAIN_LIST_UPDATE_URL: '',
+  
+  // Institutional proxy hosts mapped back to publisher hosts
+  PROXY_HOST_PATTERNS: ['ezproxy.*', '*.idm.oclc.org'],
+  
   // Content extraction defaults
   MIN_CONTENT_LENGTH: 200,
-  MAX_CONTENT_LENGTH: 100000
+  MAX_CONTENT_LENGTH: 100000,
+  
+  // Copyright domain rules (chrome.storage.local key)
+  USER_RULES_STORAGE_KEY: 'userDomainRules',
+  
+  // Audit log entries rendered in the table (exports include all)
+  AUDIT_DISPLAY_LIMIT: 200
+};
+
+// Display labels for domain rule lists
+const RULE_LIST_LABELS = {
+  whitelist: 'Allowlist',
+  blacklist: 'Blacklist',
+  conditional: 'Conditional'
 };
 
+// User-defined domain rules currently shown in the editor
+let editorDomainRules = [];
+
+// Managed (institutional) policy - locked settings cannot be edited here
+let managedPolicy = {};
+
+// Open access provider order and enabled state currently shown in the editor
+let oaProviders = DEFAULT_CONFIG.OA_PROVIDERS.map(provider => ({ ...provider }));
+
 /**
  * Show alert message to user
  */
@@ -151,24 +199,53 @@ async function testConnection() {
  */
 async function loadSettings() {
   try {
-    const settings = await new Promise((resolve) => {
+    let settings = await new Promise((resolve) => {
       chrome.storage.sync.get([
         'autoExtract',
         'showNotifications',
         'showBadges',
         'contextMenu',
         'enableMultiTab',
+        'preverifyCopyright',
+        'commercialUse',
+        'overridePolicy',
+        'excerptMode',
+        'excerptWordLimit',
+        'unpaywallEmail',
+        'oaProviders',
+        'oaProviderEndpoints',
+        'oaCacheSettings',
+        'proxyHostPatterns',
+        'domainListUpdateUrl',
         'minContentLength',
         'maxContentLength'
       ], resolve);
     });
     
+    // Managed policy values replace the user's own
+    if (self.managedPolicy) {
+      settings = self.managedPolicy.applyManagedPolicy(settings, managedPolicy);
+    }
+    
     // Populate form fields with saved values or defaults
     document.getElementById('auto-extract').checked = settings.autoExtract !== false;
     document.getElementById('show-notifications').checked = settings.showNotifications !== false;
     document.getElementById('show-badges').checked = settings.showBadges !== false;
     document.getElementById('context-menu').checked = settings.contextMenu !== false;
     document.getElementById('enable-multi-tab').checked = settings.enableMultiTab !== false;
+    document.getElementById('preverify-copyright').checked = settings.preverifyCopyright === true;
+    document.getElementById('commercial-use').checked = settings.commercialUse === true;
+    document.querySelectorAll('[data-override-category]').forEach(input => {
+      input.checked = (settings.overridePolicy || DEFAULT_CONFIG.OVERRIDE_POLICY)[input.dataset.overrideCategory] !== false;
+    });
+    document.getElementById('excerpt-mode').checked = settings.excerptMode !== false;
+    document.getElementById('excerpt-word-limit').value = settings.excerptWordLimit || DEFAULT_CONFIG.EXCERPT_WORD_LIMIT;
+    document.getElementById('unpaywall-email').value = settings.unpaywallEmail || '';
+    loadOAProviders(settings.oaProviders, settings.oaProviderEndpoints);
+    updateUnpaywallSetupPrompt();
+    loadOACacheForm(settings.oaCacheSettings);
+    document.getElementById('proxy-patterns').value = (settings.proxyHostPatterns || DEFAULT_CONFIG.PROXY_HOST_PATTERNS).join('\n');
+    document.getElementById('domain-list-update-url').value = settings.domainListUpdateUrl || DEFAULT_CONFIG.DOMAIN_LIST_UPDATE_URL;
     document.getElementById('min-content-length').value = settings.minContentLength || DEFAULT_CONFIG.MIN_CONTENT_LENGTH;
     document.getElementById('max-content-length').value = settings.maxContentLength || DEFAULT_CONFIG.MAX_CONTENT_LENGTH;
     
@@ -192,6 +269,17 @@ async function saveSettings() {
       showBadges: document.getElementById('show-badges').checked,
       contextMenu: document.getElementById('context-menu').checked,
       enableMultiTab: document.getElementById('enable-multi-tab').checked,
+      preverifyCopyright: document.getElementById('preverify-copyright').checked,
+      commercialUse: document.getElementById('commercial-use').checked,
+      overridePolicy: readOverridePolicy(),
+      excerptMode: document.getElementById('excerpt-mode').checked,
+      excerptWordLimit: parseInt(document.getElementById('excerpt-word-limit').value),
+      unpaywallEmail: document.getElementById('unpaywall-email').value.trim(),
+      oaProviders: oaProviders.map(({ id, enabled }) => ({ id, enabled })),
+      oaProviderEndpoints: readProviderEndpoints(),
+      oaCacheSettings: readOACacheSettings(),
+      proxyHostPatterns: readProxyPatterns(),
+      domainListUpdateUrl: document.getElementById('domain-list-update-url').value.trim(),
       minContentLength: parseInt(document.getElementById('min-content-length').value),
       maxContentLength: parseInt(document.getElementById('max-content-length').value)
     };
@@ -212,6 +300,83 @@ async function saveSettings() {
       return;
     }
     
+    if (isNaN(settings.excerptWordLimit) || settings.excerptWordLimit < 10 || settings.excerptWordLimit > 1000) {
+      showAlert('Excerpt word limit must be between 10 and 1000 words', 'error');
+      return;
+    }
+    
+    if (settings.unpaywallEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(settings.unpaywallEmail)) {
+      showAlert('Please enter a valid contact email address', 'error');
+      return;
+    }
+    
+    // Policy-controlled values are never written locally (they would outlive the policy and sync to other machines)
+    const isLocked = self.managedPolicy?.isPolicyLocked || (() => false);
+    if (isLocked(managedPolicy, 'appUrl')) {
+      delete settings.appUrl;
+    }
+    if (isLocked(managedPolicy, 'commercialUse')) {
+      delete settings.commercialUse;
+    }
+    if (managedPolicy.unpaywallEmail) {
+      delete settings.unpaywallEmail;
+    }
+    if (managedPolicy.unpaywallApiUrl) {
+      delete settings.oaProviderEndpoints.unpaywall;
+    }
+    Object.keys(managedPolicy.overridePolicy || {}).forEach(category => {
+      delete settings.overridePolicy[category];
+    });
+    
+    if (!settings.oaProviders.some(provider => provider.enabled)) {
+      showAlert('Enable at least one open access provider', 'error');
+      return;
+    }
+    
+    const invalidEndpoint = Object.entries(settings.oaProviderEndpoints)
+      .find(([, endpoint]) => !/^https?:\/\/[^\s/]+/i.test(endpoint));
+    if (invalidEndpoint) {
+      showAlert(`The ${invalidEndpoint[0]} endpoint must be an http(s) URL`, 'error');
+      return;
+    }
+    
+    const { ttlHours, errorBackoffMinutes, maxEntries } = settings.oaCacheSettings;
+    if (Object.values(ttlHours).some(hours => isNaN(hours) || hours < 0 || hours > 8760)) {
+      showAlert('Cache durations must be between 0 and 8760 hours (0 disables caching for that result type)', 'error');
+      return;
+    }
+    
+    if (Object.values(errorBackoffMinutes).some(minutes => isNaN(minutes) || minutes < 0 || minutes > 1440) ||
+        errorBackoffMinutes.base > errorBackoffMinutes.max) {
+      showAlert('Failed lookup back-off must be between 0 and 1440 minutes, with the first retry no longer than the longest back-off', 'error');
+      return;
+    }
+    
+    if (isNaN(maxEntries) || maxEntries < 100 || maxEntries > 100000) {
+      showAlert('Maximum cached results must be between 100 and 100,000', 'error');
+      return;
+    }
+    
+    const invalidPattern = settings.proxyHostPatterns.find(pattern => !self.urlNormalizer?.isValidProxyPattern(pattern));
+    if (invalidPattern) {
+      showAlert(`"${invalidPattern}" is not a valid proxy host pattern`, 'error');
+      return;
+    }
+    
+    if (settings.domainListUpdateUrl && !/^https:\/\/[^\s/]+/i.test(settings.domainListUpdateUrl)) {
+      showAlert('The domain list update URL must be an https URL', 'error');
+      return;
+    }
+    
+    // Cached OA results were produced by the previous provider chain
+    const previous = await new Promise((resolve) => {
+      chrome.storage.sync.get(['oaProviders', 'oaProviderEndpoints', 'unpaywallEmail'], resolve);
+    });
+    const providersChanged =
+      JSON.stringify(previous.oaProviders || DEFAULT_CONFIG.OA_PROVIDERS) !== JSON.stringify(settings.oaProviders) ||
+      JSON.stringify(previous.oaProviderEndpoints || {}) !== JSON.stringify(settings.oaProviderEndpoints) ||
+      (settings.unpaywallEmail !== undefined && (previous.unpaywallEmail || '') !== settings.unpaywallEmail);
+    
     // Save to storage
     await new Promise((resolve, reject) => {
       chrome.storage.sync.set(settings, () => {
@@ -223,12 +388,18 @@ async function saveSettings() {
       });
     });
     
+    if (providersChanged && self.oaCache) {
+      await self.oaCache.clearOACache();
+      refreshOACacheStats();
+    }
+    
     // Notify background script of changes
     chrome.runtime.sendMessage({ 
       action: 'settingsUpdated', 
       settings: settings 
     });
     
+    updateUnpaywallSetupPrompt();
     showAlert('Settings saved successfully!', 'success');
     console.log('Settings saved:', settings);
     
@@ -258,9 +429,9 @@ async function resetSettings() {
       });
     });
     
-    // Set the fixed app URL
+    // Set the fixed app URL (unless the managed policy sets it)
     await new Promise((resolve, reject) => {
-      chrome.storage.sync.set({ appUrl: DEFAULT_CONFIG.APP_BASE_URL }, () => {
+      chrome.storage.sync.set(managedPolicy.appUrl ? {} : { appUrl: DEFAULT_CONFIG.APP_BASE_URL }, () => {
         if (chrome.runtime.lastError) {
           reject(new Error(chrome.runtime.lastError.message));
         } else {
@@ -278,6 +449,815 @@ async function resetSettings() {
   }
 }
 
+/**
+ * Load the managed (institutional) policy and apply its fixed server URL
+ */
+async function loadManagedSettings() {
+  managedPolicy = self.managedPolicy ? await self.managedPolicy.loadManagedPolicy() : {};
+  
+  if (managedPolicy.appUrl) {
+    DEFAULT_CONFIG.APP_BASE_URL = managedPolicy.appUrl;
+    document.querySelectorAll('.webapp-url, #footer-app-url').forEach(element => {
+      element.textContent = managedPolicy.appUrl;
+    });
+    document.querySelectorAll('.btn-open-webapp').forEach(link => {
+      link.href = managedPolicy.appUrl;
+    });
+  }
+  
+  applyPolicyLocks();
+}
+
+/**
+ * Disable a setting controlled by the managed policy and mark it as locked
+ */
+function lockSetting(input) {
+  if (!input || input.disabled) return;
+  
+  input.disabled = true;
+  const lock = document.createElement('span');
+  lock.className = 'policy-lock';
+  lock.textContent = '🔒 Set by your institution';
+  (input.closest('.form-check') || input.parentElement).appendChild(lock);
+}
+
+/**
+ * Show which settings are locked by the managed policy
+ */
+function applyPolicyLocks() {
+  const isLocked = self.managedPolicy?.isPolicyLocked || (() => false);
+  const lockedItems = [];
+  
+  if (managedPolicy.appUrl) {
+    lockedItems.push(`Server URL: ${managedPolicy.appUrl}`);
+  }
+  
+  if (managedPolicy.unpaywallEmail) {
+    lockSetting(document.getElementById('unpaywall-email'));
+    lockedItems.push(`Unpaywall contact email: ${managedPolicy.unpaywallEmail}`);
+  }
+  
+  if (managedPolicy.unpaywallApiUrl) {
+    const endpointInput = document.getElementById('endpoint-unpaywall');
+    endpointInput.value = managedPolicy.unpaywallApiUrl;
+    lockSetting(endpointInput);
+    lockedItems.push(`Unpaywall API endpoint: ${managedPolicy.unpaywallApiUrl}`);
+  }
+  
+  if (isLocked(managedPolicy, 'commercialUse')) {
+    lockSetting(document.getElementById('commercial-use'));
+    lockedItems.push(`Commercial use: ${managedPolicy.commercialUse ? 'yes' : 'no'}`);
+  }
+  
+  document.querySelectorAll('[data-override-category]').forEach(input => {
+    if (isLocked(managedPolicy, 'overridePolicy', input.dataset.overrideCategory)) {
+      lockSetting(input);
+    }
+  });
+  if (managedPolicy.overridePolicy) {
+    const allowed = Object.entries(managedPolicy.overridePolicy).filter(([, value]) => value).map(([category]) => category);
+    lockedItems.push(`User overrides: ${allowed.length > 0 ? `allowed for ${allowed.join(', ')}` : 'disabled'}`);
+  }
+  
+  // Forced blocklist entries are shown above the user's own rules
+  const forced = managedPolicy.forcedBlocklist || [];
+  const blocklistInfo = document.getElementById('policy-blocklist');
+  if (blocklistInfo && forced.length > 0) {
+    blocklistInfo.style.display = 'block';
+    blocklistInfo.textContent = `🔒 Always blocked by your institution: ${forced.join(', ')}`;
+    lockedItems.push(`Forced blocklist: ${forced.length} domain${forced.length === 1 ? '' : 's'}`);
+  }
+  
+  const card = document.getElementById('managed-policy-card');
+  const list = document.getElementById('managed-policy-list');
+  if (card && list && lockedItems.length > 0) {
+    list.innerHTML = '';
+    lockedItems.forEach(text => {
+      const item = document.createElement('li');
+      item.textContent = text;
+      list.appendChild(item);
+    });
+    card.style.display = 'block';
+  }
+}
+
+/**
+ * Read open access cache TTLs (hours per result type), error back-off and size limit from the form
+ */
+function readOACacheSettings() {
+  const ttlHours = {};
+  
+  document.querySelectorAll('[data-cache-ttl]').forEach(input => {
+    ttlHours[input.dataset.cacheTtl] = parseFloat(input.value);
+  });
+  
+  const errorBackoffMinutes = {};
+  document.querySelectorAll('[data-cache-backoff]').forEach(input => {
+    errorBackoffMinutes[input.dataset.cacheBackoff] = parseFloat(input.value);
+  });
+  
+  return {
+    ttlHours,
+    errorBackoffMinutes,
+    maxEntries: parseInt(document.getElementById('cache-max-entries').value)
+  };
+}
+
+/**
+ * Populate the open access cache settings form
+ */
+function loadOACacheForm(saved) {
+  const defaults = self.oaCache
+    ? {
+      ttlHours: self.oaCache.DEFAULT_TTL_HOURS,
+      errorBackoffMinutes: self.oaCache.DEFAULT_ERROR_BACKOFF_MINUTES,
+      maxEntries: self.oaCache.DEFAULT_MAX_ENTRIES
+    }
+    : { ttlHours: {}, errorBackoffMinutes: {}, maxEntries: '' };
+  
+  document.querySelectorAll('[data-cache-ttl]').forEach(input => {
+    const type = input.dataset.cacheTtl;
+    input.value = saved?.ttlHours?.[type] ?? defaults.ttlHours[type] ?? '';
+  });
+  document.querySelectorAll('[data-cache-backoff]').forEach(input => {
+    const key = input.dataset.cacheBackoff;
+    input.value = saved?.errorBackoffMinutes?.[key] ?? defaults.errorBackoffMinutes[key] ?? '';
+  });
+  document.getElementById('cache-max-entries').value = saved?.maxEntries ?? defaults.maxEntries;
+}
+
+/**
+ * Show open access cache statistics
+ */
+async function refreshOACacheStats() {
+  if (!self.oaCache) return;
+  
+  try {
+    const stats = await self.oaCache.getOACacheStats();
+    
+    document.getElementById('cache-entries').textContent = stats.entries.toLocaleString();
+    document.getElementById('cache-hit-rate').textContent = stats.hitRate === null
+      ? '—'
+      : `${Math.round(stats.hitRate * 100)}% (${stats.hits} of ${stats.hits + stats.misses})`;
+    document.getElementById('cache-oldest').textContent = stats.oldestEntry
+      ? new Date(stats.oldestEntry).toLocaleString()
+      : '—';
+    document.getElementById('cache-by-type').textContent = Object.keys(stats.byType).length > 0
+      ? Object.entries(stats.byType).map(([type, count]) => `${type}: ${count}`).join(', ')
+      : '—';
+  } catch (error) {
+    console.error('Error loading OA cache stats:', error);
+  }
+}
+
+/**
+ * Clear the open access cache
+ */
+async function clearOACacheFromOptions() {
+  if (!self.oaCache) return;
+  
+  if (!confirm('Clear all cached open access results? Articles will be re-verified on the next check.')) {
+    return;
+  }
+  
+  const count = await self.oaCache.clearOACache();
+  await refreshOACacheStats();
+  showAlert(`Cleared ${count} cached open access results`, 'success');
+}
+
+/**
+ * Show the first-run prompt while no Unpaywall contact email is configured
+ */
+function updateUnpaywallSetupPrompt() {
+  const prompt = document.getElementById('unpaywall-setup');
+  if (!prompt) return;
+  
+  const hasEmail = !!managedPolicy.unpaywallEmail || !!document.getElementById('unpaywall-email').value.trim();
+  prompt.style.display = hasEmail ? 'none' : 'block';
+}
+
+/**
+ * Show the active domain list, the last update check and the changelog
+ */
+async function refreshDomainListStatus() {
+  if (!self.dblistUpdater) return;
+  
+  try {
+    const status = await self.dblistUpdater.getDomainListStatus();
+    
+    const source = status.source === 'remote'
+      ? `downloaded ${new Date(status.fetchedAt).toLocaleString()}`
+      : 'bundled with the extension';
+    document.getElementById('domain-list-version').textContent =
+      `v${status.version || '?'}${status.lastUpdated ? ` (${status.lastUpdated})` : ''} - ${source}`;
+    
+    const check = status.lastCheck;
+    const outcomes = {
+      updated: () => `updated to v${check.version}`,
+      current: () => 'no newer list available',
+      failed: () => `failed: ${check.error}`
+    };
+    document.getElementById('domain-list-last-check').textContent = !status.signingKeyConfigured
+      ? 'Remote updates are disabled - this build has no domain list signing key'
+      : check
+        ? `${new Date(check.checkedAt).toLocaleString()} - ${(outcomes[check.status] || (() => check.status))()}`
+        : '—';
+    
+    renderDomainListChangelog(status.changelog);
+  } catch (error) {
+    console.error('Error loading domain list status:', error);
+  }
+}
+
+/**
+ * Render the added/removed domains of each applied list update
+ */
+function renderDomainListChangelog(changelog) {
+  const tbody = document.getElementById('domain-list-changelog-body');
+  if (!tbody) return;
+  
+  tbody.innerHTML = '';
+  
+  if (changelog.length === 0) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 3;
+    cell.className = 'rules-empty';
+    cell.textContent = 'No updates applied yet.';
+    row.appendChild(cell);
+    tbody.appendChild(row);
+    return;
+  }
+  
+  // One line per list, e.g. "Allowlist: example.org, example.net"
+  const describeChanges = (changes) => {
+    const lines = Object.entries(changes || {})
+      .filter(([, domains]) => domains.length > 0)
+      .map(([list, domains]) => `${RULE_LIST_LABELS[list] || list}: ${domains.join(', ')}`);
+    return lines.length > 0 ? lines.join('\n') : '—';
+  };
+  
+  changelog.forEach(entry => {
+    const row = document.createElement('tr');
+    
+    // Version and when it was applied
+    const versionCell = document.createElement('td');
+    versionCell.textContent = `v${entry.previousVersion || '?'} → v${entry.version}`;
+    const meta = document.createElement('div');
+    meta.className = 'rule-meta';
+    meta.textContent = `Applied ${new Date(entry.appliedAt).toLocaleString()}`;
+    versionCell.appendChild(meta);
+    row.appendChild(versionCell);
+    
+    [entry.added, entry.removed].forEach(changes => {
+      const cell = document.createElement('td');
+      cell.style.whiteSpace = 'pre-line';
+      cell.textContent = describeChanges(changes);
+      row.appendChild(cell);
+    });
+    
+    tbody.appendChild(row);
+  });
+}
+
+/**
+ * Ask the background script to check the update URL now
+ */
+async function checkDomainListUpdateNow() {
+  const url = document.getElementById('domain-list-update-url').value.trim();
+  if (!url) {
+    showAlert('Enter and save a domain list update URL first', 'error');
+    return;
+  }
+  
+  const response = await chrome.runtime.sendMessage({ action: 'checkDomainListUpdate' });
+  await refreshDomainListStatus();
+  
+  const status = response?.status;
+  if (status?.status === 'updated') {
+    showAlert(`Domain list updated to v${status.version}`, 'success');
+  } else if (status?.status === 'current') {
+    showAlert('The domain list is already up to date', 'info');
+  } else if (status?.reason === 'no_signing_key') {
+    showAlert('Remote domain list updates are disabled: this build has no signing key', 'error');
+  } else if (status?.status === 'disabled') {
+    showAlert('Save the domain list update URL before checking for updates', 'error');
+  } else {
+    showAlert(`Domain list update failed: ${status?.error || response?.error || 'unknown error'}`, 'error');
+  }
+}
+
+/**
+ * Find the forced blocklist entry covering a domain pattern, if any
+ */
+function findPolicyBlock(domain) {
+  const checker = window.copyrightChecker;
+  const parsed = checker?.parseDomainPattern(domain);
+  if (!parsed) return null;
+  
+  return (managedPolicy.forcedBlocklist || []).find(pattern =>
+    checker.matchDomainPattern(parsed.host, parsed.path || '/', pattern) >= 0
+  ) || null;
+}
+
+/**
+ * Read the proxy host patterns from the form (empty restores the defaults)
+ */
+function readProxyPatterns() {
+  const patterns = document.getElementById('proxy-patterns').value
+    .split('\n')
+    .map(line => line.trim().toLowerCase())
+    .filter(Boolean);
+  
+  return patterns.length > 0 ? patterns : [...DEFAULT_CONFIG.PROXY_HOST_PATTERNS];
+}
+
+/**
+ * Read which blocked categories users may override from the policy checkboxes
+ */
+function readOverridePolicy() {
+  const policy = {};
+  
+  document.querySelectorAll('[data-override-category]').forEach(input => {
+    policy[input.dataset.overrideCategory] = input.checked;
+  });
+  
+  return policy;
+}
+
+/**
+ * Populate the open access provider editor from saved settings
+ */
+function loadOAProviders(savedProviders, savedEndpoints = {}) {
+  const saved = Array.isArray(savedProviders) ? savedProviders : DEFAULT_CONFIG.OA_PROVIDERS;
+  
+  // Keep saved order, then append providers added since the settings were saved
+  oaProviders = saved
+    .filter(provider => DEFAULT_CONFIG.OA_PROVIDERS.some(known => known.id === provider.id))
+    .map(provider => ({ id: provider.id, enabled: provider.enabled !== false }));
+  DEFAULT_CONFIG.OA_PROVIDERS.forEach(provider => {
+    if (!oaProviders.some(existing => existing.id === provider.id)) {
+      oaProviders.push({ ...provider });
+    }
+  });
+  
+  document.querySelectorAll('[data-provider-endpoint]').forEach(input => {
+    if (!input.disabled) {
+      input.value = (savedEndpoints || {})[input.dataset.providerEndpoint] || '';
+    }
+  });
+  
+  renderOAProviders();
+}
+
+/**
+ * Read endpoint overrides from the provider editor (empty fields use the public API)
+ */
+function readProviderEndpoints() {
+  const endpoints = {};
+  
+  document.querySelectorAll('[data-provider-endpoint]').forEach(input => {
+    // Endpoints set by the managed policy are not stored locally
+    if (input.disabled) return;
+    
+    const value = input.value.trim().replace(/\/+$/, '');
+    if (value) {
+      endpoints[input.dataset.providerEndpoint] = value;
+    }
+  });
+  
+  return endpoints;
+}
+
+/**
+ * Move a provider up or down in the query order
+ */
+function moveOAProvider(index, offset) {
+  const target = index + offset;
+  if (target < 0 || target >= oaProviders.length) return;
+  
+  [oaProviders[index], oaProviders[target]] = [oaProviders[target], oaProviders[index]];
+  renderOAProviders();
+}
+
+/**
+ * Render the open access provider list
+ */
+function renderOAProviders() {
+  const list = document.getElementById('oa-provider-list');
+  if (!list) return;
+  
+  const descriptions = window.copyrightChecker?.listOAProviders() || [];
+  list.innerHTML = '';
+  
+  oaProviders.forEach((provider, index) => {
+    const info = descriptions.find(item => item.id === provider.id) || { name: provider.id, description: '' };
+    const row = document.createElement('div');
+    row.className = 'oa-provider-row';
+    
+    // Enabled toggle
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'form-check-input';
+    checkbox.id = `oa-provider-${provider.id}`;
+    checkbox.checked = provider.enabled;
+    checkbox.addEventListener('change', () => {
+      provider.enabled = checkbox.checked;
+    });
+    row.appendChild(checkbox);
+    
+    // Name and description
+    const label = document.createElement('label');
+    label.htmlFor = checkbox.id;
+    label.className = 'oa-provider-label';
+    label.textContent = `${index + 1}. ${info.name}`;
+    const description = document.createElement('div');
+    description.className = 'rule-meta';
+    description.textContent = info.description;
+    label.appendChild(description);
+    row.appendChild(label);
+    
+    // Order buttons
+    [['↑', -1], ['↓', 1]].forEach(([text, offset]) => {
+      const button = document.createElement('button');
+      button.className = 'btn-move-provider';
+      button.textContent = text;
+      button.disabled = index + offset < 0 || index + offset >= oaProviders.length;
+      button.addEventListener('click', () => moveOAProvider(index, offset));
+      row.appendChild(button);
+    });
+    
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Normalize a domain pattern entered by the user (strip protocol, query and port).
+ * Keeps "*." wildcards and path prefixes such as "oup.com/journals".
+ */
+function normalizeRuleDomain(value) {
+  return (value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/[?#].*$/, '')
+    .replace(/:\d+(?=\/|$)/, '')
+    .replace(/\/+$/, '');
+}
+
+/**
+ * Load user-defined domain rules from extension storage
+ */
+async function loadDomainRules() {
+  try {
+    const result = await chrome.storage.local.get(DEFAULT_CONFIG.USER_RULES_STORAGE_KEY);
+    const rules = result[DEFAULT_CONFIG.USER_RULES_STORAGE_KEY];
+    editorDomainRules = Array.isArray(rules) ? rules : [];
+    renderDomainRules();
+  } catch (error) {
+    console.error('Error loading domain rules:', error);
+    showAlert('Error loading copyright domain rules.', 'error');
+  }
+}
+
+/**
+ * Persist user-defined domain rules to extension storage
+ */
+async function saveDomainRules() {
+  await chrome.storage.local.set({
+    [DEFAULT_CONFIG.USER_RULES_STORAGE_KEY]: editorDomainRules
+  });
+}
+
+/**
+ * Render the user rules table
+ */
+function renderDomainRules() {
+  const tbody = document.getElementById('domain-rules-body');
+  if (!tbody) return;
+  
+  tbody.innerHTML = '';
+  
+  if (editorDomainRules.length === 0) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 4;
+    cell.className = 'rules-empty';
+    cell.textContent = 'No custom rules yet - the bundled academic database list is used as-is.';
+    row.appendChild(cell);
+    tbody.appendChild(row);
+    return;
+  }
+  
+  editorDomainRules.forEach(rule => {
+    const row = document.createElement('tr');
+    
+    // Domain
+    const domainCell = document.createElement('td');
+    domainCell.textContent = rule.domain;
+    row.appendChild(domainCell);
+    
+    // Rule type and list
+    const ruleCell = document.createElement('td');
+    const tag = document.createElement('span');
+    tag.className = `rule-list-tag rule-list-${rule.list}`;
+    tag.textContent = rule.action === 'remove'
+      ? `Removed from ${RULE_LIST_LABELS[rule.list]}`
+      : RULE_LIST_LABELS[rule.list];
+    ruleCell.appendChild(tag);
+    row.appendChild(ruleCell);
+    
+    // Reason and provenance
+    const reasonCell = document.createElement('td');
+    reasonCell.textContent = rule.reason || '—';
+    const meta = document.createElement('div');
+    meta.className = 'rule-meta';
+    const addedAt = rule.addedAt ? new Date(rule.addedAt).toLocaleString() : 'unknown date';
+    meta.textContent = `Added by ${rule.addedBy || 'unknown'} on ${addedAt}`;
+    reasonCell.appendChild(meta);
+    row.appendChild(reasonCell);
+    
+    // Remove button
+    const actionCell = document.createElement('td');
+    const removeButton = document.createElement('button');
+    removeButton.className = 'btn-remove-rule';
+    removeButton.textContent = 'Delete';
+    removeButton.addEventListener('click', () => deleteDomainRule(rule.id));
+    actionCell.appendChild(removeButton);
+    row.appendChild(actionCell);
+    
+    tbody.appendChild(row);
+  });
+}
+
+/**
+ * Add a domain rule from the rules editor form
+ */
+async function addDomainRule() {
+  const action = document.getElementById('rule-action').value;
+  const list = document.getElementById('rule-list').value;
+  const domain = normalizeRuleDomain(document.getElementById('rule-domain').value);
+  const reason = document.getElementById('rule-reason').value.trim();
+  const addedBy = document.getElementById('rule-added-by').value.trim();
+  
+  // Validate input (label-aware patterns, public suffixes such as "ac.uk" are rejected)
+  const checker = window.copyrightChecker;
+  const isValidPattern = checker
+    ? !!checker.parseDomainPattern(domain)
+    : /^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)+(\/\S*)?$/.test(domain);
+  
+  if (!isValidPattern) {
+    showAlert('Please enter a valid domain pattern, e.g. journals.example.org, *.example.org or example.org/journals (public suffixes like ac.uk are not allowed)', 'error');
+    return;
+  }
+  
+  if (!reason) {
+    showAlert('Please give a reason for this rule', 'error');
+    return;
+  }
+  
+  if (!addedBy) {
+    showAlert('Please enter who is adding this rule', 'error');
+    return;
+  }
+  
+  if (editorDomainRules.some(rule => rule.domain === domain && rule.list === list && rule.action === action)) {
+    showAlert(`A matching rule for ${domain} already exists`, 'error');
+    return;
+  }
+  
+  // Domains on the institutional blocklist cannot be changed locally
+  const policyBlock = findPolicyBlock(domain);
+  if (policyBlock) {
+    showAlert(`${domain} is blocked by your institution's policy (${policyBlock}) and cannot be changed here`, 'error');
+    return;
+  }
+  
+  // Removal only makes sense for entries that exist in the bundled list
+  if (action === 'remove') {
+    if (checker) {
+      await checker.loadAcademicDatabases();
+      if (!checker.getBundledEntry(list, domain)) {
+        showAlert(`${domain} is not in the bundled ${RULE_LIST_LABELS[list].toLowerCase()}`, 'error');
+        return;
+      }
+    }
+  }
+  
+  const rule = {
+    id: `rule_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    action,
+    list,
+    domain,
+    reason,
+    addedBy,
+    addedAt: new Date().toISOString()
+  };
+  
+  try {
+    // A new "add" rule overrides any earlier rule for the same domain in another list
+    if (action === 'add') {
+      editorDomainRules = editorDomainRules.filter(existing =>
+        !(existing.action === 'add' && existing.domain === domain)
+      );
+    }
+    
+    editorDomainRules.push(rule);
+    await saveDomainRules();
+    renderDomainRules();
+    
+    document.getElementById('rule-domain').value = '';
+    document.getElementById('rule-reason').value = '';
+    
+    showAlert(`Rule for ${domain} added`, 'success');
+    console.log('Domain rule added:', rule);
+  } catch (error) {
+    console.error('Error saving domain rule:', error);
+    showAlert(`Error saving rule: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Delete a user-defined domain rule
+ */
+async function deleteDomainRule(ruleId) {
+  const rule = editorDomainRules.find(r => r.id === ruleId);
+  if (!rule) return;
+  
+  if (!confirm(`Delete the rule for ${rule.domain}?`)) {
+    return;
+  }
+  
+  try {
+    editorDomainRules = editorDomainRules.filter(r => r.id !== ruleId);
+    await saveDomainRules();
+    renderDomainRules();
+    showAlert(`Rule for ${rule.domain} deleted`, 'success');
+  } catch (error) {
+    console.error('Error deleting domain rule:', error);
+    showAlert(`Error deleting rule: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Pre-fill the "Added by" field with the logged-in web app user
+ */
+async function prefillRuleAuthor() {
+  const input = document.getElementById('rule-added-by');
+  if (!input || input.value) return;
+  
+  try {
+    const status = await chrome.runtime.sendMessage({ action: 'checkLoginStatus' });
+    if (status && status.isLoggedIn && status.username) {
+      input.value = status.username;
+    }
+  } catch (error) {
+    console.log('Could not determine logged-in user for rule author');
+  }
+}
+
+/**
+ * Switch between the settings and audit log tabs
+ */
+function showTab(tabId) {
+  document.querySelectorAll('.options-tab').forEach(tab => {
+    tab.classList.toggle('active', tab.dataset.tab === tabId);
+  });
+  document.querySelectorAll('.tab-panel').forEach(panel => {
+    panel.classList.toggle('active', panel.id === tabId);
+  });
+  
+  if (tabId === 'tab-audit') {
+    loadAuditLog();
+  }
+}
+
+/**
+ * Read the audit log filters from the form
+ */
+function getAuditFilters() {
+  return {
+    decision: document.getElementById('audit-decision').value,
+    category: document.getElementById('audit-category').value,
+    from: document.getElementById('audit-from').value,
+    to: document.getElementById('audit-to').value
+  };
+}
+
+/**
+ * Load and render audit log entries matching the current filters
+ */
+async function loadAuditLog() {
+  if (!window.auditLog) return;
+  
+  try {
+    const entries = await window.auditLog.queryAuditLog(getAuditFilters());
+    renderAuditLog(entries);
+  } catch (error) {
+    console.error('Error loading audit log:', error);
+    showAlert(`Error loading audit log: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Render the audit log table (newest first, capped for display)
+ */
+function renderAuditLog(entries) {
+  const tbody = document.getElementById('audit-log-body');
+  if (!tbody) return;
+  
+  tbody.innerHTML = '';
+  
+  const shown = entries.slice(0, DEFAULT_CONFIG.AUDIT_DISPLAY_LIMIT);
+  document.getElementById('audit-count').textContent = entries.length > shown.length
+    ? `Showing ${shown.length} of ${entries.length} entries (export to see all)`
+    : `${entries.length} entries`;
+  
+  if (entries.length === 0) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 4;
+    cell.className = 'rules-empty';
+    cell.textContent = 'No copyright decisions match these filters.';
+    row.appendChild(cell);
+    tbody.appendChild(row);
+    return;
+  }
+  
+  shown.forEach(entry => {
+    const row = document.createElement('tr');
+    
+    // Time
+    const timeCell = document.createElement('td');
+    timeCell.textContent = new Date(entry.timestamp).toLocaleString();
+    row.appendChild(timeCell);
+    
+    // Decision and category
+    const decisionCell = document.createElement('td');
+    const decision = document.createElement('div');
+    decision.className = `audit-decision-${entry.decision}`;
+    decision.textContent = { allowed: 'Allowed', blocked: 'Blocked', overridden: 'Overridden' }[entry.decision] || entry.decision;
+    decisionCell.appendChild(decision);
+    const category = document.createElement('div');
+    category.className = 'rule-meta';
+    category.textContent = entry.category;
+    decisionCell.appendChild(category);
+    row.appendChild(decisionCell);
+    
+    // Page URL, DOI and project
+    const pageCell = document.createElement('td');
+    pageCell.className = 'audit-url';
+    pageCell.textContent = entry.url || entry.domain || '—';
+    const pageMeta = document.createElement('div');
+    pageMeta.className = 'rule-meta';
+    pageMeta.textContent = [
+      entry.doi ? `DOI ${entry.doi}` : null,
+      entry.project_id ? `Project ${entry.project_id}` : null
+    ].filter(Boolean).join(' · ');
+    pageCell.appendChild(pageMeta);
+    row.appendChild(pageCell);
+    
+    // Reason and matched rule
+    const reasonCell = document.createElement('td');
+    reasonCell.textContent = entry.reason || '—';
+    if (entry.matched_rule) {
+      const ruleMeta = document.createElement('div');
+      ruleMeta.className = 'rule-meta';
+      ruleMeta.textContent = `${entry.matched_rule.source} ${RULE_LIST_LABELS[entry.matched_rule.list] || entry.matched_rule.list}: ${entry.matched_rule.pattern}`;
+      reasonCell.appendChild(ruleMeta);
+    }
+    row.appendChild(reasonCell);
+    
+    tbody.appendChild(row);
+  });
+}
+
+/**
+ * Export audit log entries matching the current filters ('csv' or 'jsonl')
+ */
+async function exportAuditLog(format) {
+  if (!window.auditLog) return;
+  
+  try {
+    const entries = await window.auditLog.queryAuditLog(getAuditFilters());
+    const content = format === 'csv'
+      ? window.auditLog.exportAuditCsv(entries)
+      : window.auditLog.exportAuditJsonl(entries);
+    const type = format === 'csv' ? 'text/csv' : 'application/x-ndjson';
+    
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([content], { type }));
+    link.download = `uzei-copyright-audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    
+    showAlert(`Exported ${entries.length} audit log entries`, 'success');
+  } catch (error) {
+    console.error('Error exporting audit log:', error);
+    showAlert(`Error exporting audit log: ${error.message}`, 'error');
+  }
+}
+
 /**
  * Open web app in new tab
  */
@@ -319,6 +1299,35 @@ function setupEventListeners() {
   document.getElementById('save-settings')?.addEventListener('click', saveSettings);
   document.getElementById('reset-settings')?.addEventListener('click', resetSettings);
   
+  // Open access cache
+  document.getElementById('clear-oa-cache')?.addEventListener('click', clearOACacheFromOptions);
+  document.getElementById('refresh-cache-stats')?.addEventListener('click', refreshOACacheStats);
+  
+  // First-run Unpaywall setup
+  document.getElementById('unpaywall-setup-button')?.addEventListener('click', () => {
+    const emailInput = document.getElementById('unpaywall-email');
+    emailInput.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    emailInput.focus();
+  });
+  
+  // Copyright domain rules
+  document.getElementById('add-domain-rule')?.addEventListener('click', addDomainRule);
+  
+  // Domain list updates
+  document.getElementById('check-domain-list-update')?.addEventListener('click', checkDomainListUpdateNow);
+  
+  // Tabs
+  document.querySelectorAll('.options-tab').forEach(tab => {
+    tab.addEventListener('click', () => showTab(tab.dataset.tab));
+  });
+  
+  // Audit log filters and export
+  ['audit-decision', 'audit-category', 'audit-from', 'audit-to'].forEach(id => {
+    document.getElementById(id)?.addEventListener('change', loadAuditLog);
+  });
+  document.getElementById('audit-export-csv')?.addEventListener('click', () => exportAuditLog('csv'));
+  document.getElementById('audit-export-jsonl')?.addEventListener('click', () => exportAuditLog('jsonl'));
+  
   // External links - open web app
   const webAppLinks = document.querySelectorAll('.btn-open-webapp, a[href*="uzei.boslis.com"]');
   webAppLinks.forEach(link => {
@@ -341,9 +1350,22 @@ async function initialize() {
   // Set up form handlers
   setupFormHandlers();
   
+  // Load the managed policy before settings so locked values win
+  await loadManagedSettings();
+  
   // Load existing settings
   await loadSettings();
   
+  // Show open access cache statistics
+  refreshOACacheStats();
+  
+  // Load copyright domain rules
+  await loadDomainRules();
+  prefillRuleAuthor();
+  
+  // Show the active domain list and its changelog
+  refreshDomainListStatus();
+  
   // Set initial connection status
   updateConnectionStatus(null);
   
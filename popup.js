@@ -15,6 +15,8 @@ const CONFIG = {
   // UI settings
   MAX_TITLE_LENGTH: 60,
   MAX_PREVIEW_LENGTH: 150,
+  MAX_PREVIEW_AUTHORS: 5,  // Longer author lists are shortened to "et al." in the preview
+  LOW_EXTRACTION_CONFIDENCE: 0.5,  // Warn when the extracted text may not be the article
   
   // Retry settings
   MAX_RETRIES: 3,
@@ -24,6 +26,12 @@ const CONFIG = {
   MAX_CONCURRENT_TABS: 3,  // Process tabs simultaneously
   TAB_PROCESSING_DELAY: 500,  // Delay between tab processing (ms)
   
+  // Open access version capture
+  OA_TAB_LOAD_TIMEOUT: 30000,  // 30 seconds
+  
+  // Excerpt mode for restricted content (word limit configurable in the options page)
+  DEFAULT_EXCERPT_WORD_LIMIT: 250,
+  
   // Tab filtering - exclude these from processing
   INVALID_PROTOCOLS: ['chrome:', 'chrome-extension:', 'moz-extension:', 'about:', 'data:', 'javascript:'],
   INVALID_HOSTS: ['uzei.boslis.com'],  // Don't process our own app
@@ -40,124 +48,50 @@ let currentRequestId = null;
 let batchProcessingActive = false;
 let loginStatus = { isLoggedIn: false, username: null };
 let extensionSettings = {
-  showNotifications: true
+  showNotifications: true,
+  excerptMode: true,
+  excerptWordLimit: CONFIG.DEFAULT_EXCERPT_WORD_LIMIT
 };
-let copyrightChecker = null;
 let currentCopyrightStatus = null;
+let overrideAvailable = false;  // Current blocked result may be overridden under policy
 
-/**
- * Initialize copyright checker by loading the script
- */
-async function initCopyrightChecker() {
-  if (copyrightChecker) return copyrightChecker;
-  
-  try {
-    console.log('Loading copyright checker...');
-    
-    // Dynamically load the copyright checker script
-    const script = document.createElement('script');
-    script.src = chrome.runtime.getURL('copyright-checker.js');
-    
-    await new Promise((resolve, reject) => {
-      script.onload = () => {
-        console.log('Copyright checker script loaded');
-        resolve();
-      };
-      script.onerror = () => {
-        console.error('Failed to load copyright checker script');
-        reject(new Error('Failed to load copyright checker'));
-      };
-      document.head.appendChild(script);
-    });
-    
-    // Wait a bit for initialization
-    await new Promise(resolve => setTimeout(resolve, 200));
-    
-    // Get the checker from window
-    if (window.copyrightChecker) {
-      copyrightChecker = window.copyrightChecker;
-      console.log('Copyright checker initialized successfully');
-      return copyrightChecker;
-    } else {
-      throw new Error('Copyright checker not available on window');
-    }
-  } catch (error) {
-    console.error('Failed to initialize copyright checker:', error);
-    return null;
-  }
-}
+// Retraction statuses that must be confirmed before a paper is added
+const RETRACTION_CONFIRM_STATUSES = ['retracted', 'withdrawn', 'expression_of_concern'];
 
 /**
- * Check copyright status and show appropriate UI feedback
- * Returns true if allowed, false if blocked
+ * Ask the background service worker to verify copyright for a page.
+ * Resolves to { result, overrideAvailable, message }; the tab's pre-verified result is reused when available.
  */
-async function checkAndShowCopyrightStatus(pageData) {
-  try {
-    showStatus('Verifying copyright status...', 'loading');
-    
-    const checker = await initCopyrightChecker();
-    if (!checker) {
-      showStatus('⚠️ Copyright checker unavailable. Please refresh and try again.', 'error');
-      return false;
-    }
-    
-    const copyrightStatus = await checker.checkCopyright(pageData);
-    
-    if (!copyrightStatus.allowed) {
-      // Content is blocked
-      let message = checker.getCopyrightMessage(copyrightStatus);
-      
-      // Add more detailed information
-      if (copyrightStatus.suggestion) {
-        message += '\n\n💡 ' + copyrightStatus.suggestion;
-      }
-      
-      if (copyrightStatus.oa_url && copyrightStatus.oa_url !== pageData.url) {
-        message += '\n\n📄 Alternative open access version available at:\n' + copyrightStatus.oa_url;
-      }
-      
-      showStatus(message, 'error');
-      console.log('❌ Copyright check failed:', copyrightStatus);
-      return false;
-    }
-    
-    // Content is allowed
-    console.log('✅ Copyright check passed:', copyrightStatus.reason);
-    
-    // Show brief success message if not whitelisted (whitelist is obvious)
-    if (copyrightStatus.category !== 'whitelist') {
-      showStatus('✅ Copyright verified: ' + copyrightStatus.reason, 'success');
-      setTimeout(() => clearStatus(), 2000);
-    } else {
-      clearStatus(); // Whitelist doesn't need confirmation
-    }
-    
-    // Show warning if present (for unknown sources)
-    if (copyrightStatus.warning) {
-      console.warn('⚠️ Copyright warning:', copyrightStatus.warning);
-      showStatus('⚠️ ' + copyrightStatus.warning, 'loading');
-    }
-    
-    return true;
-    
-  } catch (error) {
-    console.error('Error during copyright check:', error);
-    // On error, be conservative and block
-    showStatus('❌ Failed to verify copyright status: ' + error.message, 'error');
-    return false;
+async function requestCopyrightCheck(tabId, pageData, context = {}) {
+  const response = await chrome.runtime.sendMessage({
+    action: 'checkCopyright',
+    tabId,
+    pageData,
+    context
+  });
+  
+  if (!response || !response.success) {
+    throw new Error(response?.error || 'Copyright verification unavailable');
   }
+  
+  return response;
 }
 
 /**
  * Check copyright status for current page and update UI
- * This runs asynchronously after content extraction
+ * This runs asynchronously after content extraction.
+ * Pass { bypassCache: true } to re-verify the DOI with the OA providers.
  */
-async function checkCurrentPageCopyright() {
+async function checkCurrentPageCopyright(options = {}) {
   if (!currentPageData) return;
   
   const badge = document.getElementById('copyright-status-badge');
   if (!badge) return;
   
+  overrideAvailable = false;
+  hideOverridePanel();
+  hideExcerptPanel();
+  
   try {
     // Show checking state
     badge.style.display = 'block';
@@ -174,28 +108,21 @@ async function checkCurrentPageCopyright() {
       preview.classList.add('has-copyright-badge');
     }
     
-    // Initialize copyright checker
-    const checker = await initCopyrightChecker();
-    if (!checker) {
-      // Checker failed to load
-      currentCopyrightStatus = { 
-        allowed: true, 
-        reason: 'Copyright checker unavailable',
-        category: 'error',
-        confidence: 'low',
-        warning: 'Could not verify copyright status. Please ensure you have permission to use this content.'
-      };
-      displayCopyrightBadge();
-      updateSingleTabUI();
-      return;
-    }
-    
-    // Perform copyright check
+    // Perform copyright check in the background (reuses the pre-verified result when that setting is on)
     console.log('Checking copyright status for:', currentPageData.url);
-    currentCopyrightStatus = await checker.checkCopyright(currentPageData);
+    const tab = await getCurrentTab();
+    // The audit log records the project selected at check time (if any)
+    const check = await requestCopyrightCheck(tab?.id ?? null, currentPageData, {
+      projectId: document.getElementById('project-select')?.value || null,
+      bypassCache: options.bypassCache === true
+    });
     
+    currentCopyrightStatus = check.result;
     console.log('Copyright check result:', currentCopyrightStatus);
     
+    // Blocked results may offer a justified override, depending on policy
+    overrideAvailable = check.overrideAvailable;
+    
     // Update badge with result
     displayCopyrightBadge();
     
@@ -233,23 +160,42 @@ function displayCopyrightBadge() {
   
   if (currentCopyrightStatus.allowed) {
     // Content is allowed
-    if (currentCopyrightStatus.category === 'whitelist') {
+    if (currentCopyrightStatus.overridden) {
+      const override = currentCopyrightStatus.override;
+      badgeClass = 'warning';
+      icon = '🔓';
+      title = 'Allowed by Your Override';
+      details = `${escapeHtml(override.justification_label)}: ${escapeHtml(override.explanation)}` +
+        `<br>Originally blocked: ${escapeHtml(override.blocked_reason)}`;
+    } else if (currentCopyrightStatus.category === 'whitelist') {
       badgeClass = 'allowed';
       icon = '✅';
       title = 'Trusted Open Access Source';
-      details = currentCopyrightStatus.reason;
+      details = escapeHtml(currentCopyrightStatus.reason);
     } else if (currentCopyrightStatus.category === 'oa_verified') {
       badgeClass = 'allowed';
       icon = '✅';
       title = 'Open Access Verified';
-      details = currentCopyrightStatus.reason;
+      details = escapeHtml(currentCopyrightStatus.reason);
+      
+      if (currentCopyrightStatus.license) {
+        details += ` · License: ${escapeHtml(currentCopyrightStatus.license)}`;
+      }
+      
+      // License/version warnings (bronze, NC, ND, manuscript versions)
+      if (currentCopyrightStatus.warning) {
+        badgeClass = 'warning';
+        icon = '⚠️';
+        details += `<br>⚠️ ${escapeHtml(currentCopyrightStatus.warning)}`;
+      }
       
       // Show alternative OA link if different from current URL
-      if (currentCopyrightStatus.oa_url && 
-          currentCopyrightStatus.oa_url !== currentPageData.url) {
+      const oaUrl = getSafeHttpUrl(currentCopyrightStatus.oa_url);
+      if (oaUrl && oaUrl !== currentPageData.url) {
         alternativeLink = `
           <div class="copyright-alternative-link">
-            💡 <a href="${currentCopyrightStatus.oa_url}" target="_blank">Better OA version available</a>
+            💡 <a href="${escapeHtml(oaUrl)}" target="_blank">Better OA version available</a>
+            <button type="button" class="copyright-oa-button" id="use-oa-version">Add that version instead</button>
           </div>
         `;
       }
@@ -257,48 +203,562 @@ function displayCopyrightBadge() {
       badgeClass = 'warning';
       icon = '⚠️';
       title = 'Copyright Status Unverified';
-      details = currentCopyrightStatus.warning || currentCopyrightStatus.reason;
+      details = escapeHtml(currentCopyrightStatus.warning || currentCopyrightStatus.reason);
     } else if (currentCopyrightStatus.category === 'error') {
       badgeClass = 'warning';
       icon = '⚠️';
       title = 'Copyright Check Unavailable';
-      details = currentCopyrightStatus.warning || 'Could not verify copyright status';
+      details = escapeHtml(currentCopyrightStatus.warning || 'Could not verify copyright status');
     } else {
       badgeClass = 'allowed';
       icon = '✅';
       title = 'Content Allowed';
-      details = currentCopyrightStatus.reason;
+      details = escapeHtml(currentCopyrightStatus.reason);
     }
   } else {
     // Content is blocked
+    const blockedTitles = {
+      accepted_version_only: 'Published Version Restricted',
+      license_restricted: 'License Restricts Use',
+      embargoed: 'Under Embargo',
+      policy_blocked: 'Blocked by Institutional Policy',
+      conditional_unverified: 'Article Could Not Be Verified'
+    };
+    
     badgeClass = 'blocked';
     icon = '❌';
-    title = 'Restricted Content';
-    details = currentCopyrightStatus.reason;
+    title = blockedTitles[currentCopyrightStatus.category] || 'Restricted Content';
+    // Reasons can quote page URLs, identifiers and policy patterns
+    details = escapeHtml(currentCopyrightStatus.reason);
     
     // Show suggestion if available
     if (currentCopyrightStatus.suggestion) {
-      details += `<br><br>💡 ${currentCopyrightStatus.suggestion}`;
+      details += `<br><br>💡 ${escapeHtml(currentCopyrightStatus.suggestion)}`;
     }
     
     // Show alternative OA link if available
-    if (currentCopyrightStatus.oa_url) {
+    const oaUrl = getSafeHttpUrl(currentCopyrightStatus.oa_url);
+    if (oaUrl) {
       alternativeLink = `
         <div class="copyright-alternative-link">
-          📄 <a href="${currentCopyrightStatus.oa_url}" target="_blank">Open access version available here</a>
+          📄 <a href="${escapeHtml(oaUrl)}" target="_blank">Open access version available here</a>
+          <button type="button" class="copyright-oa-button" id="use-oa-version">Open and add it instead</button>
+        </div>
+      `;
+    }
+    
+    // Embargoed content can be checked again once the embargo ends
+    if (currentCopyrightStatus.embargo_until) {
+      alternativeLink += `
+        <div class="copyright-alternative-link">
+          ⏳ Embargo ends ${escapeHtml(currentCopyrightStatus.embargo_until)}
+          <button type="button" class="copyright-oa-button" id="embargo-reminder">Remind me when it ends</button>
         </div>
       `;
     }
   }
   
+  // Show which domain rule (bundled or user) decided the result
+  let ruleInfo = '';
+  const rule = currentCopyrightStatus.matched_rule;
+  if (rule) {
+    const listLabels = { whitelist: 'allowlist', blacklist: 'blacklist', conditional: 'conditional list' };
+    const sourceLabels = { policy: 'Institutional', user: 'Your', bundled: 'Bundled' };
+    const source = sourceLabels[rule.source] || 'Bundled';
+    ruleInfo = `
+      <div class="copyright-rule-info">
+        ${source} ${listLabels[rule.list] || rule.list} rule: ${escapeHtml(rule.pattern)}${rule.reason ? ` — ${escapeHtml(rule.reason)}` : ''}
+      </div>
+    `;
+  }
+  
+  // Show which OA provider answered and how confident the merged result is
+  if (currentCopyrightStatus.oa_provider) {
+    const providerNames = {
+      unpaywall: 'Unpaywall',
+      openalex: 'OpenAlex',
+      crossref: 'Crossref',
+      pmc: 'PubMed Central',
+      arxiv: 'arXiv',
+      hal: 'HAL',
+      doab: 'DOAB'
+    };
+    const score = currentCopyrightStatus.confidence_score;
+    const checkedAt = currentCopyrightStatus.oa_checked_at
+      ? `, ${new Date(currentCopyrightStatus.oa_checked_at).toLocaleString()}`
+      : '';
+    ruleInfo += `
+      <div class="copyright-rule-info">
+        Checked via ${providerNames[currentCopyrightStatus.oa_provider] || escapeHtml(currentCopyrightStatus.oa_provider)}${score != null ? ` (confidence ${Math.round(score * 100)}%)` : ''}${checkedAt}
+      </div>
+    `;
+  }
+  
+  // DOI results may come from the cache - allow a fresh lookup
+  if (currentCopyrightStatus.doi && !currentCopyrightStatus.overridden) {
+    ruleInfo += `
+      <div class="copyright-rule-info">
+        <a href="#" id="reverify-copyright">🔄 Re-verify now</a>
+      </div>
+    `;
+  }
+  
+  // Retraction, withdrawal, expression of concern or correction notices from Crossref
+  let retractionNotice = '';
+  if (currentCopyrightStatus.retraction_warning) {
+    const retraction = currentCopyrightStatus.retraction;
+    const notice = retraction.notices.find(item => item.status === retraction.status && item.doi);
+    const target = retraction.notice_for?.find(item => item.doi);
+    const severity = RETRACTION_CONFIRM_STATUSES.includes(retraction.status) ? 'serious' : 'minor';
+    let link = '';
+    if (notice) {
+      link = `<a href="https://doi.org/${encodeURI(notice.doi)}" target="_blank">View notice</a>`;
+    } else if (target) {
+      link = `<a href="https://doi.org/${encodeURI(target.doi)}" target="_blank">View article</a>`;
+    }
+    retractionNotice = `
+      <div class="copyright-retraction-notice ${severity}">
+        🚩 ${escapeHtml(currentCopyrightStatus.retraction_warning)}${link}
+      </div>
+    `;
+  }
+  
+  // Offer the override flow when policy permits it for this category
+  let overrideLink = '';
+  if (!currentCopyrightStatus.allowed && overrideAvailable) {
+    overrideLink = `
+      <div class="copyright-alternative-link">
+        🔑 <a href="#" id="open-override">I have rights to this</a>
+      </div>
+    `;
+  }
+  
+  // Blocked pages can still be saved as metadata plus a short quotation (not when the institution blocks the site)
+  if (!currentCopyrightStatus.allowed && extensionSettings.excerptMode && currentCopyrightStatus.category !== 'policy_blocked') {
+    overrideLink += `
+      <div class="copyright-alternative-link">
+        ✂️ <a href="#" id="open-excerpt">Save metadata and an excerpt instead</a>
+      </div>
+    `;
+  }
+  
   badge.className = `copyright-status-badge ${badgeClass}`;
   badge.innerHTML = `
     <div class="copyright-badge-icon">${icon}</div>
     <div class="copyright-badge-content">
+      ${retractionNotice}
       <div class="copyright-badge-title">${title}</div>
-      <div class="copyright-badge-details">${details}${alternativeLink}</div>
+      <div class="copyright-badge-details">${details}${alternativeLink}${overrideLink}${ruleInfo}</div>
     </div>
   `;
+  
+  document.getElementById('open-override')?.addEventListener('click', (e) => {
+    e.preventDefault();
+    showOverridePanel();
+  });
+  
+  document.getElementById('open-excerpt')?.addEventListener('click', (e) => {
+    e.preventDefault();
+    showExcerptPanel();
+  });
+  
+  document.getElementById('reverify-copyright')?.addEventListener('click', (e) => {
+    e.preventDefault();
+    currentCopyrightStatus = null;
+    updateSingleTabUI();
+    checkCurrentPageCopyright({ bypassCache: true });
+  });
+  
+  document.getElementById('use-oa-version')?.addEventListener('click', (e) => {
+    e.preventDefault();
+    addOAVersionToProject();
+  });
+  
+  document.getElementById('embargo-reminder')?.addEventListener('click', (e) => {
+    e.preventDefault();
+    setEmbargoReminder(e.target);
+  });
+}
+
+/**
+ * Ask the background script to notify the user when the current page's embargo ends
+ */
+async function setEmbargoReminder(button) {
+  if (!currentPageData || !currentCopyrightStatus?.embargo_until) return;
+  
+  button.disabled = true;
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'scheduleEmbargoReminder',
+      reminder: {
+        url: currentPageData.url,
+        title: currentPageData.title,
+        doi: currentCopyrightStatus.doi || currentPageData.doi || null,
+        embargoUntil: currentCopyrightStatus.embargo_until
+      }
+    });
+    
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Could not set reminder');
+    }
+    
+    button.textContent = `⏰ Reminder set for ${response.reminder.embargoUntil}`;
+  } catch (error) {
+    console.error('Error setting embargo reminder:', error);
+    button.disabled = false;
+    showStatus('❌ Could not set reminder: ' + escapeHtml(error.message), 'error');
+  }
+}
+
+/**
+ * Wait until a tab has finished loading
+ */
+function waitForTabLoad(tabId, timeout = CONFIG.OA_TAB_LOAD_TIMEOUT) {
+  return new Promise((resolve, reject) => {
+    const listener = (updatedTabId, changeInfo, tab) => {
+      if (updatedTabId === tabId && changeInfo.status === 'complete') {
+        cleanup();
+        resolve(tab);
+      }
+    };
+    
+    const timer = setTimeout(() => {
+      cleanup();
+      reject(new Error('Timed out waiting for the open access version to load'));
+    }, timeout);
+    
+    function cleanup() {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(listener);
+    }
+    
+    chrome.tabs.onUpdated.addListener(listener);
+    
+    // The tab may already have loaded before the listener was registered
+    chrome.tabs.get(tabId).then(tab => {
+      if (tab.status === 'complete') {
+        cleanup();
+        resolve(tab);
+      }
+    }).catch(error => {
+      cleanup();
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Open the OA location from the copyright result in a background tab, extract and verify it there,
+ * and submit that version to the selected project with the current page as its landing page
+ */
+async function addOAVersionToProject() {
+  const oaUrl = getSafeHttpUrl(currentCopyrightStatus?.oa_url);
+  if (!oaUrl || isProcessing) return;
+  
+  if (!loginStatus.isLoggedIn) {
+    showStatus('Please log in first', 'error');
+    return;
+  }
+  
+  const projectId = document.getElementById('project-select').value;
+  const sourceType = document.getElementById('source-type').value;
+  
+  if (!projectId) {
+    showStatus('Please select a project first', 'error');
+    return;
+  }
+  
+  const addButton = document.getElementById('add-to-project');
+  const oaButton = document.getElementById('use-oa-version');
+  isProcessing = true;
+  if (oaButton) oaButton.disabled = true;
+  let oaTabId = null;
+  
+  try {
+    showStatus('Opening open access version...', 'loading');
+    
+    // Opened in the background so the popup stays open
+    const tab = await chrome.tabs.create({ url: oaUrl, active: false });
+    oaTabId = tab.id;
+    await waitForTabLoad(tab.id);
+    
+    showStatus('Verifying and adding open access version...', 'loading');
+    
+    const result = await processTabContent(tab.id, projectId, sourceType, {
+      landingPageUrl: currentPageData.url,
+      doi: currentCopyrightStatus.doi || currentPageData.doi || null
+    });
+    
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    
+    showStatus(`✅ Open access version added: ${escapeHtml(result.title)}`, 'success');
+    
+    if (addButton) {
+      addButton.disabled = true;
+      addButton.textContent = 'Added ✓';
+    }
+    
+  } catch (error) {
+    console.error('Error adding open access version:', error);
+    showStatus(`Failed to add open access version: ${escapeHtml(error.message)}`, 'error');
+    if (oaButton) oaButton.disabled = false;
+    
+  } finally {
+    // The tab was only opened to read the OA version - close it whatever happened
+    if (oaTabId !== null) {
+      await safeTabOperation(() => chrome.tabs.remove(oaTabId));
+    }
+    isProcessing = false;
+  }
+}
+
+/**
+ * Show the override form for the current blocked result
+ */
+function showOverridePanel() {
+  const panel = document.getElementById('override-panel');
+  if (!panel) return;
+  
+  document.getElementById('override-justification').value = '';
+  document.getElementById('override-explanation').value = '';
+  panel.style.display = 'block';
+}
+
+/**
+ * Hide the override form
+ */
+function hideOverridePanel() {
+  const panel = document.getElementById('override-panel');
+  if (panel) {
+    panel.style.display = 'none';
+  }
+}
+
+/**
+ * Apply the user's justified override to the current blocked result
+ */
+async function confirmOverride() {
+  if (!currentCopyrightStatus) return;
+  
+  try {
+    const tab = await getCurrentTab();
+    const response = await chrome.runtime.sendMessage({
+      action: 'applyCopyrightOverride',
+      tabId: tab?.id ?? null,
+      pageData: currentPageData,
+      override: {
+        justification: document.getElementById('override-justification').value,
+        explanation: document.getElementById('override-explanation').value
+      },
+      context: {
+        projectId: document.getElementById('project-select')?.value || null
+      }
+    });
+    
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Could not record the override');
+    }
+    
+    currentCopyrightStatus = response.result;
+    
+    console.log('🔓 Copyright override applied:', currentCopyrightStatus.override);
+    
+    overrideAvailable = false;
+    hideOverridePanel();
+    displayCopyrightBadge();
+    updateSingleTabUI();
+    showStatus('Override recorded. It will be submitted with this content.', 'success');
+    
+  } catch (error) {
+    showStatus(escapeHtml(error.message), 'error');
+  }
+}
+
+/**
+ * Count the words in a piece of text
+ */
+function countWords(text) {
+  const trimmed = (text || '').trim();
+  return trimmed ? trimmed.split(/\s+/).length : 0;
+}
+
+/**
+ * Read the text currently selected in the tab (empty when the page cannot be scripted, e.g. PDFs)
+ */
+async function getTabSelection(tabId) {
+  try {
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: () => window.getSelection().toString()
+    });
+    return (injection?.result || '').trim();
+  } catch (error) {
+    console.log('Could not read page selection:', error.message);
+    return '';
+  }
+}
+
+/**
+ * Show the excerpt form for the current blocked page, prefilled with the page selection
+ */
+async function showExcerptPanel() {
+  const panel = document.getElementById('excerpt-panel');
+  if (!panel || currentCopyrightStatus?.category === 'policy_blocked') return;
+  
+  hideOverridePanel();
+  
+  let selection = currentPageData?.isSelection ? currentPageData.content : '';
+  if (!selection) {
+    const tab = await getCurrentTab();
+    selection = tab ? await getTabSelection(tab.id) : '';
+  }
+  
+  document.getElementById('excerpt-text').value = selection;
+  updateExcerptWordCount();
+  panel.style.display = 'block';
+}
+
+/**
+ * Hide the excerpt form
+ */
+function hideExcerptPanel() {
+  const panel = document.getElementById('excerpt-panel');
+  if (panel) {
+    panel.style.display = 'none';
+  }
+}
+
+/**
+ * Show the excerpt length against the configured word limit
+ */
+function updateExcerptWordCount() {
+  const words = countWords(document.getElementById('excerpt-text')?.value);
+  const limit = extensionSettings.excerptWordLimit;
+  const counter = document.getElementById('excerpt-word-count');
+  if (!counter) return;
+  
+  counter.textContent = words === 0
+    ? `No excerpt - only the metadata will be saved (limit ${limit} words)`
+    : `${words} / ${limit} words`;
+  counter.classList.toggle('over-limit', words > limit);
+}
+
+/**
+ * Build the add_web_content payload for a blocked page: metadata plus an optional excerpt.
+ * The extracted page text is never sent. Throws for policy-blocked pages and over-long excerpts.
+ */
+function buildExcerptPayload(pageData, sourceType, copyrightStatus, excerpt, wordLimit = extensionSettings.excerptWordLimit) {
+  if (copyrightStatus.category === 'policy_blocked') {
+    throw new Error('Pages blocked by your institution\'s copyright policy cannot be saved');
+  }
+  
+  const wordCount = countWords(excerpt);
+  if (wordCount > wordLimit) {
+    throw new Error(`Excerpts are limited to ${wordLimit} words`);
+  }
+  
+  const payload = buildContentPayload(pageData, sourceType, copyrightStatus);
+  
+  // Restricted content - drop everything derived from the full text
+  delete payload.content;
+  delete payload.abstract;
+  delete payload.requiresBackendProcessing;
+  
+  payload.content_mode = excerpt ? 'excerpt' : 'metadata_only';
+  payload.metadata_only = !excerpt;
+  if (excerpt) {
+    payload.excerpt = excerpt;
+    payload.excerpt_word_count = wordCount;
+  }
+  
+  // Why the full text was not saved
+  payload.copyright_restriction = {
+    category: copyrightStatus.category,
+    reason: copyrightStatus.reason
+  };
+  
+  return payload;
+}
+
+/**
+ * Save the current blocked page as metadata plus the excerpt from the excerpt form
+ */
+async function saveExcerpt() {
+  if (isProcessing || !currentPageData || !currentCopyrightStatus) return;
+  
+  const projectId = document.getElementById('project-select').value;
+  const sourceType = document.getElementById('source-type').value;
+  const excerpt = document.getElementById('excerpt-text').value.trim();
+  const limit = extensionSettings.excerptWordLimit;
+  
+  if (!projectId) {
+    showStatus('Please select a project first', 'error');
+    return;
+  }
+  
+  if (countWords(excerpt) > limit) {
+    showStatus(`Excerpts are limited to ${limit} words - shorten the selection`, 'error');
+    return;
+  }
+  
+  isProcessing = true;
+  const saveButton = document.getElementById('save-excerpt');
+  if (saveButton) saveButton.disabled = true;
+  
+  try {
+    showStatus(excerpt ? 'Saving metadata and excerpt...' : 'Saving metadata...', 'loading');
+    
+    const payload = buildExcerptPayload(currentPageData, sourceType, currentCopyrightStatus, excerpt);
+    const response = await apiRequest(`${CONFIG.APP_BASE_URL}/api/project/${projectId}/add_web_content`, {
+      method: 'POST',
+      headers: {
+        'X-Request-ID': `excerpt_${Date.now()}`
+      },
+      body: JSON.stringify(payload)
+    });
+    
+    if (!response.success) {
+      throw new Error(response.error || 'Unknown error occurred');
+    }
+    
+    hideExcerptPanel();
+    showStatus(excerpt ? '✅ Metadata and excerpt saved to project' : '✅ Metadata saved to project', 'success');
+    
+  } catch (error) {
+    console.error('Error saving excerpt:', error);
+    showStatus(`Failed to save excerpt: ${escapeHtml(error.message)}`, 'error');
+    
+  } finally {
+    isProcessing = false;
+    if (saveButton) saveButton.disabled = false;
+  }
+}
+
+/**
+ * Escape text for safe insertion into HTML templates
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Return the URL if it is an absolute http(s) URL, otherwise null (OA locations come from third-party APIs)
+ */
+function getSafeHttpUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return ['http:', 'https:'].includes(parsed.protocol) ? parsed.href : null;
+  } catch (error) {
+    return null;
+  }
 }
 
 /**
@@ -306,14 +766,33 @@ function displayCopyrightBadge() {
  */
 async function loadExtensionSettings() {
   try {
+    // Institutions can pin the server URL through the managed policy
+    const managed = self.managedPolicy ? await self.managedPolicy.loadManagedPolicy() : {};
+    if (managed.appUrl) {
+      CONFIG.APP_BASE_URL = managed.appUrl;
+      const appHost = new URL(managed.appUrl).hostname;
+      if (!CONFIG.INVALID_HOSTS.includes(appHost)) {
+        CONFIG.INVALID_HOSTS.push(appHost);
+      }
+    }
+    
+    // Proxy host patterns used by isPDFUrl()
+    if (self.urlNormalizer) {
+      await self.urlNormalizer.loadProxyPatterns();
+    }
+    
     const settings = await new Promise((resolve) => {
       chrome.storage.sync.get([
-        'showNotifications'
+        'showNotifications',
+        'excerptMode',
+        'excerptWordLimit'
       ], resolve);
     });
     
     extensionSettings = {
-      showNotifications: settings.showNotifications !== false
+      showNotifications: settings.showNotifications !== false,
+      excerptMode: settings.excerptMode !== false,
+      excerptWordLimit: settings.excerptWordLimit || CONFIG.DEFAULT_EXCERPT_WORD_LIMIT
     };
     
     console.log('Extension settings loaded:', extensionSettings);
@@ -321,7 +800,9 @@ async function loadExtensionSettings() {
     console.error('Error loading extension settings:', error);
     // Use defaults
     extensionSettings = {
-      showNotifications: true
+      showNotifications: true,
+      excerptMode: true,
+      excerptWordLimit: CONFIG.DEFAULT_EXCERPT_WORD_LIMIT
     };
   }
 }
@@ -333,6 +814,11 @@ async function loadExtensionSettings() {
 function isPDFUrl(url) {
   if (!url) return false;
   
+  // Match against the publisher URL when browsing through an institutional proxy
+  if (self.urlNormalizer) {
+    url = self.urlNormalizer.normalizeProxiedUrl(url);
+  }
+  
   try {
     const urlLower = url.toLowerCase();
     console.log(`Checking URL for PDF patterns: ${url}`);
@@ -1070,7 +1556,7 @@ async function checkTabContentValidity() {
           // Content script not available, try to inject it
           await chrome.scripting.executeScript({
             target: { tabId: tabId },
-            files: ['content.js']
+            files: ['doi-utils.js', 'identifier-utils.js', 'site-adapters.js', 'structured-data.js', 'content.js']
           });
           
           // Give content script time to initialize
@@ -1219,7 +1705,7 @@ async function extractPageContent() {
         
         await chrome.scripting.executeScript({
           target: { tabId: tab.id },
-          files: ['content.js']
+          files: ['doi-utils.js', 'identifier-utils.js', 'site-adapters.js', 'structured-data.js', 'content.js']
         });
         
         await new Promise(resolve => setTimeout(resolve, 800));
@@ -1272,6 +1758,19 @@ async function extractPageContent() {
   }
 }
 
+/**
+ * Author line for the preview, shortened to "et al." for long author lists
+ */
+function formatPreviewAuthors(pageData) {
+  const records = pageData.authorRecords || [];
+  if (records.length <= CONFIG.MAX_PREVIEW_AUTHORS) {
+    return escapeHtml(pageData.authors);
+  }
+  
+  const names = records.slice(0, CONFIG.MAX_PREVIEW_AUTHORS).map(author => author.displayName).join(', ');
+  return `${escapeHtml(names)} et al. (${records.length} authors)`;
+}
+
 /**
  * Display content preview in popup (single tab mode)
  */
@@ -1306,7 +1805,7 @@ function displayContentPreview() {
     `;
   } else {
     meta.innerHTML = `
-      <strong>Author:</strong> ${currentPageData.authors} | 
+      <strong>Author:</strong> ${formatPreviewAuthors(currentPageData)} | 
       <strong>Domain:</strong> ${currentPageData.domain} | 
       <strong>Year:</strong> ${currentPageData.publicationYear || 'Unknown'}
     `;
@@ -1324,6 +1823,9 @@ function displayContentPreview() {
   
   if (!currentPageData.isValidContent && !currentPageData.isPDF) {
     text.innerHTML += '<div class="invalid-content">⚠️ Content may be too short for meaningful analysis</div>';
+  } else if (!currentPageData.isPDF && currentPageData.extractionConfidence < CONFIG.LOW_EXTRACTION_CONFIDENCE) {
+    const confidence = Math.round(currentPageData.extractionConfidence * 100);
+    text.innerHTML += `<div class="invalid-content">⚠️ Low extraction confidence (${confidence}%) - the text may include menus, banners or sidebars instead of the article</div>`;
   }
   
   preview.style.display = 'block';
@@ -1509,6 +2011,12 @@ async function processSelectedTabs() {
           successful++;
           successfulTabs.push({ tabId, title: result.title });
           addBatchResult(`✅ ${result.title}`, 'success');
+          if (result.retraction_warning) {
+            addBatchResult(`🚩 ${result.title}: ${result.retraction_warning}`, 'warning');
+          }
+          if (result.extraction_confidence < CONFIG.LOW_EXTRACTION_CONFIDENCE) {
+            addBatchResult(`⚠️ ${result.title}: low extraction confidence, check the saved text`, 'warning');
+          }
         } else {
           failed++;
           addBatchResult(`❌ ${result.error}`, 'error');
@@ -1585,8 +2093,9 @@ async function processSelectedTabs() {
 
 /**
  * Process content from a single tab with enhanced PDF handling
+ * options: { landingPageUrl, doi } when submitting a captured open access version
  */
-async function processTabContent(tabId, projectId, sourceType) {
+async function processTabContent(tabId, projectId, sourceType, options = {}) {
   try {
     // Check if tab still exists
     const exists = await tabExists(tabId);
@@ -1645,7 +2154,7 @@ async function processTabContent(tabId, projectId, sourceType) {
           // Content script not available, inject it
           await chrome.scripting.executeScript({
             target: { tabId: tabId },
-            files: ['content.js']
+            files: ['doi-utils.js', 'identifier-utils.js', 'site-adapters.js', 'structured-data.js', 'content.js']
           });
           
           // Give content script time to initialize
@@ -1672,50 +2181,27 @@ async function processTabContent(tabId, projectId, sourceType) {
       }
     }
     
-    try {
-      const checker = await initCopyrightChecker();
-      if (!checker) {
-        console.warn('Copyright checker unavailable for tab', tabId);
-        throw new Error('Copyright verification unavailable');
-      }
-      
-      const copyrightStatus = await checker.checkCopyright(pageData);
-      
-      if (!copyrightStatus.allowed) {
-        const reason = copyrightStatus.reason || 'Copyright restriction';
-        console.log(`❌ Tab ${tabId} blocked by copyright:`, reason);
-        throw new Error(`Copyright: ${reason}`);
-      }
-      
-      console.log(`✅ Copyright check passed for tab ${tabId}:`, copyrightStatus.reason);
-      
-    } catch (copyrightError) {
-      // Propagate copyright errors
-      throw copyrightError;
+    // Captured OA versions keep the article's DOI and the page they were found from
+    if (options.doi && !pageData.doi) {
+      pageData.doi = options.doi;
+    }
+    if (options.landingPageUrl) {
+      pageData.landingPageUrl = options.landingPageUrl;
     }
     
-    // Prepare data for the web app API
-    const payload = {
-      url: pageData.url,
-      title: pageData.title,
-      authors: pageData.authors,
-      content: pageData.content || '',
-      abstract: pageData.abstract,
-      keywords: pageData.keywords,
-      publication_year: pageData.publicationYear,
-      source_type: sourceType,
-      domain: pageData.domain,
-      extracted_at: pageData.extractedAt,
-      contentType: pageData.contentType || 'web',
-      filename: pageData.filename,
-      doi: pageData.doi // Include DOI
-    };
+    const { result: copyrightStatus } = await requestCopyrightCheck(tabId, pageData, { projectId });
     
-    // For PDFs that require backend processing
-    if (pageData.requiresBackendProcessing) {
-      payload.requiresBackendProcessing = true;
+    if (!copyrightStatus.allowed) {
+      const reason = copyrightStatus.reason || 'Copyright restriction';
+      console.log(`❌ Tab ${tabId} blocked by copyright:`, reason);
+      throw new Error(`Copyright: ${reason}`);
     }
     
+    console.log(`✅ Copyright check passed for tab ${tabId}:`, copyrightStatus.reason);
+    
+    // Prepare data for the web app API
+    const payload = buildContentPayload(pageData, sourceType, copyrightStatus);
+    
     // Make API request with session authentication
     const apiResponse = await apiRequest(`${CONFIG.APP_BASE_URL}/api/project/${projectId}/add_web_content`, {
       method: 'POST',
@@ -1729,7 +2215,9 @@ async function processTabContent(tabId, projectId, sourceType) {
       return {
         success: true,
         title: pageData.title,
-        relevance_score: apiResponse.relevance_score
+        relevance_score: apiResponse.relevance_score,
+        retraction_warning: copyrightStatus.retraction_warning || null,
+        extraction_confidence: pageData.extractionConfidence
       };
     } else {
       throw new Error(apiResponse.error || 'Unknown error occurred');
@@ -1754,6 +2242,103 @@ async function processTabContent(tabId, projectId, sourceType) {
   }
 }
 
+/**
+ * Copy an object with its camelCase keys converted to the web app's snake_case
+ */
+function toSnakeCaseKeys(object) {
+  return Object.fromEntries(
+    Object.entries(object).map(([key, value]) => [key.replace(/[A-Z]/g, char => `_${char.toLowerCase()}`), value])
+  );
+}
+
+/**
+ * Build the add_web_content payload from extracted page data and its copyright status
+ */
+function buildContentPayload(pageData, sourceType, copyrightStatus) {
+  const payload = {
+    url: pageData.url,
+    title: pageData.title,
+    authors: pageData.authors,
+    content: pageData.content || '',
+    abstract: pageData.abstract,
+    keywords: pageData.keywords,
+    publication_year: pageData.publicationYear,
+    source_type: sourceType,
+    domain: pageData.domain,
+    extracted_at: pageData.extractedAt,
+    contentType: pageData.contentType || 'web',
+    filename: pageData.filename,
+    extraction_confidence: pageData.extractionConfidence ?? null,
+    doi: (self.doiUtils && self.doiUtils.normalizeDOI(pageData.doi)) || copyrightStatus?.doi || null
+  };
+  
+  // License and version chosen by the copyright policy
+  if (copyrightStatus) {
+    payload.license = copyrightStatus.license || null;
+    payload.license_category = copyrightStatus.license_category || null;
+    payload.version = copyrightStatus.version || null;
+  }
+  
+  // Retraction status so the web app can flag retracted or corrected papers
+  if (copyrightStatus?.retraction) {
+    payload.retraction_status = copyrightStatus.retraction.status;
+    payload.retraction_notices = copyrightStatus.retraction.notices;
+    if (copyrightStatus.retraction.notice_for.length > 0) {
+      payload.retraction_notice_for = copyrightStatus.retraction.notice_for;
+    }
+  }
+  
+  // Justification recorded when the user overrode a block
+  if (copyrightStatus?.override) {
+    payload.copyright_override = copyrightStatus.override;
+  }
+  
+  // Non-DOI identifiers (PMID, PMCID, arXiv, ISBN, Handle, HAL) from the page and the checker
+  const identifiers = { ...copyrightStatus?.identifiers, ...pageData.identifiers };
+  if (Object.keys(identifiers).length > 0) {
+    payload.identifiers = identifiers;
+  }
+  
+  // Bibliographic record from the page's scholarly meta tags (container title, volume, pages, ISSN ...)
+  if (pageData.bibliographic && Object.keys(pageData.bibliographic).length > 0) {
+    payload.bibliographic = toSnakeCaseKeys(pageData.bibliographic);
+  }
+  
+  // Full author list with names, ORCID iDs, affiliations and corresponding-author flags
+  // ("authors" stays the comma-separated string for older web app versions)
+  if (pageData.authorRecords?.length > 0) {
+    payload.author_records = pageData.authorRecords.map(toSnakeCaseKeys);
+  }
+  
+  // License and article type declared in the page's Schema.org structured data
+  if (pageData.declaredLicense) {
+    payload.declared_license = pageData.declaredLicense;
+  }
+  if (pageData.structuredDataType) {
+    payload.structured_data_type = pageData.structuredDataType;
+  }
+  
+  // Publisher site adapter that read the page and the PDF link it found
+  if (pageData.siteAdapter) {
+    payload.site_adapter = pageData.siteAdapter;
+  }
+  if (pageData.pdfUrl) {
+    payload.pdf_url = pageData.pdfUrl;
+  }
+  
+  // Article page the submitted OA version was reached from
+  if (pageData.landingPageUrl) {
+    payload.landing_page_url = pageData.landingPageUrl;
+  }
+  
+  // For PDFs that require backend processing
+  if (pageData.requiresBackendProcessing) {
+    payload.requiresBackendProcessing = true;
+  }
+  
+  return payload;
+}
+
 /**
  * Add result to batch results display
  */
@@ -1824,7 +2409,7 @@ async function addToProject() {
   
   // USE CACHED COPYRIGHT STATUS - don't check again
   if (currentCopyrightStatus && !currentCopyrightStatus.allowed) {
-    showStatus('Cannot add: ' + currentCopyrightStatus.reason, 'error');
+    showStatus('Cannot add: ' + escapeHtml(currentCopyrightStatus.reason), 'error');
     return;
   }
   
@@ -1856,6 +2441,17 @@ async function addToProject() {
     }
   }
   
+  // Retracted, withdrawn and flagged papers need an explicit confirmation
+  const retraction = currentCopyrightStatus.retraction;
+  if (retraction && RETRACTION_CONFIRM_STATUSES.includes(retraction.status)) {
+    const proceed = confirm(
+      `🚩 ${currentCopyrightStatus.retraction_warning}\n\nThe web app will flag it in your project. Add it anyway?`
+    );
+    if (!proceed) {
+      return;
+    }
+  }
+  
   isProcessing = true;
   currentRequestId = requestId;
   addButton.disabled = true;
@@ -1874,25 +2470,7 @@ async function addToProject() {
       throw new Error('Tab no longer exists');
     }
     
-    const payload = {
-      url: currentPageData.url,
-      title: currentPageData.title,
-      authors: currentPageData.authors,
-      content: currentPageData.content || '',
-      abstract: currentPageData.abstract,
-      keywords: currentPageData.keywords,
-      publication_year: currentPageData.publicationYear,
-      source_type: sourceType,
-      domain: currentPageData.domain,
-      extracted_at: currentPageData.extractedAt,
-      contentType: currentPageData.contentType || 'web',
-      filename: currentPageData.filename,
-      doi: currentPageData.doi
-    };
-    
-    if (currentPageData.requiresBackendProcessing) {
-      payload.requiresBackendProcessing = true;
-    }
+    const payload = buildContentPayload(currentPageData, sourceType, currentCopyrightStatus);
     
     const response = await apiRequest(`${CONFIG.APP_BASE_URL}/api/project/${projectId}/add_web_content`, {
       method: 'POST',
@@ -2046,12 +2624,6 @@ async function initialize() {
   // Load extension settings first
   await loadExtensionSettings();
   
-  // Load copyright checker in background while other init happens
-  initCopyrightChecker().catch(error => {
-    console.warn('Failed to preload copyright checker:', error);
-    // Non-fatal, will try again when needed
-  });
-  
   // Set initial login status indicator
   const loginStatusEl = document.getElementById('login-status');
   if (loginStatusEl) {
@@ -2109,6 +2681,15 @@ function setupEventListeners() {
   
   document.getElementById('project-select')?.addEventListener('change', updateSingleTabUI);
   
+  // Copyright override form
+  document.getElementById('confirm-override')?.addEventListener('click', confirmOverride);
+  document.getElementById('cancel-override')?.addEventListener('click', hideOverridePanel);
+  
+  // Excerpt mode for blocked content
+  document.getElementById('excerpt-text')?.addEventListener('input', updateExcerptWordCount);
+  document.getElementById('save-excerpt')?.addEventListener('click', saveExcerpt);
+  document.getElementById('cancel-excerpt')?.addEventListener('click', hideExcerptPanel);
+  
   // Multi-tab mode events
   document.getElementById('select-all-tabs')?.addEventListener('click', () => selectTabs('all'));
   document.getElementById('select-none-tabs')?.addEventListener('click', () => selectTabs('none'));
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+/**
+ * Uzei - Literature Review Extension
+ * Domain list signing tool
+ * 
+ * Creates the release key pair and signs academic_dblist.json for dblist-updater.js:
+ *   node scripts/sign-dblist.js keygen <private-key.pem>
+ *       Create a P-256 key pair; the private key is written (mode 600) to the given file and the
+ *       public JWK to paste into DBLIST_UPDATER_CONFIG.PUBLIC_KEY is printed
+ *   node scripts/sign-dblist.js public-key <private-key.pem>
+ *       Print the public JWK of an existing private key
+ *   node scripts/sign-dblist.js sign <academic_dblist.json> <private-key.pem>
+ *       Write the base64 signature to <academic_dblist.json>.sig
+ * 
+ * The signature covers the exact bytes of the list file, so publish the file as signed.
+ */
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+
+/**
+ * Create a P-256 key pair; returns { privateKeyPem, publicJwk }
+ */
+function generateSigningKey() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  return {
+    privateKeyPem: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    publicJwk: toPublicJwk(publicKey)
+  };
+}
+
+/**
+ * Public JWK in the form dblist-updater.js expects ({ kty, crv, x, y })
+ */
+function toPublicJwk(key) {
+  const publicKey = key instanceof crypto.KeyObject && key.type === 'public' ? key : crypto.createPublicKey(key);
+  const { kty, crv, x, y } = publicKey.export({ format: 'jwk' });
+  return { kty, crv, x, y };
+}
+
+/**
+ * Sign the list text; returns the base64 DER signature written to the .sig file
+ */
+function signList(text, privateKeyPem) {
+  return crypto.sign('sha256', Buffer.from(text), privateKeyPem).toString('base64');
+}
+
+function main([command, ...args]) {
+  if (command === 'keygen' && args[0]) {
+    if (fs.existsSync(args[0])) {
+      throw new Error(`${args[0]} already exists - refusing to overwrite a signing key`);
+    }
+    const { privateKeyPem, publicJwk } = generateSigningKey();
+    fs.writeFileSync(args[0], privateKeyPem, { mode: 0o600 });
+    console.log(`Private key written to ${args[0]} - keep it out of the repository.`);
+    console.log('Public key for DBLIST_UPDATER_CONFIG.PUBLIC_KEY:');
+    console.log(JSON.stringify(publicJwk, null, 2));
+  } else if (command === 'public-key' && args[0]) {
+    console.log(JSON.stringify(toPublicJwk(fs.readFileSync(args[0], 'utf8')), null, 2));
+  } else if (command === 'sign' && args[1]) {
+    const signature = signList(fs.readFileSync(args[0]), fs.readFileSync(args[1], 'utf8'));
+    fs.writeFileSync(`${args[0]}.sig`, `${signature}\n`);
+    console.log(`Signature written to ${args[0]}.sig`);
+  } else {
+    console.error('Usage: sign-dblist.js keygen <private-key.pem> | public-key <private-key.pem> | sign <list.json> <private-key.pem>');
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  try {
+    main(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { generateSigningKey, toPublicJwk, signList };
@@ -0,0 +1,412 @@
+/**
+ * Uzei - Literature Review Extension
+ * Site Adapters Module
+ * 
+ * Publisher-specific extraction rules used by the content script before the generic extractors:
+ * 1. A registry of adapters matched by hostname and URL path
+ * 2. Declarative field specs (selectors, attributes, patterns) for title, authors with
+ *    affiliations, abstract, full-text sections, keywords, DOI, date and PDF link
+ * 3. Saved HTML fixtures (fixtures/site-adapters) each adapter is checked against
+ * 
+ * Field specs:
+ * - 'selector'                        text of the first match
+ * - { selector, attribute }           attribute value instead of text (href, content ...)
+ * - { selector, strip, pattern }      text with `strip` removed / capture group 1 of `pattern`
+ * - { selector, split } / { join }    split one value into a list / join all matches into one value
+ * - { selector, ref, refText }        follow "#id" references in the attribute `ref` (lists only)
+ * - [spec, spec]                      first spec that yields a value
+ * 
+ * Authors are { item, name, affiliations, orcid, email, corresponding } (specs relative to each author
+ * item; `corresponding` is a selector that marks the corresponding author), sections are { item, heading, body }.
+ * 
+ * A new publisher only needs an entry in SITE_ADAPTERS and a fixture; fields it leaves out
+ * fall back to the generic extractors in content.js.
+ */
+
+const SITE_ADAPTERS = [
+  {
+    id: 'ieee',
+    name: 'IEEE Xplore',
+    hosts: ['ieeexplore.ieee.org'],
+    paths: /^\/(?:abstract\/)?document\/\d+/,
+    fixture: 'fixtures/site-adapters/ieee.html',
+    fields: {
+      title: 'h1.document-title',
+      authors: [
+        {
+          item: '.authors-accordion-container .author-card',
+          name: '.author-card-name a',
+          affiliations: '.author-card-affiliation',
+          orcid: { selector: 'a[href*="orcid.org"]', attribute: 'href' }
+        },
+        {
+          item: '.authors-info-container .authors-info',
+          name: '.blue-tooltip a'
+        }
+      ],
+      abstract: '.abstract-text div[xplmathjax]',
+      sections: { item: '#article > .section', heading: '.header h2', body: 'p' },
+      keywords: '.doc-keywords-list-item a.stats-keywords-list-item',
+      doi: { selector: '.stats-document-abstract-doi a', attribute: 'href' },
+      date: { selector: '.doc-abstract-pubdate', strip: /^\s*Date of Publication:\s*/i },
+      pdfUrl: { selector: 'a.pdf-btn-link', attribute: 'href' }
+    }
+  },
+  {
+    id: 'sciencedirect',
+    name: 'ScienceDirect',
+    hosts: ['sciencedirect.com'],
+    paths: /^\/science\/article\//,
+    fixture: 'fixtures/site-adapters/sciencedirect.html',
+    fields: {
+      title: 'h1 .title-text',
+      authors: {
+        item: '#author-group .author',
+        name: { selector: '.given-name, .surname', join: ' ' },
+        affiliations: { selector: 'sup a[href^="#aff"]', ref: 'href', refText: 'dd' },
+        email: { selector: 'a[href^="mailto:"]', attribute: 'href' },
+        corresponding: 'a[href^="#cor"]'
+      },
+      abstract: '.abstract.author > div',
+      sections: { item: '#body > div > section', heading: 'h2', body: 'p' },
+      keywords: '.keywords-section .keyword span',
+      doi: { selector: 'a.doi', attribute: 'href' },
+      date: { selector: '.publication-volume .text-xs', pattern: /(\d{1,2}\s+\w+\s+\d{4}|\w+\s+\d{4})\s*$/ },
+      pdfUrl: { selector: '.pdf-download-btn-link, a.link-button[href*="/pdfft"]', attribute: 'href' }
+    }
+  },
+  {
+    id: 'acm',
+    name: 'ACM Digital Library',
+    hosts: ['dl.acm.org'],
+    paths: /^\/doi\/(?:abs\/|full\/|fullHtml\/)?10\./,
+    fixture: 'fixtures/site-adapters/acm.html',
+    fields: {
+      title: 'h1.citation__title',
+      authors: {
+        item: '.loa .loa__item',
+        name: '.loa__author-name',
+        affiliations: '.loa_author_inst p',
+        orcid: { selector: 'a[href*="orcid.org"]', attribute: 'href' }
+      },
+      abstract: '.abstractSection',
+      sections: { item: '.article__body > section', heading: 'h2', body: 'p' },
+      keywords: '.tags-widget__content a',
+      doi: { selector: 'a.issue-item__doi', attribute: 'href' },
+      date: '.CitationCoverDate',
+      pdfUrl: { selector: 'a[href^="/doi/pdf/"]', attribute: 'href' }
+    }
+  },
+  {
+    id: 'arxiv',
+    name: 'arXiv',
+    hosts: ['arxiv.org'],
+    paths: /^\/abs\//,
+    fixture: 'fixtures/site-adapters/arxiv.html',
+    fields: {
+      title: { selector: 'h1.title', strip: /^\s*Title:\s*/i },
+      authors: { item: '.authors a' },
+      abstract: { selector: 'blockquote.abstract', strip: /^\s*Abstract:\s*/i },
+      keywords: { selector: 'td.subjects', split: /;\s*/ },
+      doi: [
+        { selector: 'td.doi a', attribute: 'href' },
+        { selector: 'a#arxiv-doi-link', attribute: 'href' }
+      ],
+      date: { selector: '.dateline', pattern: /Submitted on\s+([^(\]]+?)\s*(?:\(|\])/i },
+      pdfUrl: { selector: 'a.download-pdf', attribute: 'href' }
+    }
+  },
+  {
+    id: 'pubmed',
+    name: 'PubMed',
+    hosts: ['pubmed.ncbi.nlm.nih.gov'],
+    paths: /^\/\d+\/?$/,
+    fixture: 'fixtures/site-adapters/pubmed.html',
+    fields: {
+      title: 'h1.heading-title',
+      authors: {
+        item: '.inline-authors .authors-list-item',
+        name: '.full-name',
+        affiliations: { selector: 'a.affiliation-link', attribute: 'title' }
+      },
+      abstract: '#eng-abstract',
+      keywords: { selector: '#abstract .keywords p', strip: /^\s*Keywords:\s*|\.$/gi, split: /;\s*/ },
+      doi: { selector: '.identifiers .doi a.id-link', attribute: 'href' },
+      date: { selector: '.article-source .cit', pattern: /^(\d{4}(?:\s+\w{3})?(?:\s+\d{1,2})?)/ }
+    }
+  },
+  {
+    id: 'springer-nature',
+    name: 'Springer Nature',
+    hosts: ['link.springer.com', 'nature.com', 'biomedcentral.com'],
+    paths: /^\/(?:article|articles|chapter)\//,
+    fixture: 'fixtures/site-adapters/springer.html',
+    fields: {
+      title: 'h1.c-article-title',
+      authors: {
+        item: '.c-article-author-list .c-article-author-list__item',
+        name: 'a[data-test="author-name"]',
+        affiliations: { selector: 'sup a[href^="#Aff"]', ref: 'href', refText: '.c-article-author-affiliation__address' },
+        orcid: { selector: 'a.js-orcid, a[href*="orcid.org"]', attribute: 'href' },
+        corresponding: 'a[data-corresp-id]'
+      },
+      abstract: '#Abs1-content',
+      sections: { item: '.c-article-body section[data-title]', heading: 'h2', body: 'p' },
+      keywords: '.c-article-subject-list__subject',
+      doi: { selector: '.c-bibliographic-information__value a[href*="doi.org"]', attribute: 'href' },
+      date: { selector: '.c-article-identifiers time[datetime]', attribute: 'datetime' },
+      pdfUrl: { selector: 'a.c-pdf-download__link', attribute: 'href' }
+    }
+  }
+];
+
+/**
+ * Add a site adapter at runtime (adapters registered later take precedence)
+ */
+function registerSiteAdapter(adapter) {
+  if (!adapter || !adapter.id || !Array.isArray(adapter.hosts) || !adapter.fields) {
+    throw new Error('Site adapters need an id, a hosts array and fields');
+  }
+  
+  const existing = SITE_ADAPTERS.findIndex(entry => entry.id === adapter.id);
+  if (existing !== -1) {
+    SITE_ADAPTERS.splice(existing, 1);
+  }
+  SITE_ADAPTERS.unshift(adapter);
+}
+
+/**
+ * Find the adapter for a URL (hostname equal to or a subdomain of one of its hosts, path matching `paths`)
+ */
+function findSiteAdapter(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+  
+  const host = parsed.hostname.toLowerCase();
+  
+  return SITE_ADAPTERS.find(adapter =>
+    adapter.hosts.some(entry => host === entry || host.endsWith(`.${entry}`)) &&
+    (!adapter.paths || adapter.paths.test(parsed.pathname))
+  ) || null;
+}
+
+/**
+ * Look up an adapter by id
+ */
+function getSiteAdapter(id) {
+  return SITE_ADAPTERS.find(adapter => adapter.id === id) || null;
+}
+
+/**
+ * Collapse whitespace in an element's text
+ */
+function textOf(element) {
+  return element ? (element.textContent || '').replace(/\s+/g, ' ').trim() : '';
+}
+
+/**
+ * Apply the strip / pattern options of a spec to a raw value
+ */
+function cleanSpecValue(value, spec) {
+  let cleaned = (value || '').replace(/\s+/g, ' ').trim();
+  
+  if (spec.strip) {
+    cleaned = cleaned.replace(spec.strip, '').trim();
+  }
+  
+  if (spec.pattern) {
+    const match = cleaned.match(spec.pattern);
+    cleaned = match ? (match[1] || match[0]).trim() : '';
+  }
+  
+  return cleaned;
+}
+
+/**
+ * Read the value of one element for a spec (attribute, or text)
+ */
+function readSpecElement(element, spec) {
+  return cleanSpecValue(spec.attribute ? element.getAttribute(spec.attribute) : textOf(element), spec);
+}
+
+/**
+ * Follow "#id" references held in an attribute to the elements they point at
+ */
+function readSpecReferences(element, spec, root) {
+  const doc = root.ownerDocument || root;
+  
+  return (element.getAttribute(spec.ref) || '')
+    .split(/\s+/)
+    .map(id => id.replace(/^.*#/, ''))
+    .filter(Boolean)
+    .map(id => doc.getElementById(id))
+    .filter(Boolean)
+    .map(target => cleanSpecValue(textOf(spec.refText ? target.querySelector(spec.refText) || target : target), spec));
+}
+
+/**
+ * Resolve a spec to a single string (empty string when nothing matches)
+ */
+function resolveFieldSpec(spec, root) {
+  if (!spec) return '';
+  
+  for (const entry of Array.isArray(spec) ? spec : [spec]) {
+    const options = typeof entry === 'string' ? { selector: entry } : entry;
+    
+    try {
+      if (options.join) {
+        const value = resolveListSpec({ ...options, join: null }, root).join(options.join);
+        if (value) return value;
+        continue;
+      }
+      
+      const elements = options.selector ? root.querySelectorAll(options.selector) : [root];
+      for (const element of elements) {
+        const value = readSpecElement(element, options);
+        if (value) return value;
+      }
+    } catch (error) {
+      console.warn(`Site adapter selector failed: ${options.selector}`, error);
+    }
+  }
+  
+  return '';
+}
+
+/**
+ * Resolve a spec to a list of unique strings (all matches of the first spec that yields any)
+ */
+function resolveListSpec(spec, root) {
+  if (!spec) return [];
+  
+  for (const entry of Array.isArray(spec) ? spec : [spec]) {
+    const options = typeof entry === 'string' ? { selector: entry } : entry;
+    const values = [];
+    
+    try {
+      const elements = options.selector ? root.querySelectorAll(options.selector) : [root];
+      elements.forEach(element => {
+        if (options.ref) {
+          values.push(...readSpecReferences(element, options, root));
+        } else if (options.split) {
+          values.push(...readSpecElement(element, options).split(options.split).map(value => value.trim()));
+        } else {
+          values.push(readSpecElement(element, options));
+        }
+      });
+    } catch (error) {
+      console.warn(`Site adapter selector failed: ${options.selector}`, error);
+    }
+    
+    const unique = [...new Set(values.filter(Boolean))];
+    if (unique.length > 0) return unique;
+  }
+  
+  return [];
+}
+
+/**
+ * Resolve an authors spec to [{ name, affiliations, orcid, email, corresponding }] in page order
+ */
+function resolveAuthors(spec, root) {
+  for (const entry of Array.isArray(spec) ? spec : [spec]) {
+    if (!entry || !entry.item) continue;
+    
+    const authors = [];
+    try {
+      root.querySelectorAll(entry.item).forEach(item => {
+        const name = entry.name ? resolveFieldSpec(entry.name, item) : textOf(item);
+        if (!name) return;
+        
+        // Affiliation selectors run within the author item, `ref` links are followed across the page
+        authors.push({
+          name,
+          affiliations: resolveListSpec(entry.affiliations, item),
+          orcid: resolveFieldSpec(entry.orcid, item) || null,
+          email: resolveFieldSpec(entry.email, item).replace(/^mailto:/i, '') || null,
+          corresponding: Boolean(entry.corresponding && (item.matches(entry.corresponding) || item.querySelector(entry.corresponding)))
+        });
+      });
+    } catch (error) {
+      console.warn(`Site adapter author selector failed: ${entry.item}`, error);
+    }
+    
+    if (authors.length > 0) return authors;
+  }
+  
+  return [];
+}
+
+/**
+ * Resolve section specs to [{ heading, text }]
+ */
+function resolveSections(spec, root) {
+  if (!spec || !spec.item) return [];
+  
+  const sections = [];
+  try {
+    root.querySelectorAll(spec.item).forEach(item => {
+      const heading = spec.heading ? resolveFieldSpec(spec.heading, item) : '';
+      const text = spec.body
+        ? resolveListSpec(spec.body, item).join(' ')
+        : textOf(item);
+      
+      if (text) {
+        sections.push({ heading, text });
+      }
+    });
+  } catch (error) {
+    console.warn(`Site adapter section selector failed: ${spec.item}`, error);
+  }
+  
+  return sections;
+}
+
+/**
+ * Turn a relative link into an absolute URL against the page
+ */
+function resolveLink(value, root) {
+  if (!value) return '';
+  
+  try {
+    const doc = root.ownerDocument || root;
+    return new URL(value, doc.baseURI).href;
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Run an adapter against a document and return the fields it found.
+ * Missing fields are empty so callers can fall back to the generic extractors.
+ */
+function runSiteAdapter(adapter, root = document) {
+  const fields = adapter.fields || {};
+  
+  return {
+    adapter: adapter.id,
+    title: resolveFieldSpec(fields.title, root),
+    authors: resolveAuthors(fields.authors, root),
+    abstract: resolveFieldSpec(fields.abstract, root),
+    sections: resolveSections(fields.sections, root),
+    keywords: resolveListSpec(fields.keywords, root),
+    doi: resolveFieldSpec(fields.doi, root),
+    date: resolveFieldSpec(fields.date, root),
+    pdfUrl: resolveLink(resolveFieldSpec(fields.pdfUrl, root), root)
+  };
+}
+
+// Export functions for use in other scripts (content script)
+if (typeof self !== 'undefined') {
+  self.siteAdapters = {
+    SITE_ADAPTERS,
+    registerSiteAdapter,
+    findSiteAdapter,
+    getSiteAdapter,
+    runSiteAdapter
+  };
+}
@@ -0,0 +1,383 @@
+/**
+ * Uzei - Literature Review Extension
+ * Structured Data Module
+ * 
+ * Reads the Schema.org article model published by news sites, blogs and repositories:
+ * 1. JSON-LD blocks, including @graph arrays and nested objects
+ * 2. Microdata (itemscope / itemprop), converted to the same JSON-LD shape
+ * 3. @id references resolved across all blocks on the page
+ * 4. The main article node (ScholarlyArticle, NewsArticle, BlogPosting ...) reduced to
+ *    title, authors, dates, publisher, container, license, keywords and DOI
+ */
+
+const STRUCTURED_DATA_CONFIG = {
+  // Article-like types, most specific first (a page's mainEntity always wins)
+  ARTICLE_TYPES: [
+    'ScholarlyArticle', 'MedicalScholarlyArticle', 'NewsArticle', 'AnalysisNewsArticle',
+    'ReportageNewsArticle', 'OpinionNewsArticle', 'BackgroundNewsArticle', 'ReviewNewsArticle',
+    'BlogPosting', 'LiveBlogPosting', 'TechArticle', 'Report', 'Thesis', 'Chapter', 'Article',
+    'SocialMediaPosting', 'Book', 'CreativeWork'
+  ],
+  
+  // Containers walked through isPartOf (issue → volume → journal)
+  MAX_CONTAINER_DEPTH: 4
+};
+
+/**
+ * Wrap a value in an array (null and undefined become an empty array)
+ */
+function toArray(value) {
+  if (value === null || value === undefined) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Short type names of a node ("http://schema.org/NewsArticle" and "schema:NewsArticle" become "NewsArticle")
+ */
+function getNodeTypes(node) {
+  return toArray(node && (node['@type'] || node.type))
+    .filter(type => typeof type === 'string')
+    .map(type => type.replace(/^.*[/#:]/, ''));
+}
+
+/**
+ * Plain text of a property value (strings, numbers, { @value } and named objects)
+ */
+function getTextValue(value) {
+  const first = toArray(value)[0];
+  if (first === null || first === undefined) return '';
+  if (typeof first === 'string' || typeof first === 'number') return String(first).replace(/\s+/g, ' ').trim();
+  if (typeof first === 'object') return getTextValue(first['@value'] ?? first.name ?? first.value ?? '');
+  return '';
+}
+
+/**
+ * Collect every node of a JSON-LD value (arrays, @graph, nested objects) into `nodes`
+ */
+function collectJsonLdNodes(value, nodes) {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectJsonLdNodes(item, nodes));
+    return;
+  }
+  if (!value || typeof value !== 'object') return;
+  
+  if (value['@type'] || value['@id']) {
+    nodes.push(value);
+  }
+  
+  Object.entries(value).forEach(([key, child]) => {
+    if (key !== '@context' && child && typeof child === 'object') {
+      collectJsonLdNodes(child, nodes);
+    }
+  });
+}
+
+/**
+ * Parse all JSON-LD blocks of a document into a flat node list (invalid blocks are skipped)
+ */
+function parseJsonLd(root = document) {
+  const nodes = [];
+  
+  root.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+    try {
+      collectJsonLdNodes(JSON.parse(script.textContent), nodes);
+    } catch (error) {
+      console.warn('Skipping invalid JSON-LD block:', error.message);
+    }
+  });
+  
+  return nodes;
+}
+
+/**
+ * Value of one microdata property element (nested items become objects)
+ */
+function getMicrodataValue(element) {
+  if (element.hasAttribute('itemscope')) {
+    return microdataItemToNode(element);
+  }
+  
+  const tag = element.tagName.toLowerCase();
+  if (tag === 'meta') return element.getAttribute('content') || '';
+  if (['a', 'area', 'link'].includes(tag)) return element.href || element.getAttribute('href') || '';
+  if (['img', 'audio', 'video', 'source', 'iframe', 'embed', 'track'].includes(tag)) return element.src || element.getAttribute('src') || '';
+  if (tag === 'object') return element.getAttribute('data') || '';
+  if (tag === 'time') return element.getAttribute('datetime') || element.textContent.trim();
+  if (['data', 'meter'].includes(tag)) return element.getAttribute('value') || '';
+  if (element.hasAttribute('content')) return element.getAttribute('content');
+  
+  return (element.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Convert a microdata item to a JSON-LD-shaped node; properties with several values become arrays
+ */
+function microdataItemToNode(item) {
+  const node = {};
+  
+  const types = (item.getAttribute('itemtype') || '').split(/\s+/).filter(Boolean);
+  if (types.length > 0) node['@type'] = types.length === 1 ? types[0] : types;
+  if (item.getAttribute('itemid')) node['@id'] = item.getAttribute('itemid');
+  
+  item.querySelectorAll('[itemprop]').forEach(element => {
+    // Properties of nested items belong to those items
+    if (element.parentElement?.closest('[itemscope]') !== item) return;
+    
+    const value = getMicrodataValue(element);
+    (element.getAttribute('itemprop') || '').split(/\s+/).filter(Boolean).forEach(name => {
+      if (node[name] === undefined) {
+        node[name] = value;
+      } else {
+        node[name] = [...toArray(node[name]), value];
+      }
+    });
+  });
+  
+  return node;
+}
+
+/**
+ * Parse the top-level microdata items of a document (nested items are collected too)
+ */
+function parseMicrodata(root = document) {
+  const nodes = [];
+  
+  root.querySelectorAll('[itemscope]').forEach(item => {
+    if (item.hasAttribute('itemprop')) return;
+    collectJsonLdNodes(microdataItemToNode(item), nodes);
+  });
+  
+  return nodes;
+}
+
+/**
+ * All structured-data nodes on the page with an @id index for reference resolution
+ */
+function collectStructuredData(root = document) {
+  const nodes = [...parseJsonLd(root), ...parseMicrodata(root)];
+  const index = new Map();
+  
+  // The fullest node for an @id wins (references are often bare { "@id": ... } objects)
+  nodes.forEach(node => {
+    const id = node['@id'];
+    if (typeof id === 'string' && (!index.has(id) || Object.keys(node).length > Object.keys(index.get(id)).length)) {
+      index.set(id, node);
+    }
+  });
+  
+  return { nodes, index };
+}
+
+/**
+ * Resolve a bare { "@id": ... } reference (or an id string) to its node
+ */
+function resolveReference(value, index) {
+  if (typeof value === 'string') return index.get(value) || value;
+  if (value && typeof value === 'object' && value['@id'] && index.has(value['@id'])) {
+    const target = index.get(value['@id']);
+    return Object.keys(target).length >= Object.keys(value).length ? target : value;
+  }
+  return value;
+}
+
+/**
+ * Pick the main article node: the mainEntity of a WebPage, else the most specific article type
+ */
+function findArticleNode(nodes, index) {
+  const isArticle = node => getNodeTypes(node).some(type => STRUCTURED_DATA_CONFIG.ARTICLE_TYPES.includes(type));
+  
+  for (const node of nodes) {
+    if (!getNodeTypes(node).some(type => /WebPage$/.test(type))) continue;
+    const mainEntity = resolveReference(toArray(node.mainEntity)[0], index);
+    if (mainEntity && typeof mainEntity === 'object' && isArticle(mainEntity)) return mainEntity;
+  }
+  
+  for (const type of STRUCTURED_DATA_CONFIG.ARTICLE_TYPES) {
+    const match = nodes.find(node => getNodeTypes(node).includes(type) && (node.headline || node.name));
+    if (match) return match;
+  }
+  
+  return null;
+}
+
+/**
+ * Find an ORCID iD in a person's @id, identifier, sameAs or url
+ */
+function findOrcid(person) {
+  const candidates = [person['@id'], person.url, ...toArray(person.sameAs), ...toArray(person.identifier)]
+    .map(value => typeof value === 'object' && value ? (value.value || value['@value'] || value['@id'] || '') : value)
+    .filter(value => typeof value === 'string');
+  
+  for (const value of candidates) {
+    const orcid = self.identifierUtils.normalizeORCID(value);
+    if (orcid && (/orcid/i.test(value) || value.trim().length <= 19)) return orcid;
+  }
+  
+  return null;
+}
+
+/**
+ * Convert author / creator values to [{ name, givenName, familyName, orcid, email, affiliations, type }]
+ */
+function buildAuthors(values, index) {
+  return values
+    .map(value => resolveReference(value, index))
+    .map(author => {
+      if (typeof author === 'string') {
+        return {
+          name: author.replace(/\s+/g, ' ').trim(),
+          givenName: '',
+          familyName: '',
+          orcid: null,
+          email: '',
+          affiliations: [],
+          type: 'Person'
+        };
+      }
+      if (!author || typeof author !== 'object') return null;
+      
+      const givenName = getTextValue(author.givenName);
+      const familyName = getTextValue(author.familyName);
+      
+      return {
+        name: getTextValue(author.name) || [givenName, familyName].filter(Boolean).join(' '),
+        givenName,
+        familyName,
+        orcid: findOrcid(author),
+        email: getTextValue(author.email).replace(/^mailto:/i, ''),
+        affiliations: toArray(author.affiliation)
+          .map(affiliation => getTextValue(resolveReference(affiliation, index)))
+          .filter(Boolean),
+        type: getNodeTypes(author)[0] || 'Person'
+      };
+    })
+    .filter(author => author && author.name);
+}
+
+/**
+ * Split keywords given as a comma / semicolon separated string, an array or DefinedTerm objects
+ */
+function buildKeywords(value) {
+  return [...new Set(toArray(value)
+    .flatMap(keyword => typeof keyword === 'string' ? keyword.split(/[,;]/) : [getTextValue(keyword)])
+    .map(keyword => keyword.replace(/\s+/g, ' ').trim())
+    .filter(Boolean))];
+}
+
+/**
+ * Walk isPartOf (PublicationIssue → PublicationVolume → Periodical) for the container fields
+ */
+function buildContainer(article, index) {
+  const container = {};
+  let node = resolveReference(toArray(article.isPartOf)[0], index);
+  
+  for (let depth = 0; depth < STRUCTURED_DATA_CONFIG.MAX_CONTAINER_DEPTH && node && typeof node === 'object'; depth++) {
+    const types = getNodeTypes(node);
+    
+    if (types.includes('PublicationIssue') && !container.issue) {
+      container.issue = getTextValue(node.issueNumber);
+    } else if (types.includes('PublicationVolume') && !container.volume) {
+      container.volume = getTextValue(node.volumeNumber);
+    } else if (!container.title) {
+      container.title = getTextValue(node.name) || getTextValue(node.headline);
+    }
+    if (node.issn && !container.issn) {
+      container.issn = toArray(node.issn).map(getTextValue).filter(Boolean);
+    }
+    
+    node = resolveReference(toArray(node.isPartOf)[0], index);
+  }
+  
+  Object.keys(container).forEach(key => {
+    if (!container[key] || container[key].length === 0) delete container[key];
+  });
+  
+  return container;
+}
+
+/**
+ * DOI of a node from its identifier, sameAs, @id or url
+ */
+function findNodeDOI(node) {
+  const { normalizeDOI, extractDOIFromUrl } = self.doiUtils;
+  
+  for (const identifier of toArray(node.identifier)) {
+    if (typeof identifier === 'string' && normalizeDOI(identifier)) return normalizeDOI(identifier);
+    if (identifier && typeof identifier === 'object') {
+      const value = identifier.value || identifier['@value'] || identifier['@id'];
+      if (typeof value === 'string' && normalizeDOI(value)) return normalizeDOI(value);
+    }
+  }
+  
+  if (typeof node.doi === 'string' && normalizeDOI(node.doi)) {
+    return normalizeDOI(node.doi);
+  }
+  
+  for (const link of [node['@id'], node.url, ...toArray(node.sameAs)]) {
+    if (typeof link === 'string' && /doi\.org\//i.test(link)) {
+      const doi = extractDOIFromUrl(link);
+      if (doi) return doi;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * First DOI found in any structured-data node on the page
+ */
+function findStructuredDataDOI(root = document) {
+  const { nodes, index } = collectStructuredData(root);
+  const article = findArticleNode(nodes, index);
+  
+  for (const node of article ? [article, ...nodes] : nodes) {
+    const doi = findNodeDOI(node);
+    if (doi) return doi;
+  }
+  
+  return null;
+}
+
+/**
+ * Build the article model from the page's JSON-LD and microdata (null when there is no article node)
+ */
+function extractArticleModel(root = document) {
+  const { nodes, index } = collectStructuredData(root);
+  const article = findArticleNode(nodes, index);
+  if (!article) return null;
+  
+  const license = resolveReference(toArray(article.license)[0], index);
+  const publisher = resolveReference(toArray(article.publisher)[0], index);
+  
+  // Most specific article type when several are given (["Article", "BlogPosting"])
+  const types = getNodeTypes(article);
+  const type = STRUCTURED_DATA_CONFIG.ARTICLE_TYPES.find(articleType => types.includes(articleType)) || types[0];
+  
+  return {
+    type,
+    title: getTextValue(article.headline) || getTextValue(article.name),
+    authors: buildAuthors([...toArray(article.author), ...toArray(article.creator)], index),
+    datePublished: getTextValue(article.datePublished) || getTextValue(article.dateCreated) || getTextValue(article.uploadDate),
+    dateModified: getTextValue(article.dateModified),
+    publisher: getTextValue(publisher),
+    container: buildContainer(article, index),
+    license: typeof license === 'object' && license ? (license.url || license['@id'] || getTextValue(license)) : getTextValue(license),
+    keywords: buildKeywords(article.keywords),
+    description: getTextValue(article.description) || getTextValue(article.abstract),
+    doi: findNodeDOI(article),
+    isAccessibleForFree: article.isAccessibleForFree === undefined
+      ? null
+      : ![false, 'false', 'False'].includes(toArray(article.isAccessibleForFree)[0])
+  };
+}
+
+// Export functions for use in other scripts (content script)
+if (typeof self !== 'undefined') {
+  self.structuredData = {
+    ARTICLE_TYPES: STRUCTURED_DATA_CONFIG.ARTICLE_TYPES,
+    parseJsonLd,
+    parseMicrodata,
+    extractArticleModel,
+    findStructuredDataDOI
+  };
+}
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const { auditLog } = loadScripts(['audit-log.js']);
+
+test('CSV export neutralises cells that spreadsheets would run as formulas', () => {
+  const csv = auditLog.exportAuditCsv([{
+    id: 1,
+    decision: 'blocked',
+    reason: '=HYPERLINK("https://evil.example","click")',
+    url: '+cmd|\' /C calc\'!A0',
+    domain: '@SUM(1+1)',
+    matched_rule: '-2+3',
+    confidence: 'high'
+  }]);
+  const row = csv.split('\r\n')[1];
+  
+  assert.ok(row.includes('"\'=HYPERLINK(""https://evil.example"",""click"")"'), row);
+  assert.ok(row.includes('\'+cmd|\' /C calc\'!A0'), row);
+  assert.ok(row.includes('\'@SUM(1+1)'), row);
+  assert.ok(row.includes('\'-2+3'), row);
+  assert.ok(row.includes(',high,'), row);
+});
+
+test('CSV export leaves ordinary values unchanged', () => {
+  const csv = auditLog.exportAuditCsv([{ id: 7, decision: 'allowed', reason: 'Open access, CC-BY' }]);
+  
+  assert.strictEqual(csv.split('\r\n')[1].split(',').slice(0, 5).join(','), '7,,allowed,,"Open access');
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createChromeStub, createFetchStub, loadScripts } = require('./helpers/load-scripts');
+
+const CHECKER_SCRIPTS = ['managed-policy.js', 'url-normalizer.js', 'doi-utils.js', 'identifier-utils.js', 'copyright-checker.js'];
+
+// Every provider reports the DOI as gold OA under CC BY
+function openAccessResponse(url) {
+  if (url.includes('api.unpaywall.org')) {
+    return {
+      body: {
+        doi: '10.5555/oa-example',
+        is_oa: true,
+        oa_status: 'gold',
+        best_oa_location: { url: 'https://journal.example.org/oa.pdf', host_type: 'publisher', version: 'publishedVersion', license: 'cc-by' },
+        oa_locations: []
+      }
+    };
+  }
+  if (url.includes('api.crossref.org')) {
+    return { body: { message: { DOI: '10.5555/oa-example', 'updated-by': [] } } };
+  }
+  return null;
+}
+
+function loadChecker(managed = {}) {
+  const fetch = createFetchStub(openAccessResponse);
+  const chrome = createChromeStub({ sync: { unpaywallEmail: 'library@example.edu' }, managed });
+  const { copyrightChecker } = loadScripts(CHECKER_SCRIPTS, { chrome, fetch });
+  return { copyrightChecker, fetch };
+}
+
+const page = {
+  url: 'https://journals.example.org/article/42',
+  domain: 'journals.example.org',
+  doi: '10.5555/oa-example',
+  contentType: 'web'
+};
+
+test('allows an open access DOI on a domain no list mentions', async () => {
+  const { copyrightChecker } = loadChecker();
+  const result = await copyrightChecker.checkCopyright(page, { audit: false });
+  
+  assert.strictEqual(result.allowed, true);
+  assert.strictEqual(result.category, 'oa_verified');
+});
+
+test('blocks a policy-blocked domain even when its DOI is open access', async () => {
+  const { copyrightChecker, fetch } = loadChecker({ forcedBlocklist: ['journals.example.org'] });
+  const result = await copyrightChecker.checkCopyright(page, { audit: false });
+  
+  assert.strictEqual(result.allowed, false);
+  assert.strictEqual(result.category, 'policy_blocked');
+  assert.strictEqual(result.matched_rule.source, 'policy');
+  assert.strictEqual(copyrightChecker.canOverride(result), false);
+  
+  // The DOI never leaves the browser
+  assert.deepStrictEqual(fetch.requests.filter(url => !url.startsWith('chrome-extension://')), []);
+});
+
+test('policy blocks apply to subdomains and cannot be overridden even when every category is allowed', async () => {
+  const { copyrightChecker } = loadChecker({ forcedBlocklist: ['example.org'] });
+  const result = await copyrightChecker.checkCopyright({ ...page, isPDF: true, contentType: 'pdf' }, { audit: false });
+  
+  assert.strictEqual(result.category, 'policy_blocked');
+  assert.strictEqual(copyrightChecker.canOverride(result, {
+    paywalled: true,
+    unknown_pdf: true,
+    verification_failed: true,
+    conditional_unverified: true,
+    policy_blocked: true
+  }), false);
+});
+
+test('domain list verdicts for the toolbar badge never leave the browser', async () => {
+  const { copyrightChecker, fetch } = loadChecker({ forcedBlocklist: ['journals.example.org'] });
+  const verdict = async (url) => {
+    const result = await copyrightChecker.checkDomainRule(url);
+    return result && [result.allowed, result.category];
+  };
+  
+  assert.deepStrictEqual(await verdict('https://arxiv.org/abs/2101.00001'), [true, 'whitelist']);
+  assert.deepStrictEqual(await verdict('https://www.sciencedirect.com/science/article/pii/S0000000000000000'), [false, 'blacklist']);
+  assert.deepStrictEqual(await verdict('https://journals.example.org/article/42'), [false, 'policy_blocked']);
+  assert.strictEqual(await verdict('https://unlisted.example.com/post'), null);
+  
+  assert.deepStrictEqual(fetch.requests.filter(url => !url.startsWith('chrome-extension://')), []);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { ROOT, createChromeStub, createFetchStub, loadScripts } = require('./helpers/load-scripts');
+const { generateSigningKey, signList } = require('../scripts/sign-dblist');
+
+const LIST_URL = 'https://lists.example.org/academic_dblist.json';
+const releaseKey = generateSigningKey();
+
+// A newer list that adds one repository to the allowlist
+const bundledList = JSON.parse(fs.readFileSync(path.join(ROOT, 'academic_dblist.json'), 'utf8'));
+const newerList = JSON.stringify({
+  ...bundledList,
+  allowlist: {
+    ...bundledList.allowlist,
+    institutional_repositories: [...bundledList.allowlist.institutional_repositories, 'repository.example.edu']
+  },
+  metadata: { ...bundledList.metadata, version: '99.0' }
+}, null, 2);
+
+/**
+ * Load dblist-updater.js with the test release key and a server publishing `list` and `signature`
+ */
+function loadUpdater({ list = newerList, signature = signList(newerList, releaseKey.privateKeyPem), publicKey = releaseKey.publicJwk } = {}) {
+  const fetch = createFetchStub(url => {
+    if (url === LIST_URL) return { body: list };
+    if (url === `${LIST_URL}.sig`) return { body: signature };
+    return null;
+  });
+  const chrome = createChromeStub({ sync: { domainListUpdateUrl: LIST_URL } });
+  const context = loadScripts(['dblist-updater.js'], { chrome, fetch });
+  vm.runInContext(`DBLIST_UPDATER_CONFIG.PUBLIC_KEY = ${JSON.stringify(publicKey)};`, context);
+  
+  return { dblistUpdater: context.dblistUpdater, chrome, fetch };
+}
+
+test('accepts a newer list signed with the release key', async () => {
+  const { dblistUpdater } = loadUpdater();
+  const status = await dblistUpdater.checkForDomainListUpdate();
+  
+  assert.strictEqual(status.status, 'updated');
+  assert.strictEqual(status.version, '99.0');
+  assert.strictEqual((await dblistUpdater.loadDomainList()).metadata.version, '99.0');
+});
+
+test('rejects a list that was changed after signing', async () => {
+  const tampered = newerList.replace('repository.example.edu', 'paywalled-publisher.example.com');
+  const { dblistUpdater } = loadUpdater({ list: tampered });
+  const status = await dblistUpdater.checkForDomainListUpdate();
+  
+  assert.strictEqual(status.status, 'failed');
+  assert.strictEqual(status.error, 'Signature verification failed');
+  assert.strictEqual((await dblistUpdater.loadDomainList()).metadata.version, bundledList.metadata.version);
+});
+
+test('rejects a tampered signature file', async () => {
+  const signature = Buffer.from(signList(newerList, releaseKey.privateKeyPem), 'base64');
+  signature[signature.length - 1] ^= 0x01;
+  const { dblistUpdater } = loadUpdater({ signature: signature.toString('base64') });
+  
+  assert.strictEqual((await dblistUpdater.checkForDomainListUpdate()).status, 'failed');
+});
+
+test('rejects a list signed with a different key', async () => {
+  const otherKey = generateSigningKey();
+  const { dblistUpdater } = loadUpdater({ signature: signList(newerList, otherKey.privateKeyPem) });
+  
+  assert.strictEqual((await dblistUpdater.checkForDomainListUpdate()).status, 'failed');
+});
+
+test('ignores a stored list that was modified after it was verified', async () => {
+  const { dblistUpdater, chrome } = loadUpdater();
+  await dblistUpdater.checkForDomainListUpdate();
+  
+  const stored = chrome.storage.local.data[dblistUpdater.STORAGE_KEY];
+  stored.text = stored.text.replace('repository.example.edu', 'paywalled-publisher.example.com');
+  
+  assert.strictEqual((await dblistUpdater.loadDomainList()).metadata.version, bundledList.metadata.version);
+});
+
+test('stays disabled without a signing key and downloads nothing', async () => {
+  const { dblistUpdater, fetch } = loadUpdater({ publicKey: null });
+  const status = await dblistUpdater.checkForDomainListUpdate();
+  
+  assert.strictEqual(status.status, 'disabled');
+  assert.strictEqual(status.reason, 'no_signing_key');
+  assert.deepStrictEqual(fetch.requests, []);
+});
+
+test('the shipped build has no signing key until the maintainers provision one', () => {
+  const { dblistUpdater } = loadScripts(['dblist-updater.js'], { chrome: createChromeStub(), fetch: createFetchStub() });
+  assert.strictEqual(dblistUpdater.hasSigningKey(), false);
+});
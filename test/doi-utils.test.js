@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const { doiUtils } = loadScripts(['doi-utils.js']);
+
+test('strips resolver URLs and doi: prefixes', () => {
+  const forms = [
+    '10.1038/nature12373',
+    'doi:10.1038/nature12373',
+    'DOI: 10.1038/nature12373',
+    'info:doi/10.1038/nature12373',
+    'urn:doi:10.1038/nature12373',
+    'https://doi.org/10.1038/nature12373',
+    'http://dx.doi.org/10.1038/nature12373',
+    'doi.org/10.1038/nature12373',
+    '  10.1038/nature12373  '
+  ];
+  
+  for (const form of forms) {
+    assert.strictEqual(doiUtils.normalizeDOI(form), '10.1038/nature12373', form);
+  }
+});
+
+test('decodes percent-encoded DOIs and keeps malformed encodings as they are', () => {
+  assert.strictEqual(doiUtils.normalizeDOI('10.1002%2Fanie.201915678'), '10.1002/anie.201915678');
+  assert.strictEqual(doiUtils.normalizeDOI('https%3A%2F%2Fdoi.org%2F10.1002%2Fanie.201915678'), '10.1002/anie.201915678');
+  assert.strictEqual(doiUtils.decodeDOI('10.1000/100%zz'), '10.1000/100%zz');
+  assert.strictEqual(doiUtils.decodeDOI('10.1000/caf%E9'), '10.1000/caf%E9');
+});
+
+test('drops trailing punctuation and unbalanced closing brackets', () => {
+  const cases = {
+    '10.1038/nature12373.': '10.1038/nature12373',
+    '10.1038/nature12373,;': '10.1038/nature12373',
+    '10.1038/nature12373".': '10.1038/nature12373',
+    '(see 10.1038/nature12373)': null,
+    '10.1038/nature12373).': '10.1038/nature12373',
+    '10.1016/0140-6736(93)90001-a': '10.1016/0140-6736(93)90001-a',
+    '10.1016/0140-6736(93)90001-a).': '10.1016/0140-6736(93)90001-a',
+    '10.1002/(sici)1097-4636(199706)35:4<515::aid-jbm12>3.0.co;2-a]': '10.1002/(sici)1097-4636(199706)35:4<515::aid-jbm12>3.0.co;2-a'
+  };
+  
+  for (const [input, expected] of Object.entries(cases)) {
+    assert.strictEqual(doiUtils.normalizeDOI(input), expected, input);
+  }
+});
+
+test('normalises case so the same article always gives the same DOI', () => {
+  assert.strictEqual(doiUtils.normalizeDOI('10.1093/NAR/GKAA1100'), '10.1093/nar/gkaa1100');
+  assert.strictEqual(doiUtils.normalizeDOI('HTTPS://DOI.ORG/10.1093/Nar/Gkaa1100'), '10.1093/nar/gkaa1100');
+});
+
+test('rejects values that are not DOIs', () => {
+  for (const value of [null, undefined, '', 42, 'not a doi', '10.12/too-short-prefix', '10.1038/', 'https://example.org/10.1038']) {
+    assert.strictEqual(doiUtils.normalizeDOI(value), null, String(value));
+    assert.strictEqual(doiUtils.isValidDOI(value), false, String(value));
+  }
+});
+
+test('finds the first DOI in free text', () => {
+  assert.strictEqual(
+    doiUtils.extractDOI('Smith J. (2020). Title. Nature, 1, 2. https://doi.org/10.1038/s41586-020-2649-2. Accessed today.'),
+    '10.1038/s41586-020-2649-2'
+  );
+  assert.strictEqual(doiUtils.extractDOI('Cited as doi:10.1371/journal.pone.0000001; see also 10.1000/other'), '10.1371/journal.pone.0000001');
+  assert.strictEqual(doiUtils.extractDOI('No identifier here'), null);
+});
+
+test('extracts DOIs from resolver, query parameter, publisher and arXiv URLs', () => {
+  const cases = {
+    'https://doi.org/10.1145/3313831.3376727': '10.1145/3313831.3376727',
+    'https://dx.doi.org/10.1145%2F3313831.3376727': '10.1145/3313831.3376727',
+    'https://example.org/resolve?doi=10.1145%2F3313831.3376727': '10.1145/3313831.3376727',
+    'https://example.org/openurl?rft_id=info:doi/10.1145/3313831.3376727': '10.1145/3313831.3376727',
+    'https://dl.acm.org/doi/pdf/10.1145/3313831.3376727': '10.1145/3313831.3376727',
+    'https://onlinelibrary.wiley.com/doi/full/10.1002/anie.201915678': '10.1002/anie.201915678',
+    'https://onlinelibrary.wiley.com/doi/10.1002/anie.201915678/abstract': '10.1002/anie.201915678',
+    'https://link.springer.com/content/pdf/10.1007/s00226-020-01234-5.pdf': '10.1007/s00226-020-01234-5',
+    'https://arxiv.org/abs/2101.00001v2': '10.48550/arxiv.2101.00001',
+    'https://arxiv.org/pdf/hep-th/9901001.pdf': '10.48550/arxiv.hep-th/9901001',
+    'https://example.org/articles/42': null,
+    'not a url 10.1000/xyz123': '10.1000/xyz123'
+  };
+  
+  for (const [url, expected] of Object.entries(cases)) {
+    assert.strictEqual(doiUtils.extractDOIFromUrl(url), expected, url);
+  }
+});
+
+test('converts arXiv identifiers to their DataCite DOIs', () => {
+  assert.strictEqual(doiUtils.arxivToDOI('arXiv:2101.00001v3'), '10.48550/arxiv.2101.00001');
+  assert.strictEqual(doiUtils.arxivToDOI('hep-th/9901001v1'), '10.48550/arxiv.hep-th/9901001');
+  assert.strictEqual(doiUtils.arxivToDOI('not-arxiv'), null);
+});
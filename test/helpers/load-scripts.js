@@ -0,0 +1,121 @@
+/**
+ * Uzei - Literature Review Extension
+ * Test helper: loads extension scripts into an isolated context
+ * 
+ * The extension's scripts are classic scripts that share one global scope and
+ * export through `self`, so each test loads them into a fresh vm context the
+ * same way the browser does, with stubs for the extension APIs they use.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+const quietConsole = { log() {}, info() {}, warn() {}, error() {} };
+
+/**
+ * Minimal chrome.storage / chrome.runtime stub backed by plain objects
+ */
+function createChromeStub({ local = {}, sync = {}, managed = {} } = {}) {
+  const area = (data) => ({
+    data,
+    async get(keys) {
+      if (keys == null) return { ...data };
+      const list = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+      const defaults = typeof keys === 'object' && !Array.isArray(keys) ? keys : {};
+      return Object.fromEntries(list.map(key => [key, key in data ? data[key] : defaults[key]]).filter(([, value]) => value !== undefined));
+    },
+    async set(items) {
+      Object.assign(data, items);
+    },
+    async remove(keys) {
+      [].concat(keys).forEach(key => delete data[key]);
+    }
+  });
+  
+  return {
+    storage: {
+      local: area(local),
+      sync: area(sync),
+      managed: area(managed),
+      onChanged: { addListener() {} }
+    },
+    runtime: {
+      getURL: (file) => `chrome-extension://uzei/${file}`,
+      onMessage: { addListener() {} },
+      sendMessage: async () => undefined
+    }
+  };
+}
+
+/**
+ * fetch() stub: extension files are read from the repository, every other request goes to
+ * `handler(url)`, which returns { status, body } (404 when it returns nothing).
+ * The requested URLs are collected in `fetch.requests`.
+ */
+function createFetchStub(handler = () => null) {
+  const requests = [];
+  
+  async function fetch(input) {
+    const url = String(input);
+    requests.push(url);
+    
+    let response;
+    if (url.startsWith('chrome-extension://uzei/')) {
+      const file = path.join(ROOT, url.slice('chrome-extension://uzei/'.length));
+      response = fs.existsSync(file) ? { status: 200, body: fs.readFileSync(file, 'utf8') } : null;
+    } else {
+      response = await handler(url);
+    }
+    
+    const { status = 200, body = null } = response || { status: 404 };
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      json: async () => JSON.parse(text),
+      text: async () => text
+    };
+  }
+  
+  fetch.requests = requests;
+  return fetch;
+}
+
+/**
+ * Run the given repository files, in order, in a new context and return it
+ */
+function loadScripts(files, globals = {}) {
+  const context = vm.createContext({
+    console: quietConsole,
+    URL,
+    URLSearchParams,
+    AbortController,
+    TextEncoder,
+    TextDecoder,
+    crypto: globalThis.crypto,
+    atob,
+    btoa,
+    setTimeout,
+    clearTimeout,
+    ...globals
+  });
+  context.self = context;
+  
+  files.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  });
+  
+  return context;
+}
+
+/**
+ * Copy a value out of a vm context so deepStrictEqual does not compare its prototypes
+ */
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { ROOT, createChromeStub, createFetchStub, loadScripts, plain };
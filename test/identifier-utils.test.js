@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, plain } = require('./helpers/load-scripts');
+
+const { identifierUtils } = loadScripts(['identifier-utils.js']);
+
+test('extracts identifiers from PubMed, PMC, arXiv, Handle and HAL URLs', () => {
+  const cases = {
+    'https://pubmed.ncbi.nlm.nih.gov/31452104/': { pmid: '31452104' },
+    'https://www.ncbi.nlm.nih.gov/pmc/articles/PMC6712345/': { pmcid: 'PMC6712345' },
+    'https://arxiv.org/abs/2101.00001v3': { arxiv: '2101.00001' },
+    'https://arxiv.org/pdf/hep-th/9901001': { arxiv: 'hep-th/9901001' },
+    'https://hdl.handle.net/1721.1/12345': { handle: '1721.1/12345' },
+    'https://dspace.mit.edu/handle/1721.1/67890': { handle: '1721.1/67890' },
+    'https://hal.science/hal-01234567v2/document': { hal: 'hal-01234567' }
+  };
+  
+  for (const [url, expected] of Object.entries(cases)) {
+    assert.deepStrictEqual(plain(identifierUtils.extractIdentifiersFromUrl(url)), expected, url);
+  }
+});
+
+test('does not throw on URLs with malformed percent-escapes', () => {
+  assert.deepStrictEqual(plain(identifierUtils.extractIdentifiersFromUrl('https://example.org/caf%E9/page')), {});
+  assert.deepStrictEqual(
+    plain(identifierUtils.extractIdentifiersFromUrl('https://repository.example.edu/handle/1721.1/4242/caf%E9.pdf')),
+    { handle: '1721.1/4242' }
+  );
+});
+
+test('returns no identifiers for invalid URLs', () => {
+  assert.deepStrictEqual(plain(identifierUtils.extractIdentifiersFromUrl('not a url')), {});
+});
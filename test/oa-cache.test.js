@@ -0,0 +1,245 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+const { ROOT, createChromeStub, createFetchStub, loadScripts, plain } = require('./helpers/load-scripts');
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.UTC(2025, 0, 1);
+
+/**
+ * Date with a clock the test moves by hand (clock.advance(ms))
+ */
+function createClock(now = START) {
+  const clock = {
+    now,
+    advance(ms) {
+      clock.now += ms;
+    }
+  };
+  
+  clock.Date = class extends Date {
+    constructor(...args) {
+      super(...(args.length > 0 ? args : [clock.now]));
+    }
+    
+    static now() {
+      return clock.now;
+    }
+  };
+  
+  return clock;
+}
+
+/**
+ * Load oa-cache.js with its own in-memory IndexedDB, storage and clock
+ */
+function loadCache({ sync = {}, local = {}, scripts = [], fetch } = {}) {
+  const clock = createClock();
+  const chrome = createChromeStub({ sync, local });
+  const context = loadScripts(['oa-cache.js', ...scripts], {
+    chrome,
+    fetch,
+    indexedDB: new IDBFactory(),
+    IDBKeyRange,
+    Date: clock.Date
+  });
+  return { ...context, chrome, clock };
+}
+
+const OA = { doi: '10.5555/oa', is_oa: true, oa_status: 'gold' };
+const CLOSED = { doi: '10.5555/closed', is_oa: false, oa_status: 'closed' };
+const NOT_FOUND = { doi: '10.5555/missing', is_oa: false, oa_status: 'not_found' };
+
+async function cachedDOIs(oaCache, dois) {
+  const found = [];
+  for (const doi of dois) {
+    if (await oaCache.getCachedOAStatus(doi)) found.push(doi);
+  }
+  return found;
+}
+
+test('each result type expires after its own lifetime', async () => {
+  const { oaCache, clock } = loadCache();
+  const dois = [OA.doi, CLOSED.doi, NOT_FOUND.doi];
+  for (const data of [OA, CLOSED, NOT_FOUND]) {
+    await oaCache.cacheOAStatus(data.doi, data);
+  }
+  
+  clock.advance(23 * HOUR);
+  assert.deepStrictEqual(await cachedDOIs(oaCache, dois), dois);
+  
+  clock.advance(2 * HOUR);
+  assert.deepStrictEqual(await cachedDOIs(oaCache, dois), [OA.doi, CLOSED.doi]);
+  
+  clock.advance(3 * 24 * HOUR);
+  assert.deepStrictEqual(await cachedDOIs(oaCache, dois), [OA.doi]);
+  
+  clock.advance(30 * 24 * HOUR);
+  assert.deepStrictEqual(await cachedDOIs(oaCache, dois), []);
+});
+
+test('lifetimes come from settings, and 0 turns caching off for a type', async () => {
+  const { oaCache, clock } = loadCache({ sync: { oaCacheSettings: { ttlHours: { oa: 2, closed: 0 } } } });
+  await oaCache.cacheOAStatus(OA.doi, OA);
+  await oaCache.cacheOAStatus(CLOSED.doi, CLOSED);
+  
+  assert.deepStrictEqual(await cachedDOIs(oaCache, [OA.doi, CLOSED.doi]), [OA.doi]);
+  
+  clock.advance(2 * HOUR);
+  assert.strictEqual(await oaCache.getCachedOAStatus(OA.doi), null);
+});
+
+test('returns cached results with the time they were cached', async () => {
+  const { oaCache } = loadCache();
+  await oaCache.cacheOAStatus(OA.doi, OA);
+  
+  assert.deepStrictEqual(plain(await oaCache.getCachedOAStatus(OA.doi)), {
+    ...OA,
+    cached_at: new Date(START).toISOString()
+  });
+});
+
+test('evicts the least recently used entries above the size limit', async () => {
+  const { oaCache, clock } = loadCache({ sync: { oaCacheSettings: { maxEntries: 2 } } });
+  
+  await oaCache.cacheOAStatus('10.5555/a', OA);
+  clock.advance(1000);
+  await oaCache.cacheOAStatus('10.5555/b', OA);
+  clock.advance(1000);
+  
+  // Reading "a" makes "b" the least recently used
+  assert.ok(await oaCache.getCachedOAStatus('10.5555/a'));
+  clock.advance(1000);
+  await oaCache.cacheOAStatus('10.5555/c', OA);
+  
+  assert.deepStrictEqual(await cachedDOIs(oaCache, ['10.5555/a', '10.5555/b', '10.5555/c']), ['10.5555/a', '10.5555/c']);
+});
+
+test('the sweep removes expired entries only', async () => {
+  const { oaCache, clock } = loadCache();
+  await oaCache.cacheOAStatus(OA.doi, OA);
+  await oaCache.cacheOAStatus(NOT_FOUND.doi, NOT_FOUND);
+  
+  assert.strictEqual(await oaCache.sweepExpiredOAStatus(), 0);
+  
+  clock.advance(25 * HOUR);
+  assert.strictEqual(await oaCache.sweepExpiredOAStatus(), 1);
+  
+  const stats = plain(await oaCache.getOACacheStats());
+  assert.strictEqual(stats.entries, 1);
+  assert.deepStrictEqual(stats.byType, { oa: 1 });
+});
+
+test('counts hits and misses until the cache is cleared', async () => {
+  const { oaCache, clock } = loadCache();
+  await oaCache.cacheOAStatus(OA.doi, OA);
+  clock.advance(HOUR);
+  await oaCache.cacheOAStatus(CLOSED.doi, CLOSED);
+  
+  await oaCache.getCachedOAStatus(OA.doi);
+  await oaCache.getCachedOAStatus(OA.doi);
+  await oaCache.getCachedOAStatus(CLOSED.doi);
+  await oaCache.getCachedOAStatus(NOT_FOUND.doi);
+  
+  const stats = plain(await oaCache.getOACacheStats());
+  assert.strictEqual(stats.entries, 2);
+  assert.deepStrictEqual(stats.byType, { oa: 1, closed: 1 });
+  assert.strictEqual(stats.hits, 3);
+  assert.strictEqual(stats.misses, 1);
+  assert.strictEqual(stats.hitRate, 0.75);
+  assert.strictEqual(stats.oldestEntry, new Date(START).toISOString());
+  
+  assert.strictEqual(await oaCache.clearOACache(), 2);
+  const cleared = plain(await oaCache.getOACacheStats());
+  assert.strictEqual(cleared.entries, 0);
+  assert.strictEqual(cleared.hitRate, null);
+});
+
+test('removes the per-DOI cache keys earlier versions left in local storage', async () => {
+  const { oaCache, chrome } = loadCache({
+    local: {
+      'oa_cache_10.5555/a': { is_oa: true },
+      'oa_cache_10.5555/b': { is_oa: false },
+      userDomainRules: []
+    }
+  });
+  
+  assert.strictEqual(await oaCache.removeLegacyOACache(), 2);
+  assert.deepStrictEqual(Object.keys(chrome.storage.local.data), ['userDomainRules']);
+  assert.strictEqual(await oaCache.removeLegacyOACache(), 0);
+});
+
+const MINUTE = 60 * 1000;
+const FAILED = { doi: '10.5555/failing', is_oa: false, error: 'Unpaywall API error: 503', confidence_score: 0 };
+
+async function retryDelay(oaCache, clock, doi) {
+  const cached = await oaCache.getCachedOAStatus(doi);
+  return (Date.parse(cached.retry_at) - clock.now) / MINUTE;
+}
+
+test('failed lookups back off from 2 minutes, doubling up to 60', async () => {
+  const { oaCache, clock } = loadCache();
+  const delays = [];
+  
+  for (let attempt = 0; attempt < 7; attempt++) {
+    await oaCache.cacheOAStatus(FAILED.doi, FAILED);
+    delays.push(await retryDelay(oaCache, clock, FAILED.doi));
+  }
+  
+  assert.deepStrictEqual(delays, [2, 4, 8, 16, 32, 60, 60]);
+  
+  clock.advance(60 * MINUTE);
+  assert.strictEqual(await oaCache.getCachedOAStatus(FAILED.doi), null);
+});
+
+test('a full answer resets the back-off, a negative answer with a failed provider does not', async () => {
+  const { oaCache, clock } = loadCache({ sync: { oaCacheSettings: { errorBackoffMinutes: { base: 5, max: 15 } } } });
+  const partial = { ...CLOSED, doi: FAILED.doi, providers: [{ provider: 'unpaywall', error: 'timeout' }, { provider: 'openalex', is_oa: false }] };
+  
+  await oaCache.cacheOAStatus(FAILED.doi, FAILED);
+  await oaCache.cacheOAStatus(FAILED.doi, partial);
+  assert.strictEqual(await retryDelay(oaCache, clock, FAILED.doi), 10);
+  await oaCache.cacheOAStatus(FAILED.doi, FAILED);
+  assert.strictEqual(await retryDelay(oaCache, clock, FAILED.doi), 15);
+  
+  await oaCache.cacheOAStatus(FAILED.doi, { ...OA, doi: FAILED.doi });
+  assert.strictEqual((await oaCache.getCachedOAStatus(FAILED.doi)).retry_at, undefined);
+  
+  await oaCache.cacheOAStatus(FAILED.doi, FAILED);
+  assert.strictEqual(await retryDelay(oaCache, clock, FAILED.doi), 5);
+});
+
+test('re-verifying bypasses a cached result and caches the fresh one', async () => {
+  // Unpaywall answers from the recorded fixture
+  const fetch = createFetchStub((url) => {
+    const file = path.join(ROOT, 'fixtures', decodeURIComponent(new URL(url).pathname));
+    return fs.existsSync(file) ? { body: fs.readFileSync(file, 'utf8') } : null;
+  });
+  const { copyrightChecker, oaCache } = loadCache({
+    fetch,
+    scripts: ['doi-utils.js', 'copyright-checker.js'],
+    sync: {
+      unpaywallEmail: 'library@example.edu',
+      oaProviderEndpoints: { unpaywall: 'https://fixtures.test/unpaywall' }
+    }
+  });
+  const lookups = () => fetch.requests.filter(url => url.startsWith('https://fixtures.test/')).length;
+  
+  const first = await copyrightChecker.queryOAStatus('10.5555/oa-gold-example');
+  assert.strictEqual(first.is_oa, true);
+  assert.strictEqual(lookups(), 1);
+  
+  const cached = await copyrightChecker.queryOAStatus('10.5555/oa-gold-example');
+  assert.ok(cached.cached_at);
+  assert.strictEqual(lookups(), 1);
+  
+  const fresh = await copyrightChecker.queryOAStatus('10.5555/oa-gold-example', { bypassCache: true });
+  assert.strictEqual(fresh.cached_at, undefined);
+  assert.strictEqual(lookups(), 2);
+  
+  assert.ok(await oaCache.getCachedOAStatus('10.5555/oa-gold-example'));
+  await copyrightChecker.queryOAStatus('10.5555/oa-gold-example');
+  assert.strictEqual(lookups(), 2);
+});
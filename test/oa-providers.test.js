@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { ROOT, createChromeStub, createFetchStub, loadScripts, plain } = require('./helpers/load-scripts');
+
+// Recorded provider responses in fixtures/<provider>, laid out like each API's URL paths
+const FIXTURE_HOST = 'https://fixtures.test';
+const ENDPOINTS = {
+  unpaywall: `${FIXTURE_HOST}/unpaywall`,
+  openalex: `${FIXTURE_HOST}/openalex`,
+  crossref: `${FIXTURE_HOST}/crossref`
+};
+
+/**
+ * Serve the recorded responses; providers listed in `failing` answer 503
+ */
+function serveFixtures(failing = []) {
+  return (url) => {
+    const { pathname } = new URL(url);
+    const [, provider, ...rest] = pathname.split('/');
+    if (failing.includes(provider)) {
+      return { status: 503, body: { error: 'Service unavailable' } };
+    }
+    
+    // OpenAlex looks works up by their DOI URL
+    const file = path.join(ROOT, 'fixtures', provider, decodeURIComponent(rest.join('/')).replace('https://doi.org/', ''));
+    return fs.existsSync(file) ? { body: fs.readFileSync(file, 'utf8') } : null;
+  };
+}
+
+function loadChecker({ providers, failing } = {}) {
+  const fetch = createFetchStub(serveFixtures(failing));
+  const chrome = createChromeStub({
+    sync: {
+      unpaywallEmail: 'library@example.edu',
+      oaProviderEndpoints: ENDPOINTS,
+      // Listed providers are queried in that order, the others are disabled
+      ...(providers ? {
+        oaProviders: [
+          ...providers.map(id => ({ id, enabled: true })),
+          ...Object.keys(ENDPOINTS).filter(id => !providers.includes(id)).map(id => ({ id, enabled: false }))
+        ]
+      } : {})
+    }
+  });
+  const { copyrightChecker } = loadScripts(['doi-utils.js', 'copyright-checker.js'], { chrome, fetch });
+  return { copyrightChecker, fetch };
+}
+
+const providerIds = (fetch) => fetch.requests
+  .filter(url => url.startsWith(FIXTURE_HOST))
+  .map(url => new URL(url).pathname.split('/')[1]);
+
+test('stops after Unpaywall when it alone is confident', async () => {
+  const { copyrightChecker, fetch } = loadChecker();
+  const result = plain(await copyrightChecker.queryOAStatus('10.5555/oa-gold-example'));
+  
+  assert.deepStrictEqual(providerIds(fetch), ['unpaywall']);
+  assert.strictEqual(result.is_oa, true);
+  assert.strictEqual(result.oa_status, 'gold');
+  assert.strictEqual(result.provider, 'unpaywall');
+  assert.strictEqual(result.license, 'cc-by');
+  assert.strictEqual(result.version, 'publishedVersion');
+  assert.strictEqual(result.oa_locations.length, 2);
+  assert.strictEqual(result.confidence_score, 1);
+});
+
+test('falls back to OpenAlex when Unpaywall fails', async () => {
+  const { copyrightChecker, fetch } = loadChecker({ failing: ['unpaywall'] });
+  const result = plain(await copyrightChecker.queryOAStatus('10.5555/oa-gold-example'));
+  
+  assert.deepStrictEqual(providerIds(fetch), ['unpaywall', 'openalex']);
+  assert.strictEqual(result.is_oa, true);
+  assert.strictEqual(result.provider, 'openalex');
+  assert.strictEqual(result.oa_url, 'https://journal.example.org/articles/oa-gold-example.pdf');
+  assert.strictEqual(result.license, 'cc-by');
+  assert.strictEqual(result.confidence_score, 0.9);
+  assert.match(result.providers[0].error, /Unpaywall API error: 503/);
+});
+
+test('weighs disagreeing providers and lowers the confidence', async () => {
+  // Crossref has an open license deposit, OpenAlex and Unpaywall report the article as closed
+  const { copyrightChecker, fetch } = loadChecker({ providers: ['crossref', 'openalex', 'unpaywall'] });
+  const result = plain(await copyrightChecker.queryOAStatus('10.5555/disputed-example'));
+  
+  assert.deepStrictEqual(providerIds(fetch), ['crossref', 'openalex', 'unpaywall']);
+  assert.strictEqual(result.is_oa, false);
+  assert.strictEqual(result.oa_status, 'closed');
+  assert.strictEqual(result.provider, 'unpaywall');
+  assert.strictEqual(result.confidence_score, 0.76);
+  assert.deepStrictEqual(result.providers.map(provider => [provider.provider, provider.is_oa]), [
+    ['crossref', true],
+    ['openalex', false],
+    ['unpaywall', false]
+  ]);
+});
+
+test('a single disagreeing answer is not confident enough to stop the chain', async () => {
+  const { copyrightChecker, fetch } = loadChecker({ providers: ['crossref', 'openalex'] });
+  const result = plain(await copyrightChecker.queryOAStatus('10.5555/disputed-example'));
+  
+  assert.deepStrictEqual(providerIds(fetch), ['crossref', 'openalex']);
+  assert.strictEqual(result.is_oa, false);
+  assert.strictEqual(result.confidence_score, 0.54);
+});
+
+test('reports not_found with no confidence when no provider knows the DOI', async () => {
+  const { copyrightChecker } = loadChecker();
+  const result = plain(await copyrightChecker.queryOAStatus('10.5555/missing-example'));
+  
+  assert.strictEqual(result.is_oa, false);
+  assert.strictEqual(result.oa_status, 'not_found');
+  assert.strictEqual(result.confidence_score, 0);
+  assert.strictEqual(result.providers.length, 3);
+});
+
+test('reports an error when every provider fails', async () => {
+  const { copyrightChecker } = loadChecker({ failing: ['unpaywall', 'openalex', 'crossref'] });
+  const result = plain(await copyrightChecker.queryOAStatus('10.5555/oa-gold-example'));
+  
+  assert.strictEqual(result.is_oa, false);
+  assert.strictEqual(result.confidence_score, 0);
+  assert.match(result.error, /Unpaywall API error: 503; OpenAlex API error: 503; Crossref API error: 503/);
+});
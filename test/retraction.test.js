@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { ROOT, createChromeStub, createFetchStub, loadScripts, plain } = require('./helpers/load-scripts');
+
+const CHECKER_SCRIPTS = ['managed-policy.js', 'url-normalizer.js', 'doi-utils.js', 'identifier-utils.js', 'copyright-checker.js'];
+
+// Recorded Crossref responses in fixtures/crossref, laid out like the API's URL paths
+const CROSSREF_ENDPOINT = 'https://fixtures.test/crossref';
+
+function serveCrossrefFixtures(url) {
+  const { pathname } = new URL(url);
+  if (!pathname.startsWith('/crossref/')) return null;
+  
+  const file = path.join(ROOT, 'fixtures', decodeURIComponent(pathname));
+  return fs.existsSync(file) ? { body: fs.readFileSync(file, 'utf8') } : null;
+}
+
+/**
+ * Load the checker with only the Crossref provider enabled, so the OA chain and the
+ * retraction check ask the same endpoint
+ */
+function loadChecker() {
+  const fetch = createFetchStub(serveCrossrefFixtures);
+  const chrome = createChromeStub({
+    sync: {
+      oaProviderEndpoints: { crossref: CROSSREF_ENDPOINT },
+      oaProviders: [
+        { id: 'crossref', enabled: true },
+        { id: 'unpaywall', enabled: false },
+        { id: 'openalex', enabled: false }
+      ]
+    }
+  });
+  const { copyrightChecker } = loadScripts(CHECKER_SCRIPTS, { chrome, fetch });
+  return { copyrightChecker, fetch };
+}
+
+const crossrefRequests = (fetch) => fetch.requests.filter(url => url.startsWith(CROSSREF_ENDPOINT));
+
+test('reports a retraction ahead of the corrections on the same article', async () => {
+  const { copyrightChecker } = loadChecker();
+  const retraction = plain(await copyrightChecker.queryRetractionStatus('10.5555/retracted-example'));
+  
+  assert.strictEqual(retraction.status, 'retracted');
+  assert.strictEqual(retraction.label, 'Retracted');
+  assert.deepStrictEqual(retraction.notices.map(notice => [notice.status, notice.doi, notice.date, notice.source]), [
+    ['retracted', '10.5555/retraction-notice-example', '2024-03-12', 'retraction-watch'],
+    ['corrected', '10.5555/correction-example', '2022-06-01', 'publisher']
+  ]);
+  assert.strictEqual(
+    copyrightChecker.getRetractionWarning(retraction),
+    'This paper has been retracted and should not be cited as valid work (Retraction, 2024-03-12)'
+  );
+});
+
+test('reports withdrawals, expressions of concern and corrections', async () => {
+  const { copyrightChecker } = loadChecker();
+  const cases = {
+    '10.5555/withdrawn-example': ['withdrawn', 'This paper has been withdrawn (Withdrawal, 2023-11)'],
+    '10.5555/concern-example': ['expression_of_concern', 'The publisher has issued an expression of concern about this paper (Expression of Concern, 2023-09-20)'],
+    '10.5555/corrected-example': ['corrected', 'A correction has been published for this paper (Correction, 2022-06-01)']
+  };
+  
+  for (const [doi, [status, warning]] of Object.entries(cases)) {
+    const retraction = await copyrightChecker.queryRetractionStatus(doi);
+    assert.strictEqual(retraction.status, status, doi);
+    assert.strictEqual(copyrightChecker.getRetractionWarning(retraction), warning, doi);
+  }
+});
+
+test('a retraction notice is not itself reported as retracted', async () => {
+  const { copyrightChecker } = loadChecker();
+  const retraction = plain(await copyrightChecker.queryRetractionStatus('10.5555/retraction-notice-example'));
+  
+  assert.strictEqual(retraction.status, 'none');
+  assert.deepStrictEqual(retraction.notices, []);
+  assert.strictEqual(retraction.notice_for[0].doi, '10.5555/retracted-example');
+  assert.strictEqual(
+    copyrightChecker.getRetractionWarning(retraction),
+    'This is a retraction notice for 10.5555/retracted-example, not the article itself'
+  );
+});
+
+test('DOIs Crossref does not know have no notices, failed lookups have no status', async () => {
+  const { copyrightChecker } = loadChecker();
+  
+  const missing = await copyrightChecker.queryRetractionStatus('10.5555/missing-example');
+  assert.strictEqual(missing.status, 'none');
+  assert.strictEqual(copyrightChecker.getRetractionWarning(missing), null);
+  
+  assert.strictEqual(copyrightChecker.parseRetractionStatus({}).status, 'none');
+  assert.strictEqual(await copyrightChecker.queryRetractionStatus('not a doi'), null);
+});
+
+test('reuses the Crossref work the OA chain already fetched', async () => {
+  const { copyrightChecker, fetch } = loadChecker();
+  const page = {
+    url: 'https://journals.example.org/article/42',
+    domain: 'journals.example.org',
+    doi: '10.5555/corrected-example',
+    contentType: 'web'
+  };
+  
+  const result = await copyrightChecker.checkCopyright(page, { audit: false });
+  assert.strictEqual(result.retraction.status, 'corrected');
+  assert.strictEqual(crossrefRequests(fetch).length, 1);
+  
+  // Re-verifying skips both caches, but still asks Crossref only once
+  const rechecked = await copyrightChecker.checkCopyright(page, { audit: false, bypassCache: true });
+  assert.strictEqual(rechecked.retraction.status, 'corrected');
+  assert.strictEqual(crossrefRequests(fetch).length, 2);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+const { ROOT, plain } = require('./helpers/load-scripts');
+
+const FIXTURE_DIR = path.join(ROOT, 'fixtures', 'site-adapters');
+const adapterSource = fs.readFileSync(path.join(ROOT, 'site-adapters.js'), 'utf8');
+
+/**
+ * Open a saved publisher page at its original URL with site-adapters.js loaded, as the content script sees it
+ */
+function openFixture(file) {
+  const html = fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8');
+  const expected = JSON.parse(new JSDOM(html).window.document.getElementById('uzei-adapter-expected').textContent);
+  
+  const { window } = new JSDOM(html, { url: expected.url, runScripts: 'outside-only' });
+  window.console.log = () => {};
+  window.eval(adapterSource);
+  
+  return { window, expected };
+}
+
+for (const file of fs.readdirSync(FIXTURE_DIR).filter(name => name.endsWith('.html'))) {
+  test(`site adapter fixture ${file}`, () => {
+    const { window, expected } = openFixture(file);
+    const { siteAdapters } = window;
+    
+    const adapter = siteAdapters.findSiteAdapter(expected.url);
+    assert.ok(adapter, `no adapter matches ${expected.url}`);
+    assert.strictEqual(adapter.id, expected.adapter);
+    
+    const data = plain(siteAdapters.runSiteAdapter(adapter, window.document));
+    assert.strictEqual(data.adapter, expected.adapter);
+    
+    // Title, authors and DOI are what the copyright check and the project entry rely on
+    assert.strictEqual(data.title, expected.fields.title);
+    assert.deepStrictEqual(data.authors, expected.fields.authors);
+    assert.strictEqual(data.doi, expected.fields.doi);
+    
+    for (const [field, value] of Object.entries(expected.fields)) {
+      assert.deepStrictEqual(data[field], value, `${file}: ${field}`);
+    }
+  });
+}
+
+test('every adapter has a fixture', () => {
+  const { window } = new JSDOM('', { runScripts: 'outside-only' });
+  window.eval(adapterSource);
+  
+  for (const adapter of window.siteAdapters.SITE_ADAPTERS) {
+    assert.ok(fs.existsSync(path.join(ROOT, adapter.fixture)), `${adapter.id}: missing ${adapter.fixture}`);
+  }
+});
@@ -0,0 +1,155 @@
+/**
+ * Uzei - Literature Review Extension
+ * URL Normalizer Module
+ * 
+ * Maps institutional proxy URLs (EZproxy and similar) back to the publisher URL:
+ * 1. Host-rewriting proxies (www-sciencedirect-com.ezproxy.univ.edu → www.sciencedirect.com)
+ * 2. Login / starting point URLs (login.ezproxy.univ.edu/login?url=https://...)
+ * 
+ * The publisher URL is only used for domain rules, PDF detection and DOI extraction;
+ * pages are still fetched through the proxied URL.
+ */
+
+const URL_NORMALIZER_CONFIG = {
+  // Proxy host patterns - '*' matches one or more host labels
+  DEFAULT_PROXY_PATTERNS: [
+    'ezproxy.*',
+    '*.idm.oclc.org'
+  ],
+  
+  // Query parameters carrying the target URL on proxy login pages
+  TARGET_URL_PARAMS: ['url', 'qurl'],
+  
+  STORAGE_KEY: 'proxyHostPatterns'
+};
+
+// Patterns used by the synchronous helpers (updated by loadProxyPatterns)
+let proxyPatterns = URL_NORMALIZER_CONFIG.DEFAULT_PROXY_PATTERNS;
+let proxyPatternsPromise = null;
+
+/**
+ * Load the configured proxy host patterns (defaults when none are saved)
+ */
+function loadProxyPatterns() {
+  if (proxyPatternsPromise) return proxyPatternsPromise;
+  
+  proxyPatternsPromise = (async () => {
+    try {
+      const settings = await chrome.storage.sync.get([URL_NORMALIZER_CONFIG.STORAGE_KEY]);
+      const saved = settings[URL_NORMALIZER_CONFIG.STORAGE_KEY];
+      proxyPatterns = Array.isArray(saved) ? saved : URL_NORMALIZER_CONFIG.DEFAULT_PROXY_PATTERNS;
+    } catch (error) {
+      console.warn('Error loading proxy patterns, using defaults:', error);
+      proxyPatterns = URL_NORMALIZER_CONFIG.DEFAULT_PROXY_PATTERNS;
+    }
+    return proxyPatterns;
+  })();
+  
+  return proxyPatternsPromise;
+}
+
+/**
+ * Check that a proxy pattern looks like a host name (wildcards allowed, at least two labels)
+ */
+function isValidProxyPattern(pattern) {
+  return typeof pattern === 'string' &&
+    /^[a-z0-9*-]+(\.[a-z0-9*-]+)+$/i.test(pattern) &&
+    /[a-z0-9]/i.test(pattern);
+}
+
+/**
+ * Match a hostname against the proxy patterns.
+ * Returns { prefix } where prefix is the encoded publisher host (null for the proxy's own host), or null.
+ */
+function matchProxyHost(hostname, patterns = proxyPatterns) {
+  const host = hostname.toLowerCase();
+  
+  for (const pattern of patterns) {
+    if (!isValidProxyPattern(pattern)) continue;
+    
+    const suffix = pattern.toLowerCase()
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.+');
+    const match = host.match(new RegExp(`^(?:([^.]+)\\.)?${suffix}$`));
+    
+    if (match) {
+      return { prefix: match[1] || null };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Decode an EZproxy host label: dots become hyphens, literal hyphens are doubled
+ */
+function decodeProxiedHost(prefix) {
+  return prefix
+    .replace(/--/g, '\u0000')
+    .replace(/-/g, '.')
+    .replace(/\u0000/g, '-');
+}
+
+/**
+ * Map a proxied URL to the publisher URL (other URLs are returned unchanged)
+ */
+function normalizeProxiedUrl(url, patterns = proxyPatterns) {
+  if (!url) return url;
+  
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return url;
+  }
+  
+  if (!/^https?:$/.test(parsed.protocol)) return url;
+  
+  const match = matchProxyHost(parsed.hostname, patterns);
+  if (!match) return url;
+  
+  // Login / starting point URL: the target is passed as a parameter
+  for (const param of URL_NORMALIZER_CONFIG.TARGET_URL_PARAMS) {
+    const target = parsed.searchParams.get(param);
+    if (target && /^https?:\/\//i.test(target)) {
+      return normalizeProxiedUrl(target, patterns);
+    }
+  }
+  
+  // Host-rewriting proxy: only rewrite when the label decodes to a real host name
+  const publisherHost = match.prefix ? decodeProxiedHost(match.prefix) : null;
+  if (!publisherHost || !publisherHost.includes('.')) return url;
+  
+  parsed.hostname = publisherHost;
+  parsed.port = '';
+  return parsed.href;
+}
+
+/**
+ * Check whether a URL goes through a configured proxy
+ */
+function isProxiedUrl(url, patterns = proxyPatterns) {
+  return normalizeProxiedUrl(url, patterns) !== url;
+}
+
+// Keep the synchronous helpers in step with the options page
+if (typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes[URL_NORMALIZER_CONFIG.STORAGE_KEY]) {
+      proxyPatternsPromise = null;
+      loadProxyPatterns();
+    }
+  });
+}
+
+// Export functions for use in other scripts (pages and the service worker)
+if (typeof self !== 'undefined') {
+  self.urlNormalizer = {
+    loadProxyPatterns,
+    isValidProxyPattern,
+    normalizeProxiedUrl,
+    isProxiedUrl,
+    DEFAULT_PROXY_PATTERNS: URL_NORMALIZER_CONFIG.DEFAULT_PROXY_PATTERNS
+  };
+}